@@ -8,12 +8,16 @@ const cron = require('node-cron');
 // Services
 const { WeeklyAutomation } = require('./services/weeklyAutomation');
 const { InvitationService } = require('./services/invitationService');
+const { EmailQueue } = require('./services/emailQueue');
+const { Scheduler } = require('./services/scheduler');
 const logger = require('./utils/logger');
 
 // Routes
 const webhookRoutes = require('./routes/webhooks');
 const inviteRoutes = require('./routes/invites');
+const joinRoutes = require('./routes/join');
 const adminRoutes = require('./routes/admin');
+const preferenceRoutes = require('./routes/preferences');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,6 +25,8 @@ const PORT = process.env.PORT || 3000;
 // Initialize services
 const weeklyAutomation = new WeeklyAutomation();
 const invitationService = new InvitationService();
+const emailQueue = new EmailQueue();
+const scheduler = new Scheduler();
 
 // Middleware
 app.use(helmet());
@@ -35,14 +41,17 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use('/webhook', express.raw({ type: 'application/json', limit: '10mb' }));
+// Raw bodies so webhook signatures can be checked (SendGrid Inbound Parse posts up to 30MB)
+app.use('/webhook', express.raw({ type: ['application/json', 'multipart/form-data'], limit: '30mb' }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/webhook', webhookRoutes);
 app.use('/api/invite', inviteRoutes);
+app.use('/api/join', joinRoutes);
 app.use('/admin', adminRoutes);
+app.use('/preferences', preferenceRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -61,34 +70,34 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       webhook: '/webhook/inbound-email',
-      invite: '/api/invite'
+      invite: '/api/invite',
+      join: '/api/join'
     }
   });
 });
 
 // Cron Jobs
-function initializeCronJobs() {
-  // Every Thursday at 9 AM - Start new week
-  cron.schedule('0 9 * * 4', async () => {
+async function initializeCronJobs() {
+  // Opening and closing rounds follow the schedule in system settings
+  await scheduler.start();
+
+  // Every 15 minutes - Send reminders that are due before the deadline
+  cron.schedule('*/15 * * * *', async () => {
     try {
-      logger.info('Starting new week cron job');
-      await weeklyAutomation.startNewWeek();
-      logger.info('New week started successfully');
+      await weeklyAutomation.sendDueReminders();
     } catch (error) {
-      logger.error('Error starting new week:', error);
+      logger.error('Error sending due reminders:', error);
     }
   }, {
     timezone: process.env.TIMEZONE || 'America/New_York'
   });
 
-  // Every Sunday at 6 PM - Close submissions and compile
-  cron.schedule('0 18 * * 0', async () => {
+  // Every 15 minutes - Send late submissions out once a round's grace window closes
+  cron.schedule('*/15 * * * *', async () => {
     try {
-      logger.info('Starting weekly compilation cron job');
-      await weeklyAutomation.closeWeekAndCompile();
-      logger.info('Weekly compilation completed successfully');
+      await weeklyAutomation.sendDueLateAdditions();
     } catch (error) {
-      logger.error('Error compiling weekly submissions:', error);
+      logger.error('Error sending late additions:', error);
     }
   }, {
     timezone: process.env.TIMEZONE || 'America/New_York'
@@ -107,6 +116,29 @@ function initializeCronJobs() {
     timezone: process.env.TIMEZONE || 'America/New_York'
   });
 
+  // Hourly - Expire old invites (giving inviters their slots back) and warn about ones expiring soon
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await invitationService.cleanupExpiredInvites();
+      await invitationService.notifyExpiringInvites();
+    } catch (error) {
+      logger.error('Error checking invite expiry:', error);
+    }
+  }, {
+    timezone: process.env.TIMEZONE || 'America/New_York'
+  });
+
+  // Every minute - Send queued emails that are due
+  cron.schedule('* * * * *', async () => {
+    try {
+      await emailQueue.processQueue();
+    } catch (error) {
+      logger.error('Error processing email queue:', error);
+    }
+  }, {
+    timezone: process.env.TIMEZONE || 'America/New_York'
+  });
+
   logger.info('Cron jobs initialized');
 }
 
@@ -130,8 +162,20 @@ app.use((req, res) => {
 // Start server
 async function startServer() {
   try {
+    // Nearly every email carries signed links, so don't start without the secret
+    if (!process.env.LINK_SIGNING_SECRET) {
+      throw new Error('LINK_SIGNING_SECRET is not set');
+    }
+
     // Initialize cron jobs
-    initializeCronJobs();
+    await initializeCronJobs();
+
+    // Compile or open any rounds that were due while the app was down
+    try {
+      await weeklyAutomation.catchUp();
+    } catch (error) {
+      logger.error('Error catching up on missed rounds:', error);
+    }
     
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -2,8 +2,22 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { WeeklyAutomation } = require('../services/weeklyAutomation');
 const { InvitationService } = require('../services/invitationService');
+const { GroupService } = require('../services/groupService');
+const { PauseService } = require('../services/pauseService');
+const { EmailQueue } = require('../services/emailQueue');
+const { EmailEventService } = require('../services/emailEventService');
+const { ScheduleService } = require('../services/scheduleService');
+const { Scheduler } = require('../services/scheduler');
+const { StreakEngine } = require('../services/streakEngine');
+const { LateSubmissionService } = require('../services/lateSubmissionService');
+const { JoinRequestService } = require('../services/joinRequestService');
+const { InviteTreeService } = require('../services/inviteTreeService');
+const { SubmissionParser, CONFIGURABLE_FIELDS } = require('../services/submissionParser');
+const { CADENCES, validateCadence } = require('../utils/rounds');
+const { renderInviteTreeHtml, renderInviteTreeDot } = require('../utils/inviteTree');
 const logger = require('../utils/logger');
 const moment = require('moment-timezone');
+const Joi = require('joi');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,6 +25,17 @@ const prisma = new PrismaClient();
 // Initialize services
 const weeklyAutomation = new WeeklyAutomation();
 const invitationService = new InvitationService();
+const groupService = new GroupService();
+const pauseService = new PauseService();
+const emailQueue = new EmailQueue();
+const emailEventService = new EmailEventService();
+const scheduleService = new ScheduleService();
+const scheduler = new Scheduler();
+const streakEngine = new StreakEngine();
+const lateSubmissionService = new LateSubmissionService();
+const joinRequestService = new JoinRequestService();
+const inviteTreeService = new InviteTreeService();
+const submissionParser = new SubmissionParser();
 
 /**
  * Simple auth middleware (basic protection for admin routes)
@@ -37,6 +62,31 @@ router.get('/dashboard', requireAuth, async (req, res) => {
   try {
     // Get current week status
     const currentWeekStatus = await weeklyAutomation.getCurrentWeekStatus();
+
+    // Get each group's current week and membership
+    const groups = await prisma.group.findMany({
+      orderBy: { id: 'asc' },
+      include: {
+        _count: {
+          select: { memberships: { where: { isActive: true } } }
+        }
+      }
+    });
+
+    const groupStatuses = await Promise.all(groups.map(async group => {
+      const status = await weeklyAutomation.getCurrentWeekStatus(group.id);
+      return {
+        id: group.id,
+        name: group.name,
+        submitEmail: group.submitEmail,
+        isActive: group.isActive,
+        memberCount: group._count.memberships,
+        hasActiveWeek: status.hasActiveWeek,
+        weekNumber: status.hasActiveWeek ? status.week.weekNumber : null,
+        submissionCount: status.hasActiveWeek ? status.submissionCount : 0,
+        deadline: status.hasActiveWeek ? status.deadline : null
+      };
+    }));
     
     // Get user statistics
     const userStats = await prisma.user.aggregate({
@@ -59,13 +109,21 @@ router.get('/dashboard', requireAuth, async (req, res) => {
     // Get invitation statistics
     const inviteStats = await invitationService.getInvitationStats();
 
+    // Get email delivery statistics
+    const deliverability = await emailEventService.getDeliverabilityStats();
+    const outbox = await emailQueue.getStats();
+
     // Get recent weeks
     const recentWeeks = await prisma.week.findMany({
       take: 5,
       orderBy: { weekNumber: 'desc' },
       include: {
+        group: {
+          select: { name: true }
+        },
         submissions: {
           include: {
+            items: { orderBy: { position: 'asc' } },
             user: {
               select: { firstName: true, lastName: true, email: true }
             }
@@ -79,6 +137,9 @@ router.get('/dashboard', requireAuth, async (req, res) => {
       take: 10,
       orderBy: { currentStreak: 'desc' },
       include: {
+        group: {
+          select: { name: true }
+        },
         user: {
           select: { firstName: true, lastName: true, email: true }
         }
@@ -88,13 +149,16 @@ router.get('/dashboard', requireAuth, async (req, res) => {
     return res.json({
       timestamp: new Date().toISOString(),
       currentWeek: currentWeekStatus,
+      groups: groupStatuses,
       users: {
         active: userStats._count.id,
         inactive: inactiveUsers,
         total: userStats._count.id + inactiveUsers
       },
       invitations: inviteStats,
+      deliverability: { ...deliverability, outbox },
       recentWeeks: recentWeeks.map(week => ({
+        group: week.group.name,
         weekNumber: week.weekNumber,
         status: week.status,
         submissionCount: week.submissions.length,
@@ -107,6 +171,7 @@ router.get('/dashboard', requireAuth, async (req, res) => {
         user: streak.user.firstName ? 
           `${streak.user.firstName} ${streak.user.lastName || ''}`.trim() : 
           streak.user.email,
+        group: streak.group.name,
         currentStreak: streak.currentStreak,
         longestStreak: streak.longestStreak,
         canInvite: streak.canInvite
@@ -124,10 +189,11 @@ router.get('/dashboard', requireAuth, async (req, res) => {
  */
 router.get('/weeks', requireAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, groupId } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
     const where = status ? { status } : {};
+    if (groupId) where.groupId = parseInt(groupId);
 
     const weeks = await prisma.week.findMany({
       where,
@@ -137,6 +203,7 @@ router.get('/weeks', requireAuth, async (req, res) => {
       include: {
         submissions: {
           include: {
+            items: { orderBy: { position: 'asc' } },
             user: {
               select: { id: true, firstName: true, lastName: true, email: true }
             }
@@ -163,6 +230,37 @@ router.get('/weeks', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Get a submission with its revision history
+ */
+router.get('/submissions/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const submissionId = parseInt(req.params.id);
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId },
+      include: {
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true }
+        },
+        revisions: {
+          orderBy: { replacedAt: 'desc' }
+        }
+      }
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    return res.json({ submission });
+
+  } catch (error) {
+    logger.error('Error getting submission revisions:', error);
+    return res.status(500).json({ error: 'Failed to get submission revisions' });
+  }
+});
+
 /**
  * Get all users
  */
@@ -186,14 +284,23 @@ router.get('/users', requireAuth, async (req, res) => {
       where,
       orderBy: { joinDate: 'desc' },
       include: {
-        streak: true,
+        streaks: {
+          include: { group: { select: { name: true } } }
+        },
+        memberships: {
+          include: { group: { select: { name: true } } }
+        },
         sentInvites: {
-          select: { status: true, inviteeEmail: true, sentAt: true }
+          select: { status: true, inviteeEmail: true, groupId: true, sentAt: true }
         },
         submissions: {
           select: { weekId: true, submittedAt: true },
           orderBy: { submittedAt: 'desc' },
           take: 5
+        },
+        pauses: {
+          where: { endsAt: { gt: new Date() } },
+          orderBy: { startsAt: 'asc' }
         }
       }
     });
@@ -207,7 +314,14 @@ router.get('/users', requireAuth, async (req, res) => {
         joinDate: user.joinDate,
         isActive: user.isActive,
         inviteCount: user.inviteCount,
-        streak: user.streak,
+        groups: user.memberships.map(membership => ({
+          groupId: membership.groupId,
+          name: membership.group.name,
+          role: membership.role,
+          isActive: membership.isActive
+        })),
+        streaks: user.streaks,
+        pauses: user.pauses,
         recentSubmissions: user.submissions,
         sentInvites: user.sentInvites
       }))
@@ -224,7 +338,8 @@ router.get('/users', requireAuth, async (req, res) => {
  */
 router.post('/weeks/start', requireAuth, async (req, res) => {
   try {
-    const result = await weeklyAutomation.manualStartWeek();
+    const groupId = req.body.groupId ? parseInt(req.body.groupId) : null;
+    const result = await weeklyAutomation.manualStartWeek(groupId);
     
     if (!result.success) {
       return res.status(400).json(result);
@@ -265,7 +380,8 @@ router.post('/weeks/:id/compile', requireAuth, async (req, res) => {
  */
 router.post('/weeks/remind', requireAuth, async (req, res) => {
   try {
-    const result = await weeklyAutomation.sendReminders();
+    const groupId = req.body.groupId ? parseInt(req.body.groupId) : null;
+    const result = await weeklyAutomation.sendReminders(groupId);
     
     if (!result.success) {
       return res.status(400).json(result);
@@ -286,20 +402,45 @@ router.post('/weeks/remind', requireAuth, async (req, res) => {
 router.patch('/users/:id', requireAuth, async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
-    const { isActive, firstName, lastName } = req.body;
+    const { isActive, firstName, lastName, pausedFrom, pausedUntil, pauseReason } = req.body;
 
     const updateData = {};
     if (isActive !== undefined) updateData.isActive = isActive;
     if (firstName !== undefined) updateData.firstName = firstName;
     if (lastName !== undefined) updateData.lastName = lastName;
 
+    // pausedUntil sets a pause window (from now unless pausedFrom is given); null ends it
+    if (pausedUntil === null) {
+      await pauseService.resumeUser(userId);
+    } else if (pausedUntil !== undefined) {
+      const startsAt = pausedFrom ? new Date(pausedFrom) : new Date();
+      const endsAt = new Date(pausedUntil);
+
+      if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+        return res.status(400).json({ error: 'pausedUntil must be a date after pausedFrom' });
+      }
+
+      await pauseService.pauseUser(userId, {
+        startsAt,
+        endsAt,
+        reason: pauseReason || null,
+        createdBy: 'admin'
+      });
+    }
+
     const user = await prisma.user.update({
       where: { id: userId },
       data: updateData,
-      include: { streak: true }
+      include: {
+        streaks: true,
+        pauses: {
+          where: { endsAt: { gt: new Date() } },
+          orderBy: { startsAt: 'asc' }
+        }
+      }
     });
 
-    logger.info('User updated:', { userId, updateData });
+    logger.info('User updated:', { userId, updateData, pausedFrom, pausedUntil });
     return res.json({ success: true, user });
 
   } catch (error) {
@@ -329,6 +470,265 @@ router.delete('/users/:id', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Get all groups
+ */
+router.get('/groups', requireAuth, async (req, res) => {
+  try {
+    const groups = await prisma.group.findMany({
+      orderBy: { id: 'asc' },
+      include: {
+        _count: {
+          select: { memberships: { where: { isActive: true } }, weeks: true }
+        }
+      }
+    });
+
+    return res.json({
+      groups: groups.map(group => ({
+        id: group.id,
+        name: group.name,
+        slug: group.slug,
+        submitEmail: group.submitEmail,
+        isActive: group.isActive,
+        createdAt: group.createdAt,
+        memberCount: group._count.memberships,
+        weekCount: group._count.weeks
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error getting groups:', error);
+    return res.status(500).json({ error: 'Failed to get groups' });
+  }
+});
+
+/**
+ * Create a group
+ */
+router.post('/groups', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().min(1).max(100).required(),
+      slug: Joi.string().pattern(/^[a-z0-9-]+$/i).max(50).required(),
+      submitEmail: Joi.string().email().required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const group = await groupService.createGroup(value);
+    return res.json({ success: true, group });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Group slug or submit address already in use' });
+    }
+    logger.error('Error creating group:', error);
+    return res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+/**
+ * Update a group. A cadence of null puts the group back on the schedule's cadence;
+ * the new cadence applies from the group's next round.
+ */
+router.patch('/groups/:id', requireAuth, async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const { name, submitEmail, isActive, cadence, cadenceWeeks, inviteApproval } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (submitEmail !== undefined) updateData.submitEmail = submitEmail.toLowerCase();
+    if (isActive !== undefined) updateData.isActive = isActive;
+    if (inviteApproval !== undefined) updateData.inviteApproval = inviteApproval;
+
+    if (cadence !== undefined) {
+      const problems = cadence === null ? [] : validateCadence(cadence, cadenceWeeks);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details: problems });
+      }
+
+      updateData.cadence = cadence;
+      updateData.cadenceWeeks = cadence === 'custom' ? cadenceWeeks : null;
+    }
+
+    const group = await prisma.group.update({
+      where: { id: groupId },
+      data: updateData
+    });
+
+    logger.info('Group updated:', { groupId, updateData });
+    return res.json({ success: true, group });
+
+  } catch (error) {
+    logger.error('Error updating group:', error);
+    return res.status(500).json({ error: 'Failed to update group' });
+  }
+});
+
+/**
+ * Add a member to a group (creating the user if needed)
+ */
+router.post('/groups/:id/members', requireAuth, async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      firstName: Joi.string().max(100),
+      lastName: Joi.string().max(100),
+      role: Joi.string().valid('member', 'owner').default('member')
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const group = await prisma.group.findUnique({ where: { id: groupId } });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const user = await prisma.user.upsert({
+      where: { email: value.email.toLowerCase() },
+      update: {},
+      create: {
+        email: value.email.toLowerCase(),
+        firstName: value.firstName || null,
+        lastName: value.lastName || null
+      }
+    });
+
+    const membership = await groupService.addMember(groupId, user.id, value.role);
+    return res.json({ success: true, membership });
+
+  } catch (error) {
+    logger.error('Error adding group member:', error);
+    return res.status(500).json({ error: 'Failed to add group member' });
+  }
+});
+
+/**
+ * Remove a member from a group
+ */
+router.delete('/groups/:id/members/:userId', requireAuth, async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+
+    await groupService.removeMember(groupId, userId);
+    return res.json({ success: true, message: 'Member removed' });
+
+  } catch (error) {
+    logger.error('Error removing group member:', error);
+    return res.status(500).json({ error: 'Failed to remove group member' });
+  }
+});
+
+/**
+ * Get outbound email queue counts and the emails that need attention
+ */
+router.get('/outbox', requireAuth, async (req, res) => {
+  try {
+    const { status = 'dead', limit = 50 } = req.query;
+
+    const stats = await emailQueue.getStats();
+    const emails = await prisma.outboundEmail.findMany({
+      where: { status },
+      orderBy: { updatedAt: 'desc' },
+      take: parseInt(limit),
+      select: {
+        id: true,
+        kind: true,
+        toEmail: true,
+        userId: true,
+        weekId: true,
+        status: true,
+        attempts: true,
+        lastError: true,
+        lastAttemptAt: true,
+        nextAttemptAt: true,
+        createdAt: true
+      }
+    });
+
+    return res.json({ stats, emails });
+
+  } catch (error) {
+    logger.error('Error getting outbox:', error);
+    return res.status(500).json({ error: 'Failed to get outbox' });
+  }
+});
+
+/**
+ * Re-queue a failed or dead-lettered email
+ */
+router.post('/outbox/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const emailId = parseInt(req.params.id);
+
+    const email = await prisma.outboundEmail.findUnique({
+      where: { id: emailId }
+    });
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    if (!['failed', 'dead'].includes(email.status)) {
+      return res.status(400).json({ error: `Email is ${email.status}, only failed or dead emails can be retried` });
+    }
+
+    await emailQueue.retry(emailId);
+    return res.json({ success: true, message: 'Email re-queued' });
+
+  } catch (error) {
+    logger.error('Error retrying email:', error);
+    return res.status(500).json({ error: 'Failed to retry email' });
+  }
+});
+
+/**
+ * Get suppressed email addresses
+ */
+router.get('/suppressions', requireAuth, async (req, res) => {
+  try {
+    const suppressions = await prisma.emailSuppression.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return res.json({ suppressions });
+
+  } catch (error) {
+    logger.error('Error getting suppressions:', error);
+    return res.status(500).json({ error: 'Failed to get suppressions' });
+  }
+});
+
+/**
+ * Allow emailing a suppressed address again
+ */
+router.delete('/suppressions/:email', requireAuth, async (req, res) => {
+  try {
+    const removed = await emailEventService.unsuppress(req.params.email);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Address is not suppressed' });
+    }
+
+    return res.json({ success: true, message: 'Address unsuppressed' });
+
+  } catch (error) {
+    logger.error('Error removing suppression:', error);
+    return res.status(500).json({ error: 'Failed to remove suppression' });
+  }
+});
+
 /**
  * Get system logs (limited)
  */
@@ -349,6 +749,429 @@ router.get('/logs', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Get which submission fields are optional
+ */
+router.get('/settings/submission', requireAuth, async (req, res) => {
+  try {
+    const optionalFields = await submissionParser.getOptionalFields();
+    return res.json({ optionalFields, configurableFields: CONFIGURABLE_FIELDS });
+
+  } catch (error) {
+    logger.error('Error getting submission settings:', error);
+    return res.status(500).json({ error: 'Failed to get submission settings' });
+  }
+});
+
+/**
+ * Set which submission fields are optional
+ */
+router.patch('/settings/submission', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      optionalFields: Joi.array().items(Joi.string().valid(...CONFIGURABLE_FIELDS)).unique().required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const optionalFields = await submissionParser.setOptionalFields(value.optionalFields);
+    return res.json({ success: true, optionalFields });
+
+  } catch (error) {
+    logger.error('Error updating submission settings:', error);
+    return res.status(500).json({ error: 'Failed to update submission settings' });
+  }
+});
+
+/**
+ * Get when reminders are sent
+ */
+router.get('/settings/reminders', requireAuth, async (req, res) => {
+  try {
+    const offsetsHours = await weeklyAutomation.getReminderOffsets();
+    return res.json({ offsetsHours });
+
+  } catch (error) {
+    logger.error('Error getting reminder settings:', error);
+    return res.status(500).json({ error: 'Failed to get reminder settings' });
+  }
+});
+
+/**
+ * Set when reminders are sent, in hours before the deadline (an empty list turns them off)
+ */
+router.patch('/settings/reminders', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      offsetsHours: Joi.array().items(Joi.number().integer().min(1).max(168)).max(5).required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const offsetsHours = await weeklyAutomation.setReminderOffsets(value.offsetsHours);
+    return res.json({ success: true, offsetsHours });
+
+  } catch (error) {
+    logger.error('Error updating reminder settings:', error);
+    return res.status(500).json({ error: 'Failed to update reminder settings' });
+  }
+});
+
+/**
+ * Get the late submission settings
+ */
+router.get('/settings/late-submissions', requireAuth, async (req, res) => {
+  try {
+    const settings = await lateSubmissionService.getSettings();
+    return res.json({ settings });
+
+  } catch (error) {
+    logger.error('Error getting late submission settings:', error);
+    return res.status(500).json({ error: 'Failed to get late submission settings' });
+  }
+});
+
+/**
+ * Change the grace window (hours after the deadline, 0 turns it off) and
+ * whether late submissions count toward streaks
+ */
+router.patch('/settings/late-submissions', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      graceHours: Joi.number().integer().min(0).max(72),
+      countTowardStreaks: Joi.boolean()
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const settings = await lateSubmissionService.updateSettings(value);
+    return res.json({ success: true, settings });
+
+  } catch (error) {
+    logger.error('Error updating late submission settings:', error);
+    return res.status(500).json({ error: 'Failed to update late submission settings' });
+  }
+});
+
+/**
+ * Get the schedule rounds open and close on
+ */
+router.get('/settings/schedule', requireAuth, async (req, res) => {
+  try {
+    const schedule = await scheduleService.getSchedule();
+    return res.json({ schedule, cron: scheduleService.getCronExpressions(schedule) });
+
+  } catch (error) {
+    logger.error('Error getting schedule:', error);
+    return res.status(500).json({ error: 'Failed to get schedule' });
+  }
+});
+
+/**
+ * Change the schedule. The cron jobs are re-registered straight away;
+ * rounds that are already open keep their deadline.
+ */
+router.patch('/settings/schedule', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      startDay: Joi.number().integer().min(0).max(6),
+      startHour: Joi.number().integer().min(0).max(23),
+      deadlineDay: Joi.number().integer().min(0).max(6),
+      deadlineHour: Joi.number().integer().min(0).max(23),
+      timezone: Joi.string().custom((value, helpers) => moment.tz.zone(value) ? value : helpers.error('any.invalid')),
+      cadence: Joi.string().valid(...CADENCES),
+      cadenceWeeks: Joi.number().integer().min(1).max(12).allow(null)
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    // A custom cadence needs its week count, which may come from the stored schedule
+    const problems = scheduleService.validate({ ...(await scheduleService.getSchedule()), ...value });
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
+
+    await scheduleService.updateSchedule(value);
+    const { schedule, cron } = await scheduler.reload();
+
+    return res.json({ success: true, schedule, cron });
+
+  } catch (error) {
+    logger.error('Error updating schedule:', error);
+    return res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * List invitations (?status=awaiting_approval&groupId=1 to filter, e.g. for the approval queue)
+ */
+router.get('/invites', requireAuth, async (req, res) => {
+  try {
+    const { status, groupId } = req.query;
+
+    const invites = await prisma.invite.findMany({
+      where: {
+        ...(status ? { status } : {}),
+        ...(groupId ? { groupId: parseInt(groupId) } : {})
+      },
+      orderBy: { sentAt: 'desc' },
+      take: 200,
+      include: {
+        group: { select: { name: true } },
+        inviter: { select: { email: true, firstName: true } }
+      }
+    });
+
+    return res.json({
+      invites: invites.map(invite => ({
+        id: invite.id,
+        inviteeEmail: invite.inviteeEmail,
+        status: invite.status,
+        group: invite.group.name,
+        inviter: invite.inviter.email,
+        sentAt: invite.sentAt,
+        resentAt: invite.resentAt,
+        expiresAt: invite.expiresAt,
+        acceptedAt: invite.acceptedAt,
+        revokedAt: invite.revokedAt,
+        reviewedAt: invite.reviewedAt,
+        rejectReason: invite.rejectReason
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error getting invites:', error);
+    return res.status(500).json({ error: 'Failed to get invites' });
+  }
+});
+
+/**
+ * Get who invited whom, with each inviter's acceptance rate and how their
+ * invitees are doing (?format=json|html|dot, ?groupId=1 for one group)
+ */
+router.get('/invites/tree', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      format: Joi.string().valid('json', 'html', 'dot').default('json'),
+      groupId: Joi.number().integer().positive()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    let group = null;
+    if (value.groupId) {
+      group = await prisma.group.findUnique({ where: { id: value.groupId } });
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+    }
+
+    const result = await inviteTreeService.getInviteTree({ groupId: value.groupId || null });
+
+    if (value.format === 'html') {
+      return res.send(renderInviteTreeHtml({ ...result, groupName: group ? group.name : null }));
+    }
+
+    if (value.format === 'dot') {
+      return res.type('text/vnd.graphviz').send(renderInviteTreeDot(result));
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error getting invite tree:', error);
+    return res.status(500).json({ error: 'Failed to get invite tree' });
+  }
+});
+
+/**
+ * Approve an invitation awaiting approval (it is emailed to the invitee)
+ */
+router.post('/invites/:id/approve', requireAuth, async (req, res) => {
+  try {
+    const inviteId = parseInt(req.params.id);
+    const result = await invitationService.approveInvite(inviteId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error approving invite:', error);
+    return res.status(500).json({ error: 'Failed to approve invite' });
+  }
+});
+
+/**
+ * Reject an invitation awaiting approval, with an optional reason for the inviter
+ */
+router.post('/invites/:id/reject', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reason: Joi.string().trim().max(500).allow('')
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const inviteId = parseInt(req.params.id);
+    const result = await invitationService.rejectInvite(inviteId, { reason: value.reason || null });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error rejecting invite:', error);
+    return res.status(500).json({ error: 'Failed to reject invite' });
+  }
+});
+
+/**
+ * Revoke a pending invitation (its slot goes back to the inviter)
+ */
+router.post('/invites/:id/revoke', requireAuth, async (req, res) => {
+  try {
+    const inviteId = parseInt(req.params.id);
+    const result = await invitationService.revokeInvite(inviteId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error revoking invite:', error);
+    return res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+/**
+ * Resend a pending or expired invitation with a fresh link and expiry
+ */
+router.post('/invites/:id/resend', requireAuth, async (req, res) => {
+  try {
+    const inviteId = parseInt(req.params.id);
+    const result = await invitationService.resendInvite(inviteId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error resending invite:', error);
+    return res.status(500).json({ error: 'Failed to resend invite' });
+  }
+});
+
+/**
+ * List join requests (?status=pending&groupId=1 to filter)
+ */
+router.get('/join-requests', requireAuth, async (req, res) => {
+  try {
+    const { status, groupId } = req.query;
+
+    const joinRequests = await joinRequestService.listRequests({
+      status: status || null,
+      groupId: groupId ? parseInt(groupId) : null
+    });
+
+    return res.json({
+      joinRequests: joinRequests.map(joinRequest => ({
+        id: joinRequest.id,
+        email: joinRequest.email,
+        name: joinRequest.name,
+        message: joinRequest.message,
+        source: joinRequest.source,
+        status: joinRequest.status,
+        group: joinRequest.group.name,
+        vouchedBy: joinRequest.vouches.map(vouch => vouch.user.email),
+        approvedBy: joinRequest.approvedBy,
+        rejectReason: joinRequest.rejectReason,
+        createdAt: joinRequest.createdAt,
+        reviewedAt: joinRequest.reviewedAt
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error getting join requests:', error);
+    return res.status(500).json({ error: 'Failed to get join requests' });
+  }
+});
+
+/**
+ * Approve a join request (they become a member of the group)
+ */
+router.post('/join-requests/:id/approve', requireAuth, async (req, res) => {
+  try {
+    const joinRequestId = parseInt(req.params.id);
+    const result = await joinRequestService.approve(joinRequestId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error approving join request:', error);
+    return res.status(500).json({ error: 'Failed to approve join request' });
+  }
+});
+
+/**
+ * Reject a join request, with an optional reason for the requester
+ */
+router.post('/join-requests/:id/reject', requireAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reason: Joi.string().trim().max(500).allow('')
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', details: error.details });
+    }
+
+    const joinRequestId = parseInt(req.params.id);
+    const result = await joinRequestService.reject(joinRequestId, { reason: value.reason || null });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    return res.json(result);
+
+  } catch (error) {
+    logger.error('Error rejecting join request:', error);
+    return res.status(500).json({ error: 'Failed to reject join request' });
+  }
+});
+
 /**
  * Run cleanup tasks
  */
@@ -376,6 +1199,26 @@ router.post('/cleanup', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Rebuild streaks from submission history (?dryRun=true to only see what would change)
+ */
+router.post('/streaks/rebuild', requireAuth, async (req, res) => {
+  try {
+    const { dryRun, groupId } = req.query;
+
+    const result = await streakEngine.rebuildAll({
+      groupId: groupId ? parseInt(groupId) : null,
+      dryRun: dryRun === 'true'
+    });
+
+    return res.json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('Error rebuilding streaks:', error);
+    return res.status(500).json({ error: 'Failed to rebuild streaks' });
+  }
+});
+
 /**
  * Health check for admin routes
  */
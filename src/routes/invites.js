@@ -1,7 +1,16 @@
 const express = require('express');
 const Joi = require('joi');
+const moment = require('moment-timezone');
 const { InvitationService } = require('../services/invitationService');
 const { EmailService } = require('../services/emailService');
+const { GroupService } = require('../services/groupService');
+const { ScheduleService } = require('../services/scheduleService');
+const { EMAIL_TYPES } = require('../services/preferenceService');
+const { CATEGORIES, categoryLabel } = require('../utils/categories');
+const { groupCadence, describeCadence } = require('../utils/rounds');
+const { issueCsrfToken, csrfField, isValidCsrf } = require('../utils/csrf');
+const { escapeHtml } = require('../utils/html');
+const { verifyToken } = require('../utils/signedLinks');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -9,50 +18,112 @@ const router = express.Router();
 // Initialize services
 const invitationService = new InvitationService();
 const emailService = new EmailService();
+const groupService = new GroupService();
+const scheduleService = new ScheduleService();
+
+// The onboarding form (existing users only have to confirm, so they skip it)
+const acceptSchema = Joi.object({
+  firstName: Joi.string().trim().max(100).required(),
+  lastName: Joi.string().trim().max(100).allow(''),
+  timezone: Joi.string().custom((value, helpers) => moment.tz.zone(value) ? value : helpers.error('any.invalid')).required(),
+  interests: Joi.array().items(Joi.string().valid(...CATEGORIES)).single().default([]),
+  ...Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, Joi.any()]))
+});
+
+function renderInviteError(message, title = 'Invitation Error') {
+  return `
+    <html>
+      <head><title>${title}</title></head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <div style="background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 20px; border-radius: 8px;">
+          <h1 style="margin-top: 0;">${title}</h1>
+          <p>${message}</p>
+        </div>
+        <p style="margin-top: 20px;">If you believe this is an error, please contact the person who invited you.</p>
+      </body>
+    </html>
+  `;
+}
+
+function renderServerError() {
+  return `
+    <html>
+      <head><title>Error</title></head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h1 style="color: #dc3545;">Something went wrong</h1>
+        <p>There was an error processing your invitation. Please try again or contact support.</p>
+      </body>
+    </html>
+  `;
+}
 
 /**
- * Accept invitation via token
+ * The page an invite link opens. Nothing is accepted until the form is posted,
+ * so link scanners that fetch the link can't accept it.
  */
-router.get('/accept/:token', async (req, res) => {
-  try {
-    const { token } = req.params;
-    const { firstName, lastName } = req.query;
-
-    if (!token) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Invalid Invitation</title></head>
-          <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-            <h1 style="color: #dc3545;">Invalid Invitation</h1>
-            <p>This invitation link is not valid.</p>
-          </body>
-        </html>
-      `);
-    }
-
-    const userData = {};
-    if (firstName) userData.firstName = firstName.trim();
-    if (lastName) userData.lastName = lastName.trim();
-
-    const result = await invitationService.processInviteAcceptance(token, userData);
-
-    if (!result.success) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Invitation Error</title></head>
-          <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-            <div style="background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 20px; border-radius: 8px;">
-              <h1 style="margin-top: 0;">Invitation Error</h1>
-              <p>${result.error}</p>
-            </div>
-            <p style="margin-top: 20px;">If you believe this is an error, please contact the person who invited you.</p>
-          </body>
-        </html>
-      `);
-    }
-
-    // Success page
-    const welcomeHtml = `
+function renderAcceptForm({ token, invite, existingUser, csrfToken, values, error = null }) {
+  const inviterName = escapeHtml(invite.inviter.firstName || invite.inviter.email);
+  const inputStyle = 'display: block; width: 100%; padding: 8px; margin: 5px 0 15px 0; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;';
+
+  const profileFields = existingUser ? `
+          <p>You're already a member of another group as <strong>${escapeHtml(existingUser.email)}</strong>, so you just need to confirm.</p>` : `
+          <label>First name
+            <input type="text" name="firstName" value="${escapeHtml(values.firstName || '')}" maxlength="100" required style="${inputStyle}">
+          </label>
+          <label>Last name (optional)
+            <input type="text" name="lastName" value="${escapeHtml(values.lastName || '')}" maxlength="100" style="${inputStyle}">
+          </label>
+          <label>Your timezone
+            <select name="timezone" style="${inputStyle}">
+              ${moment.tz.names().map(name => `<option value="${name}"${name === values.timezone ? ' selected' : ''}>${name}</option>`).join('')}
+            </select>
+          </label>
+
+          <h3 style="color: #495057;">What are you into?</h3>
+          <p style="color: #666; font-size: 14px; margin-top: 0;">Pick any you like - it helps others know what you might enjoy.</p>
+          ${CATEGORIES.map(category => `
+          <label style="display: inline-block; margin: 0 15px 10px 0;">
+            <input type="checkbox" name="interests" value="${category}"${values.interests.includes(category) ? ' checked' : ''}> ${categoryLabel(category)}
+          </label>`).join('')}
+
+          <h3 style="color: #495057;">Emails</h3>
+          ${Object.entries(EMAIL_TYPES).map(([type, { label, description }]) => `
+          <label style="display: block; padding: 8px 0;">
+            <input type="checkbox" name="${type}"${values.preferences[type] ? ' checked' : ''} style="margin-right: 10px;">
+            <strong>${label}</strong>
+            <span style="display: block; color: #666; font-size: 14px; margin-left: 28px;">${description}</span>
+          </label>`).join('')}`;
+
+  return `
+    <html>
+      <head>
+        <title>Join ${escapeHtml(invite.group.name)}</title>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; background: #f8f9fa;">
+        <div style="background: white; padding: 25px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h1 style="color: #495057; margin-top: 0;">Join ${escapeHtml(invite.group.name)}</h1>
+          <p><strong>${inviterName}</strong> has invited <strong>${escapeHtml(invite.inviteeEmail)}</strong> to share recommendations with the group.</p>
+          ${error ? `<div style="background: #f8d7da; color: #721c24; padding: 12px; border-radius: 6px; margin-bottom: 15px;">${escapeHtml(error)}</div>` : ''}
+          <form method="POST" action="/api/invite/accept/${encodeURIComponent(token)}">
+            ${csrfField(csrfToken)}
+            ${profileFields}
+            <button type="submit" style="margin-top: 20px; background: #28a745; color: white; border: none; padding: 12px 24px; border-radius: 6px; font-size: 16px;">Join the group</button>
+          </form>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+function renderWelcome(result, schedule) {
+  const cadence = groupCadence(result.group, schedule);
+  const promptsGoOut = describeCadence(cadence, schedule.startDay);
+  const at = hour => moment.tz(schedule.timezone).hour(hour).minute(0).format('h A z');
+  const streakRequired = parseInt(process.env.STREAK_REQUIRED_FOR_INVITE) || 4;
+
+  return `
       <html>
         <head>
           <title>Welcome to Weekly Recommendations!</title>
@@ -62,23 +133,23 @@ router.get('/accept/:token', async (req, res) => {
         <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; background: #f8f9fa;">
           <div style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
             <h1 style="margin: 0; font-size: 28px;">🎉 Welcome!</h1>
-            <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">You've joined Weekly Recommendations!</p>
+            <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">You've joined ${escapeHtml(result.group.name)}!</p>
           </div>
           
           <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h2 style="color: #495057; margin-top: 0;">Hi ${result.user.firstName || 'there'}!</h2>
-            <p>Thanks to <strong>${result.inviter.firstName || result.inviter.email}</strong> for inviting you!</p>
+            <h2 style="color: #495057; margin-top: 0;">Hi ${escapeHtml(result.user.firstName || 'there')}!</h2>
+            <p>Thanks to <strong>${escapeHtml(result.inviter.firstName || result.inviter.email)}</strong> for inviting you!</p>
             
             <h3 style="color: #495057;">How it works:</h3>
             <ul style="color: #666; line-height: 1.8;">
-              <li><strong>Every Monday:</strong> You'll receive an email prompt to submit your weekly recommendation</li>
+              <li><strong>${promptsGoOut} at ${at(schedule.startHour)}:</strong> You'll receive an email prompt to submit your recommendation</li>
               <li><strong>Reply format:</strong> Include your recommendation, reasons why, and a message to the group</li>
-              <li><strong>Sunday evening:</strong> Everyone who submitted gets a roundup with all recommendations</li>
-              <li><strong>After 4 weeks:</strong> You'll earn the ability to invite your own friends!</li>
+              <li><strong>${moment.weekdays(schedule.deadlineDay)} at ${at(schedule.deadlineHour)}:</strong> Submissions close and everyone who submitted gets a roundup with all recommendations</li>
+              <li><strong>After ${streakRequired} rounds in a row:</strong> You'll earn the ability to invite your own friends!</li>
             </ul>
             
             <div style="background: #e7f3ff; padding: 15px; border-radius: 6px; margin: 20px 0;">
-              <p style="margin: 0; color: #0066cc;"><strong>Your first email will arrive next Monday!</strong></p>
+              <p style="margin: 0; color: #0066cc;"><strong>Your first prompt will arrive when the group's next round starts!</strong></p>
             </div>
           </div>
           
@@ -89,10 +160,97 @@ router.get('/accept/:token', async (req, res) => {
         </body>
       </html>
     `;
+}
+
+/**
+ * Show the invitation form
+ */
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const pending = await invitationService.getPendingInvite(token);
+    if (!pending.success) {
+      return res.status(400).send(renderInviteError(pending.error));
+    }
+
+    const schedule = await scheduleService.getSchedule();
+
+    res.set('Cache-Control', 'no-store');
+    return res.send(renderAcceptForm({
+      token,
+      invite: pending.invite,
+      existingUser: pending.existingUser,
+      csrfToken: issueCsrfToken(req, res),
+      values: {
+        timezone: schedule.timezone,
+        interests: [],
+        preferences: Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, true]))
+      }
+    }));
+
+  } catch (error) {
+    logger.error('Error showing invitation form:', error);
+    return res.status(500).send(renderServerError());
+  }
+});
+
+/**
+ * Accept invitation (posted from the invitation form)
+ */
+router.post('/accept/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!isValidCsrf(req)) {
+      return res.status(403).send(renderInviteError('This form has expired. Please open your invitation link again.', 'Form Expired'));
+    }
+
+    const pending = await invitationService.getPendingInvite(token);
+    if (!pending.success) {
+      return res.status(400).send(renderInviteError(pending.error));
+    }
+
+    let userData = {};
+    if (!pending.existingUser) {
+      const { _csrf, ...form } = req.body;
+      const { error, value } = acceptSchema.validate(form);
+
+      if (error) {
+        return res.status(400).send(renderAcceptForm({
+          token,
+          invite: pending.invite,
+          existingUser: null,
+          csrfToken: issueCsrfToken(req, res),
+          values: {
+            ...form,
+            interests: [].concat(form.interests || []),
+            preferences: Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, !!form[type]]))
+          },
+          error: error.details[0].message
+        }));
+      }
+
+      userData = {
+        firstName: value.firstName,
+        lastName: value.lastName || null,
+        timezone: value.timezone,
+        interests: value.interests,
+        preferences: Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, !!value[type]]))
+      };
+    }
+
+    const result = await invitationService.processInviteAcceptance(token, userData);
+
+    if (!result.success) {
+      return res.status(400).send(renderInviteError(result.error));
+    }
+
+    const welcomeHtml = renderWelcome(result, await scheduleService.getSchedule());
 
     // Send welcome email
     try {
-      await emailService.sendWelcomeEmail(result.user.email, result.user.firstName || 'Friend');
+      await emailService.sendWelcomeEmail(result.user.email, result.user.firstName || 'Friend', result.group);
     } catch (emailError) {
       logger.error('Error sending welcome email:', emailError);
       // Don't fail the invitation acceptance if email fails
@@ -108,15 +266,7 @@ router.get('/accept/:token', async (req, res) => {
 
   } catch (error) {
     logger.error('Error in invite acceptance:', error);
-    return res.status(500).send(`
-      <html>
-        <head><title>Error</title></head>
-        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-          <h1 style="color: #dc3545;">Something went wrong</h1>
-          <p>There was an error processing your invitation. Please try again or contact support.</p>
-        </body>
-      </html>
-    `);
+    return res.status(500).send(renderServerError());
   }
 });
 
@@ -128,7 +278,8 @@ router.post('/send', async (req, res) => {
     // Validation schema
     const schema = Joi.object({
       inviterEmail: Joi.string().email().required(),
-      inviteeEmail: Joi.string().email().required()
+      inviteeEmail: Joi.string().email().required(),
+      groupId: Joi.number().integer().positive()
     });
 
     const { error, value } = schema.validate(req.body);
@@ -139,7 +290,7 @@ router.post('/send', async (req, res) => {
       });
     }
 
-    const { inviterEmail, inviteeEmail } = value;
+    const { inviterEmail, inviteeEmail, groupId } = value;
 
     // Find inviter
     const { PrismaClient } = require('@prisma/client');
@@ -153,8 +304,20 @@ router.post('/send', async (req, res) => {
       return res.status(404).json({ error: 'Inviter not found' });
     }
 
+    // Default to the inviter's group when they only belong to one
+    let targetGroupId = groupId;
+    if (!targetGroupId) {
+      const groups = await groupService.getUserGroups(inviter.id);
+      if (groups.length !== 1) {
+        return res.status(400).json({
+          error: 'groupId is required unless the inviter belongs to exactly one group'
+        });
+      }
+      targetGroupId = groups[0].id;
+    }
+
     // Send invitation
-    const result = await invitationService.sendInvitation(inviter.id, inviteeEmail);
+    const result = await invitationService.sendInvitation(inviter.id, inviteeEmail, targetGroupId);
 
     if (!result.success) {
       return res.status(400).json({
@@ -164,8 +327,9 @@ router.post('/send', async (req, res) => {
 
     return res.json({
       success: true,
-      message: 'Invitation sent successfully',
+      message: result.awaitingApproval ? 'Invitation awaiting admin approval' : 'Invitation sent successfully',
       inviteId: result.inviteId,
+      awaitingApproval: result.awaitingApproval,
       expiresAt: result.expiresAt,
       invitesRemaining: result.invitesRemaining
     });
@@ -179,6 +343,107 @@ router.post('/send', async (req, res) => {
   }
 });
 
+/**
+ * Get the invite a manage link was made for (the link is signed for the
+ * inviter's address and the invite), or send an error page
+ */
+async function verifyManageLink(req, res, next) {
+  try {
+    const inviteId = parseInt(req.params.id);
+    const email = verifyToken(req.params.token, `invite:${inviteId}`);
+    const invite = email && await invitationService.getSentInvite(inviteId, email);
+
+    if (!invite) {
+      return res.status(400).send(renderInviteError('This link is not valid. Please use the link from one of our emails.', 'Invalid Link'));
+    }
+
+    req.invite = invite;
+    next();
+
+  } catch (error) {
+    logger.error('Error checking invite manage link:', error);
+    return res.status(500).send(renderServerError());
+  }
+}
+
+function renderManagePage(invite, token, notice = null) {
+  const action = `/api/invite/${invite.id}/manage/${token}`;
+  const buttonStyle = 'color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 16px; margin-right: 10px;';
+  const canResend = ['pending', 'expired'].includes(invite.status);
+  const canRevoke = ['pending', 'awaiting_approval'].includes(invite.status);
+  const status = invite.status === 'awaiting_approval' ? 'awaiting approval' : invite.status;
+
+  return `
+    <html>
+      <head>
+        <title>Your Invitation</title>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; background: #f8f9fa;">
+        <div style="background: white; padding: 25px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h1 style="color: #495057; margin-top: 0;">Your invitation to ${escapeHtml(invite.inviteeEmail)}</h1>
+          ${notice ? `<div style="background: #d4edda; color: #155724; padding: 12px; border-radius: 6px; margin-bottom: 15px;">${escapeHtml(notice)}</div>` : ''}
+          <p>Group: <strong>${escapeHtml(invite.group.name)}</strong><br>
+          Status: <strong>${status}</strong>${invite.status === 'pending' ? ` (expires ${moment(invite.expiresAt).tz(process.env.TIMEZONE || 'America/New_York').format('MMMM Do')})` : ''}</p>
+          ${canResend ? `<form method="POST" action="${action}/resend" style="display: inline;"><button type="submit" style="background: #28a745; ${buttonStyle}">Send it again</button></form>` : ''}
+          ${canRevoke ? `<form method="POST" action="${action}/revoke" style="display: inline;"><button type="submit" style="background: #dc3545; ${buttonStyle}">Cancel it</button></form>` : ''}
+          ${!canResend && !canRevoke ? "<p>There's nothing more to do with this invitation.</p>" : ''}
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Show one of the inviter's invitations, with buttons to resend or revoke it.
+ * Link scanners follow GET links, so only the POSTs change anything.
+ */
+router.get('/:id/manage/:token', verifyManageLink, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  return res.send(renderManagePage(req.invite, req.params.token));
+});
+
+/**
+ * Revoke one of the inviter's pending invitations
+ */
+router.post('/:id/manage/:token/revoke', verifyManageLink, async (req, res) => {
+  try {
+    const result = await invitationService.revokeInvite(req.invite.id, { inviterId: req.invite.inviter.id });
+
+    if (!result.success) {
+      return res.status(400).send(renderInviteError(result.error, 'Invitation Not Revoked'));
+    }
+
+    const invite = await invitationService.getSentInvite(req.invite.id, req.invite.inviter.email);
+    return res.send(renderManagePage(invite, req.params.token, "Your invitation has been cancelled and you have that invite back."));
+
+  } catch (error) {
+    logger.error('Error revoking invitation via link:', error);
+    return res.status(500).send(renderServerError());
+  }
+});
+
+/**
+ * Resend one of the inviter's pending or expired invitations with a fresh link
+ */
+router.post('/:id/manage/:token/resend', verifyManageLink, async (req, res) => {
+  try {
+    const result = await invitationService.resendInvite(req.invite.id, { inviterId: req.invite.inviter.id });
+
+    if (!result.success) {
+      return res.status(400).send(renderInviteError(result.error, 'Invitation Not Resent'));
+    }
+
+    const invite = await invitationService.getSentInvite(req.invite.id, req.invite.inviter.email);
+    return res.send(renderManagePage(invite, req.params.token, 'Your invitation has been sent again with a fresh link.'));
+
+  } catch (error) {
+    logger.error('Error resending invitation via link:', error);
+    return res.status(500).send(renderServerError());
+  }
+});
+
 /**
  * Check invitation status
  */
@@ -192,6 +457,9 @@ router.get('/status/:token', async (req, res) => {
     const invite = await prisma.invite.findUnique({
       where: { inviteToken: token },
       include: {
+        group: {
+          select: { name: true }
+        },
         inviter: {
           select: {
             firstName: true,
@@ -218,6 +486,7 @@ router.get('/status/:token', async (req, res) => {
         expiresAt: invite.expiresAt,
         acceptedAt: invite.acceptedAt,
         isExpired,
+        group: invite.group.name,
         inviter: {
           name: invite.inviter.firstName ? 
             `${invite.inviter.firstName} ${invite.inviter.lastName || ''}`.trim() : 
@@ -0,0 +1,145 @@
+const express = require('express');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const { PrismaClient } = require('@prisma/client');
+const { JoinRequestService } = require('../services/joinRequestService');
+const { escapeHtml } = require('../utils/html');
+const { verifyToken } = require('../utils/signedLinks');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Initialize services
+const joinRequestService = new JoinRequestService();
+
+// Each request emails every member of the group, so keep them few
+const joinLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: { error: 'Too many join requests from this IP, please try again later.' }
+});
+
+/**
+ * Ask to join a group without an invite
+ */
+router.post('/', joinLimiter, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      name: Joi.string().trim().max(100).allow(''),
+      message: Joi.string().trim().max(1000).allow(''),
+      group: Joi.string().pattern(/^[a-z0-9-]+$/i).max(50).required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const group = await prisma.group.findUnique({
+      where: { slug: value.group.toLowerCase() }
+    });
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const result = await joinRequestService.requestToJoin({
+      email: value.email,
+      name: value.name || null,
+      message: value.message || null,
+      groupId: group.id
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: result.duplicate
+        ? 'You have already asked to join this group - check your email for the confirmation link, or for news of your request'
+        : 'Check your email - your request is sent to the group once you follow the confirmation link we sent you'
+    });
+
+  } catch (error) {
+    logger.error('Error creating join request via API:', error);
+    return res.status(500).json({
+      error: 'Failed to send join request'
+    });
+  }
+});
+
+function renderPage(title, message, isError = false) {
+  return `
+    <html>
+      <head>
+        <title>${title}</title>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; background: #f8f9fa;">
+        <div style="${isError ? 'background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24;' : 'background: white; box-shadow: 0 2px 10px rgba(0,0,0,0.1);'} padding: 25px; border-radius: 8px;">
+          <h1 style="margin-top: 0;">${title}</h1>
+          ${message}
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Get the email address a confirmation link was made for, or send an error page
+ */
+function verifyConfirmLink(req, res, next) {
+  const email = verifyToken(req.params.token, `join:${parseInt(req.params.id)}`);
+
+  if (!email) {
+    return res.status(400).send(renderPage('Invalid Link', '<p>This link is not valid. Please use the link from your confirmation email.</p>', true));
+  }
+
+  req.linkEmail = email;
+  next();
+}
+
+/**
+ * Ask the requester to confirm. Link scanners follow GET links, so only POST confirms.
+ */
+router.get('/:id/confirm/:token', verifyConfirmLink, (req, res) => {
+  return res.send(renderPage('Confirm Your Request', `
+    <p>Confirm that you'd like to ask to join the group with <strong>${escapeHtml(req.linkEmail)}</strong>?</p>
+    <form method="POST" action="/api/join/${parseInt(req.params.id)}/confirm/${req.params.token}">
+      <button type="submit" style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 16px;">Confirm my request</button>
+    </form>
+  `));
+});
+
+/**
+ * Confirm a join request's email address, which sends it on to the group's members
+ */
+router.post('/:id/confirm/:token', verifyConfirmLink, async (req, res) => {
+  try {
+    const result = await joinRequestService.confirm(parseInt(req.params.id), req.linkEmail);
+
+    if (!result.success) {
+      return res.status(400).send(renderPage('Request Not Confirmed', `<p>${result.error}.</p>`, true));
+    }
+
+    return res.send(renderPage('Request Confirmed', `
+      <p>Thanks! Your request to join <strong>${escapeHtml(result.group.name)}</strong> has been passed on to its members.</p>
+      <p>Once someone vouches for you (or an admin approves it), you'll get an email saying you're in.</p>
+    `));
+
+  } catch (error) {
+    logger.error('Error confirming join request:', error);
+    return res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>', true));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { PreferenceService, EMAIL_TYPES } = require('../services/preferenceService');
+const { escapeHtml } = require('../utils/html');
+const { verifyToken } = require('../utils/signedLinks');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Initialize services
+const preferenceService = new PreferenceService();
+
+function renderPage(title, content) {
+  return `
+    <html>
+      <head>
+        <title>${title}</title>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; background: #f8f9fa;">
+        ${content}
+      </body>
+    </html>
+  `;
+}
+
+function renderError(title, message) {
+  return renderPage(title, `
+    <div style="background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 20px; border-radius: 8px;">
+      <h1 style="margin-top: 0;">${title}</h1>
+      <p>${message}</p>
+    </div>
+  `);
+}
+
+function renderPreferences(token, email, preferences, notice = null) {
+  const options = Object.entries(EMAIL_TYPES).map(([type, { label, description }]) => `
+          <label style="display: block; padding: 12px 0; border-bottom: 1px solid #eee;">
+            <input type="checkbox" name="${type}" ${preferences[type] ? 'checked' : ''} style="margin-right: 10px;">
+            <strong>${label}</strong>
+            <span style="display: block; color: #666; font-size: 14px; margin-left: 28px;">${description}</span>
+          </label>`).join('');
+
+  return renderPage('Email Preferences', `
+    <div style="background: white; padding: 25px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+      <h1 style="color: #495057; margin-top: 0;">Email Preferences</h1>
+      <p style="color: #666;">For <strong>${escapeHtml(email)}</strong></p>
+      ${notice ? `<div style="background: #d4edda; color: #155724; padding: 12px; border-radius: 6px; margin-bottom: 15px;">${notice}</div>` : ''}
+      <form method="POST" action="/preferences/${token}">
+        ${options}
+        <button type="submit" style="margin-top: 20px; background: #667eea; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 16px;">Save</button>
+      </form>
+      <p style="color: #666; font-size: 14px; margin-top: 20px;">Confirmations of your submissions and replies to your commands are always sent.</p>
+    </div>
+  `);
+}
+
+/**
+ * Get the email address a link was made for, or send an error page
+ */
+function verifyLink(req, res, next) {
+  const email = verifyToken(req.params.token, 'preferences');
+
+  if (!email) {
+    return res.status(400).send(renderError('Invalid Link', 'This link is not valid. Please use the link from one of our emails.'));
+  }
+
+  req.linkEmail = email;
+  next();
+}
+
+/**
+ * Show email preferences
+ */
+router.get('/:token', verifyLink, async (req, res) => {
+  try {
+    const result = await preferenceService.getPreferences(req.linkEmail);
+    if (!result) {
+      return res.status(404).send(renderError('Not a Member', "We couldn't find a member with this email address."));
+    }
+
+    return res.send(renderPreferences(req.params.token, req.linkEmail, result.preferences));
+
+  } catch (error) {
+    logger.error('Error showing email preferences:', error);
+    return res.status(500).send(renderError('Something went wrong', 'Please try again later.'));
+  }
+});
+
+/**
+ * Save email preferences (unchecked boxes aren't posted, so they mean "off")
+ */
+router.post('/:token', verifyLink, async (req, res) => {
+  try {
+    const result = await preferenceService.getPreferences(req.linkEmail);
+    if (!result) {
+      return res.status(404).send(renderError('Not a Member', "We couldn't find a member with this email address."));
+    }
+
+    const form = req.body || {};
+    const changes = Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, !!form[type]]));
+    const preferences = await preferenceService.updatePreferences(req.linkEmail, changes);
+
+    return res.send(renderPreferences(req.params.token, req.linkEmail, preferences, 'Your preferences have been saved.'));
+
+  } catch (error) {
+    logger.error('Error saving email preferences:', error);
+    return res.status(500).send(renderError('Something went wrong', 'Please try again later.'));
+  }
+});
+
+/**
+ * Confirm an unsubscribe. Link scanners follow GET links, so only POST unsubscribes.
+ */
+router.get('/:token/unsubscribe', verifyLink, async (req, res) => {
+  const { type } = req.query;
+  if (type && !EMAIL_TYPES[type]) {
+    return res.status(400).send(renderError('Invalid Link', 'This link is not valid. Please use the link from one of our emails.'));
+  }
+
+  const what = type ? EMAIL_TYPES[type].label.toLowerCase() : 'all emails you can turn off';
+
+  return res.send(renderPage('Unsubscribe', `
+    <div style="background: white; padding: 25px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+      <h1 style="color: #495057; margin-top: 0;">Unsubscribe</h1>
+      <p>Stop sending <strong>${what}</strong> to ${escapeHtml(req.linkEmail)}?</p>
+      <form method="POST" action="/preferences/${req.params.token}/unsubscribe${type ? `?type=${type}` : ''}">
+        <button type="submit" style="background: #dc3545; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 16px;">Unsubscribe</button>
+      </form>
+      <p style="margin-top: 20px;"><a href="/preferences/${req.params.token}">Manage all email preferences</a></p>
+    </div>
+  `));
+});
+
+/**
+ * Unsubscribe. Mail clients post here directly for one-click unsubscribe (RFC 8058).
+ */
+router.post('/:token/unsubscribe', verifyLink, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !EMAIL_TYPES[type]) {
+      return res.status(400).send(renderError('Invalid Link', 'This link is not valid. Please use the link from one of our emails.'));
+    }
+
+    const result = await preferenceService.getPreferences(req.linkEmail);
+    if (!result) {
+      return res.status(404).send(renderError('Not a Member', "We couldn't find a member with this email address."));
+    }
+
+    await preferenceService.unsubscribe(req.linkEmail, type || null);
+
+    logger.info('Unsubscribed via email link:', {
+      userId: result.user.id,
+      type: type || 'all',
+      oneClick: (req.body || {})['List-Unsubscribe'] === 'One-Click'
+    });
+
+    const what = type ? EMAIL_TYPES[type].label.toLowerCase() : 'emails you can turn off';
+
+    return res.send(renderPage('Unsubscribed', `
+      <div style="background: white; padding: 25px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <h1 style="color: #495057; margin-top: 0;">You're unsubscribed</h1>
+        <p>We won't send any more ${what} to ${escapeHtml(req.linkEmail)}.</p>
+        <p><a href="/preferences/${req.params.token}">Changed your mind? Manage your email preferences</a></p>
+      </div>
+    `));
+
+  } catch (error) {
+    logger.error('Error unsubscribing:', error);
+    return res.status(500).send(renderError('Something went wrong', 'Please try again later.'));
+  }
+});
+
+module.exports = router;
@@ -1,59 +1,34 @@
 const express = require('express');
-const crypto = require('crypto');
 const { EmailProcessor } = require('../services/emailProcessor');
-const { InvitationService } = require('../services/invitationService');
+const { CommandDispatcher } = require('../services/commandDispatcher');
+const { EmailEventService } = require('../services/emailEventService');
+const { parseMultipartPayload } = require('../utils/sendgridInbound');
+const { verifyWebhookSignature, verifyEventWebhookSignature } = require('../utils/webhookSignatures');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Initialize services
 const emailProcessor = new EmailProcessor();
-const invitationService = new InvitationService();
+const commandDispatcher = new CommandDispatcher();
+const emailEventService = new EmailEventService();
 
 /**
- * Verify SendGrid webhook signature
+ * Parse SendGrid inbound email payload.
+ * SendGrid Inbound Parse posts multipart/form-data; JSON is still accepted for
+ * our own test scripts.
  */
-function verifyWebhookSignature(req, res, next) {
-  const signature = req.get('X-Sendgrid-Signature');
-  const timestamp = req.get('X-Sendgrid-Timestamp');
-  const body = req.rawBody || req.body;
-
-  if (!signature || !timestamp) {
-    logger.warn('Missing SendGrid signature headers');
-    return res.status(401).json({ error: 'Missing signature headers' });
-  }
-
-  if (process.env.SENDGRID_WEBHOOK_SECRET) {
-    try {
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.SENDGRID_WEBHOOK_SECRET)
-        .update(timestamp + body.toString())
-        .digest('base64');
-
-      // SendGrid sends signature with version prefix like "v1="
-      const actualSignature = signature.split(',')[0].replace('v1=', '');
+async function parseInboundEmail(req) {
+  try {
+    const payload = req.body;
 
-      if (expectedSignature !== actualSignature) {
-        logger.warn('Invalid SendGrid webhook signature');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-    } catch (error) {
-      logger.error('Error verifying webhook signature:', error);
-      return res.status(401).json({ error: 'Signature verification failed' });
+    if (req.is('multipart/form-data')) {
+      return await parseMultipartPayload(payload, req.headers);
     }
-  }
-
-  next();
-}
 
-/**
- * Parse SendGrid inbound email payload
- */
-function parseInboundEmail(payload) {
-  try {
-    // SendGrid sends multipart data, but we'll handle the JSON format
-    if (typeof payload === 'string') {
-      return JSON.parse(payload);
+    // The raw body parser hands JSON over as a Buffer
+    if (Buffer.isBuffer(payload) || typeof payload === 'string') {
+      return JSON.parse(payload.toString());
     }
     return payload;
   } catch (error) {
@@ -70,7 +45,7 @@ router.post('/inbound-email', verifyWebhookSignature, async (req, res) => {
     logger.info('Received inbound email webhook');
 
     // Parse the payload
-    const emailData = parseInboundEmail(req.body);
+    const emailData = await parseInboundEmail(req);
     if (!emailData) {
       logger.error('Could not parse email payload');
       return res.status(400).json({ error: 'Invalid payload format' });
@@ -82,7 +57,7 @@ router.post('/inbound-email', verifyWebhookSignature, async (req, res) => {
 
     for (const email of emails) {
       try {
-        const { from, to, subject, text, html } = email;
+        const { from, to, subject } = email;
         
         logger.info('Processing email:', { 
           from: from?.substring(0, 50), 
@@ -98,27 +73,18 @@ router.post('/inbound-email', verifyWebhookSignature, async (req, res) => {
           continue;
         }
 
-        // Check if this is an invite command
-        const emailBody = text || html || '';
-        const inviteCommand = invitationService.parseInviteCommand(emailBody);
+        // Check if this is a command (HELP, STATUS, INVITE:, ...)
+        const command = commandDispatcher.match(email);
         
-        if (inviteCommand.isInviteCommand) {
-          // Process invite command
-          logger.info('Processing invite command:', { 
-            from: senderEmail, 
-            invitee: inviteCommand.email 
-          });
-          
-          const inviteResult = await invitationService.processInviteCommand(
-            senderEmail, 
-            inviteCommand.email
-          );
+        if (command) {
+          const commandResult = await commandDispatcher.dispatch(command, email, senderEmail);
           
           results.push({
             email: senderEmail,
-            success: inviteResult.success,
-            type: 'invite',
-            error: inviteResult.error || null
+            success: commandResult.success,
+            type: command.command.name.toLowerCase(),
+            submissionId: commandResult.submissionId,
+            error: commandResult.error
           });
         } else {
           // Process regular submission
@@ -169,6 +135,37 @@ router.post('/inbound-email', verifyWebhookSignature, async (req, res) => {
   }
 });
 
+/**
+ * Handle delivery events (bounces, spam reports, unsubscribes, ...) from SendGrid
+ */
+router.post('/events', verifyEventWebhookSignature, async (req, res) => {
+  try {
+    let events;
+    try {
+      events = JSON.parse(req.body.toString());
+    } catch (error) {
+      logger.error('Could not parse event webhook payload:', error);
+      return res.status(400).json({ error: 'Invalid payload format' });
+    }
+
+    if (!Array.isArray(events)) {
+      return res.status(400).json({ error: 'Expected an array of events' });
+    }
+
+    const results = await emailEventService.recordEvents(events);
+    logger.info('Email events processed:', results);
+
+    return res.status(200).json({ success: true, ...results });
+
+  } catch (error) {
+    logger.error('Error in event webhook:', error);
+    return res.status(500).json({
+      error: 'Webhook processing failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+    });
+  }
+});
+
 /**
  * Test endpoint for webhook functionality
  */
@@ -178,7 +175,7 @@ router.post('/test-email', async (req, res) => {
   }
 
   try {
-    const { from, to, subject, text, html } = req.body;
+    const { from, to, subject, text, html } = await parseInboundEmail(req) || {};
 
     if (!from || !text) {
       return res.status(400).json({ error: 'Missing required fields: from, text' });
@@ -229,6 +226,7 @@ router.get('/config', (req, res) => {
 
   res.json({
     hasWebhookSecret: !!process.env.SENDGRID_WEBHOOK_SECRET,
+    hasEventWebhookKey: !!process.env.SENDGRID_EVENT_WEBHOOK_PUBLIC_KEY,
     submitEmail: process.env.SUBMIT_EMAIL || 'submit@weeklyrecs.com',
     fromEmail: process.env.FROM_EMAIL || 'noreply@weeklyrecs.com',
     baseUrl: process.env.BASE_URL || 'https://yourapp.railway.app'
@@ -0,0 +1,52 @@
+require('dotenv').config();
+const { StreakEngine } = require('../services/streakEngine');
+
+// Rebuild streak records from submission history.
+// Usage: node src/scripts/rebuildStreaks.js [--dry-run] [--group <id>]
+
+function parseArgs(argv) {
+  const options = { dryRun: false, groupId: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--group') {
+      options.groupId = parseInt(argv[++i]);
+      if (Number.isNaN(options.groupId)) {
+        throw new Error('--group needs a group id');
+      }
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const streakEngine = new StreakEngine();
+
+  console.log(options.dryRun ? '🔍 Checking streaks (dry run)...' : '🔧 Rebuilding streaks...');
+
+  const result = await streakEngine.rebuildAll(options);
+
+  for (const { email, groupId, changes } of result.changes) {
+    const fields = Object.entries(changes)
+      .map(([field, { from, to }]) => `${field} ${from} -> ${to}`)
+      .join(', ');
+    console.log(`   ${email} (group ${groupId}): ${fields}`);
+  }
+
+  console.log(`\n📊 Checked ${result.checked} streaks, ${result.changed} ${result.dryRun ? 'would change' : 'changed'}`);
+  if (result.dryRun && result.changed > 0) {
+    console.log('   Run without --dry-run to save these changes');
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Error rebuilding streaks:', e);
+    process.exit(1);
+  });
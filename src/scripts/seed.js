@@ -1,6 +1,7 @@
 require('dotenv').config();
 const { PrismaClient } = require('@prisma/client');
 const moment = require('moment-timezone');
+const { weekNumberFor } = require('../utils/rounds');
 
 const prisma = new PrismaClient();
 
@@ -8,6 +9,19 @@ async function main() {
   console.log('🌱 Starting database seed...');
 
   try {
+    // Create the default group
+    const group = await prisma.group.upsert({
+      where: { slug: 'default' },
+      update: {},
+      create: {
+        name: 'Weekly Recommendations',
+        slug: 'default',
+        submitEmail: process.env.SUBMIT_EMAIL || 'submit@weeklyrecs.com'
+      }
+    });
+
+    console.log('✅ Created group:', group.name);
+
     // Create sample users
     const users = await Promise.all([
       prisma.user.upsert({
@@ -58,51 +72,70 @@ async function main() {
 
     console.log('✅ Created users:', users.map(u => u.email));
 
+    // Add everyone to the default group
+    await Promise.all(users.map(user =>
+      prisma.groupMembership.upsert({
+        where: { groupId_userId: { groupId: group.id, userId: user.id } },
+        update: {},
+        create: {
+          groupId: group.id,
+          userId: user.id,
+          role: user.email === 'alice@example.com' ? 'owner' : 'member'
+        }
+      })
+    ));
+
+    console.log('✅ Created group memberships');
+
     // Create user streaks
     const streaks = await Promise.all([
       prisma.userStreak.upsert({
-        where: { userId: users[0].id },
+        where: { userId_groupId: { userId: users[0].id, groupId: group.id } },
         update: {},
         create: {
           userId: users[0].id,
+          groupId: group.id,
           currentStreak: 6,
           longestStreak: 8,
-          lastSubmissionWeek: moment().week() + moment().year() * 100 - 1,
+          lastSubmissionWeek: weekNumberFor(moment().subtract(1, 'week')),
           canInvite: true,
           inviteEligibleSince: moment().subtract(4, 'weeks').toDate()
         }
       }),
       prisma.userStreak.upsert({
-        where: { userId: users[1].id },
+        where: { userId_groupId: { userId: users[1].id, groupId: group.id } },
         update: {},
         create: {
           userId: users[1].id,
+          groupId: group.id,
           currentStreak: 4,
           longestStreak: 5,
-          lastSubmissionWeek: moment().week() + moment().year() * 100 - 1,
+          lastSubmissionWeek: weekNumberFor(moment().subtract(1, 'week')),
           canInvite: true,
           inviteEligibleSince: moment().subtract(2, 'weeks').toDate()
         }
       }),
       prisma.userStreak.upsert({
-        where: { userId: users[2].id },
+        where: { userId_groupId: { userId: users[2].id, groupId: group.id } },
         update: {},
         create: {
           userId: users[2].id,
+          groupId: group.id,
           currentStreak: 3,
           longestStreak: 3,
-          lastSubmissionWeek: moment().week() + moment().year() * 100 - 1,
+          lastSubmissionWeek: weekNumberFor(moment().subtract(1, 'week')),
           canInvite: false
         }
       }),
       prisma.userStreak.upsert({
-        where: { userId: users[3].id },
+        where: { userId_groupId: { userId: users[3].id, groupId: group.id } },
         update: {},
         create: {
           userId: users[3].id,
+          groupId: group.id,
           currentStreak: 1,
           longestStreak: 2,
-          lastSubmissionWeek: moment().week() + moment().year() * 100 - 1,
+          lastSubmissionWeek: weekNumberFor(moment().subtract(1, 'week')),
           canInvite: false
         }
       })
@@ -114,15 +147,16 @@ async function main() {
     const weeks = [];
     for (let i = 4; i >= 0; i--) {
       const weekStart = moment().subtract(i, 'weeks').day(4).startOf('day'); // Thursday
-      const weekNumber = weekStart.week() + weekStart.year() * 100;
+      const weekNumber = weekNumberFor(weekStart);
       const deadline = weekStart.clone().day(7).hour(18).minute(0); // Sunday 6 PM
       
       const status = i === 0 ? 'open' : 'compiled';
       
       const week = await prisma.week.upsert({
-        where: { weekNumber },
+        where: { groupId_weekNumber: { groupId: group.id, weekNumber } },
         update: {},
         create: {
+          groupId: group.id,
           weekNumber,
           startDate: weekStart.toDate(),
           deadline: deadline.toDate(),
@@ -153,8 +187,14 @@ async function main() {
           create: {
             userId: users[0].id,
             weekId: week.id,
-            recommendation: `Book: "The Midnight Library" by Matt Haig`,
-            reasons: "A beautiful exploration of life's infinite possibilities and the power of small choices. Really made me think about regret and gratitude.",
+            items: {
+              create: [{
+                position: 1,
+                category: 'book',
+                recommendation: `"The Midnight Library" by Matt Haig`,
+                reasons: "A beautiful exploration of life's infinite possibilities and the power of small choices. Really made me think about regret and gratitude."
+              }]
+            },
             message: "Been reading this during my commute and almost missed my stop twice because I was so absorbed. Anyone else have books that make you lose track of time?"
           }
         }));
@@ -173,8 +213,14 @@ async function main() {
           create: {
             userId: users[1].id,
             weekId: week.id,
-            recommendation: `Podcast: "Conan O'Brien Needs a Friend"`,
-            reasons: "Hilarious conversations with celebrities and just regular people. Conan's wit and genuine curiosity make every episode entertaining.",
+            items: {
+              create: [{
+                position: 1,
+                category: 'podcast',
+                recommendation: `"Conan O'Brien Needs a Friend"`,
+                reasons: "Hilarious conversations with celebrities and just regular people. Conan's wit and genuine curiosity make every episode entertaining."
+              }]
+            },
             message: "Started listening during my daily walks and now I actually look forward to doing errands. My neighbors probably think I'm weird for laughing out loud while walking the dog 🐕"
           }
         }));
@@ -193,8 +239,14 @@ async function main() {
           create: {
             userId: users[2].id,
             weekId: week.id,
-            recommendation: `App: Duolingo`,
-            reasons: "Finally got back into learning Spanish after years. The gamification really works to keep you motivated daily.",
+            items: {
+              create: [{
+                position: 1,
+                category: 'other',
+                recommendation: `Duolingo`,
+                reasons: "Finally got back into learning Spanish after years. The gamification really works to keep you motivated daily."
+              }]
+            },
             message: "My 127-day streak is becoming an unhealthy obsession but ¡estoy aprendiendo mucho! Anyone want to be Duolingo friends and keep each other accountable?"
           }
         }));
@@ -213,8 +265,14 @@ async function main() {
           create: {
             userId: users[3].id,
             weekId: week.id,
-            recommendation: `Restaurant: Joe's Pizza (NYC)`,
-            reasons: "Classic New York slice that hasn't changed in decades. Perfect cheese-to-sauce ratio and that crispy-chewy crust.",
+            items: {
+              create: [{
+                position: 1,
+                category: 'food',
+                recommendation: `Joe's Pizza (NYC)`,
+                reasons: "Classic New York slice that hasn't changed in decades. Perfect cheese-to-sauce ratio and that crispy-chewy crust."
+              }]
+            },
             message: "Went here after a terrible date last week and honestly the pizza was the best part of the evening. Sometimes you just need a reliable slice to restore your faith in simple pleasures 🍕"
           }
         }));
@@ -230,6 +288,7 @@ async function main() {
         update: {},
         create: {
           inviterId: users[0].id,
+          groupId: group.id,
           inviteeEmail: 'emily@example.com',
           inviteToken: 'sample-token-1',
           status: 'pending',
@@ -241,6 +300,7 @@ async function main() {
         update: {},
         create: {
           inviterId: users[1].id,
+          groupId: group.id,
           inviteeEmail: 'frank@example.com',
           inviteToken: 'sample-token-2',
           status: 'accepted',
@@ -285,12 +345,14 @@ async function main() {
     console.log('✅ Created system settings');
 
     // Summary
+    const totalGroups = await prisma.group.count();
     const totalUsers = await prisma.user.count();
     const totalWeeks = await prisma.week.count();
     const totalSubmissions = await prisma.submission.count();
     const totalInvites = await prisma.invite.count();
 
     console.log('\n📊 Seed Summary:');
+    console.log(`   Groups: ${totalGroups}`);
     console.log(`   Users: ${totalUsers}`);
     console.log(`   Weeks: ${totalWeeks}`);
     console.log(`   Submissions: ${totalSubmissions}`);
@@ -0,0 +1,100 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+// Move a database from before groups existed onto the group schema: creates
+// a default group, makes every user a member of it and assigns the existing
+// weeks, invites and streaks to it. Run it once, before `prisma db push`,
+// which can't add the required groupId columns to tables that hold data.
+// Running it again does nothing.
+// Usage: node src/scripts/upgradeToGroups.js
+
+const prisma = new PrismaClient();
+
+const DEFAULT_GROUP = "(SELECT \"id\" FROM \"groups\" WHERE \"slug\" = 'default')";
+
+// Add a foreign key unless it is already there
+function addForeignKey(table, name, column, references) {
+  return `DO $$ BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = '${name}') THEN
+      ALTER TABLE "${table}" ADD CONSTRAINT "${name}" FOREIGN KEY ("${column}") REFERENCES "${references}"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+  END $$`;
+}
+
+// Give a table a groupId column pointing at the default group
+function assignToDefaultGroup(table) {
+  return [
+    `ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "groupId" INTEGER`,
+    `UPDATE "${table}" SET "groupId" = ${DEFAULT_GROUP} WHERE "groupId" IS NULL`,
+    `ALTER TABLE "${table}" ALTER COLUMN "groupId" SET NOT NULL`,
+    addForeignKey(table, `${table}_groupId_fkey`, 'groupId', 'groups')
+  ];
+}
+
+async function main() {
+  const name = process.env.DEFAULT_GROUP_NAME || 'Weekly Recommendations';
+  const submitEmail = process.env.SUBMIT_EMAIL || 'submit@weeklyrecs.com';
+
+  console.log('🔧 Moving existing data into the default group...');
+
+  const statements = [
+    `CREATE TABLE IF NOT EXISTS "groups" (
+      "id" SERIAL NOT NULL,
+      "name" TEXT NOT NULL,
+      "slug" TEXT NOT NULL,
+      "submitEmail" TEXT NOT NULL,
+      "isActive" BOOLEAN NOT NULL DEFAULT true,
+      "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      "updatedAt" TIMESTAMP(3) NOT NULL,
+      CONSTRAINT "groups_pkey" PRIMARY KEY ("id")
+    )`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS "groups_slug_key" ON "groups"("slug")',
+    'CREATE UNIQUE INDEX IF NOT EXISTS "groups_submitEmail_key" ON "groups"("submitEmail")',
+    `CREATE TABLE IF NOT EXISTS "group_memberships" (
+      "id" SERIAL NOT NULL,
+      "groupId" INTEGER NOT NULL,
+      "userId" INTEGER NOT NULL,
+      "role" TEXT NOT NULL DEFAULT 'member',
+      "isActive" BOOLEAN NOT NULL DEFAULT true,
+      "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT "group_memberships_pkey" PRIMARY KEY ("id")
+    )`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS "group_memberships_groupId_userId_key" ON "group_memberships"("groupId", "userId")',
+    addForeignKey('group_memberships', 'group_memberships_groupId_fkey', 'groupId', 'groups'),
+    addForeignKey('group_memberships', 'group_memberships_userId_fkey', 'userId', 'users'),
+
+    [`INSERT INTO "groups" ("name", "slug", "submitEmail", "updatedAt")
+      VALUES ($1, 'default', $2, CURRENT_TIMESTAMP)
+      ON CONFLICT ("slug") DO NOTHING`, name, submitEmail],
+    `INSERT INTO "group_memberships" ("groupId", "userId", "joinedAt")
+      SELECT ${DEFAULT_GROUP}, "id", "joinDate" FROM "users"
+      ON CONFLICT ("groupId", "userId") DO NOTHING`,
+
+    // Week numbers and streaks were unique overall; now they are per group
+    ...assignToDefaultGroup('weeks'),
+    'DROP INDEX IF EXISTS "weeks_weekNumber_key"',
+    'CREATE UNIQUE INDEX IF NOT EXISTS "weeks_groupId_weekNumber_key" ON "weeks"("groupId", "weekNumber")',
+
+    ...assignToDefaultGroup('invites'),
+
+    ...assignToDefaultGroup('user_streaks'),
+    'DROP INDEX IF EXISTS "user_streaks_userId_key"',
+    'CREATE UNIQUE INDEX IF NOT EXISTS "user_streaks_userId_groupId_key" ON "user_streaks"("userId", "groupId")'
+  ];
+
+  await prisma.$transaction(statements.map(statement => Array.isArray(statement)
+    ? prisma.$executeRawUnsafe(...statement)
+    : prisma.$executeRawUnsafe(statement)
+  ));
+
+  const [group] = await prisma.$queryRawUnsafe('SELECT "id", "name" FROM "groups" WHERE "slug" = \'default\'');
+  console.log(`✅ Existing users, weeks, invites and streaks now belong to "${group.name}" (id ${group.id})`);
+  console.log('   Now run `npx prisma db push` to bring the rest of the schema up to date');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Error moving data into the default group:', e);
+    process.exit(1);
+  });
@@ -0,0 +1,494 @@
+const { PrismaClient } = require('@prisma/client');
+const { EmailService } = require('./emailService');
+const { EmailProcessor } = require('./emailProcessor');
+const { GroupService } = require('./groupService');
+const { InvitationService } = require('./invitationService');
+const { JoinRequestService } = require('./joinRequestService');
+const { PauseService } = require('./pauseService');
+const { PreferenceService } = require('./preferenceService');
+const { ScheduleService } = require('./scheduleService');
+const moment = require('moment-timezone');
+const { CATEGORIES } = require('../utils/categories');
+const { normalizeInboundEmail } = require('../utils/emailNormalizer');
+const { describeRound, groupCadence } = require('../utils/rounds');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Recognises email commands (in the subject or first line of the body) and
+ * runs them. Commands are registered with:
+ *   name        - command keyword, e.g. 'STATUS'
+ *   usage       - how to write it, shown in HELP
+ *   description - what it does, shown in HELP
+ *   pattern     - regex tested against the subject and the first line
+ *   match       - optional custom matcher (email) => args | null, used instead of pattern
+ *   handler     - async ({ email, senderEmail, user, args }) => result
+ *
+ * A handler either sends its own emails and returns { success, error },
+ * or returns { success, response: { title, message, items } } which is
+ * emailed back to the sender.
+ */
+class CommandDispatcher {
+  constructor() {
+    this.emailService = new EmailService();
+    this.emailProcessor = new EmailProcessor();
+    this.groupService = new GroupService();
+    this.invitationService = new InvitationService();
+    this.joinRequestService = new JoinRequestService();
+    this.pauseService = new PauseService();
+    this.preferenceService = new PreferenceService();
+    this.scheduleService = new ScheduleService();
+    this.timezone = process.env.TIMEZONE || 'America/New_York';
+    this.maxPauseWeeks = parseInt(process.env.MAX_PAUSE_WEEKS) || 12;
+    this.commands = [];
+
+    this.registerDefaultCommands();
+  }
+
+  /**
+   * Register a command
+   */
+  register(command) {
+    this.commands.push(command);
+    return this;
+  }
+
+  registerDefaultCommands() {
+    this.register({
+      name: 'HELP',
+      usage: 'HELP',
+      description: 'Get the submission format and this list of commands',
+      pattern: /^HELP\s*$/i,
+      handler: context => this.handleHelp(context)
+    });
+
+    this.register({
+      name: 'STATUS',
+      usage: 'STATUS',
+      description: 'See your streak, invites remaining and whether you have submitted this week',
+      pattern: /^STATUS\s*$/i,
+      handler: context => this.handleStatus(context)
+    });
+
+    this.register({
+      name: 'PAUSE',
+      usage: 'PAUSE 2 weeks',
+      description: `Stop prompt emails for a while without breaking your streak (up to ${this.maxPauseWeeks} weeks)`,
+      pattern: /^PAUSE(?:\s+(\d+)(?:\s*weeks?)?)?\s*$/i,
+      handler: context => this.handlePause(context)
+    });
+
+    this.register({
+      name: 'RESUME',
+      usage: 'RESUME',
+      description: 'End a pause early',
+      pattern: /^RESUME\s*$/i,
+      handler: context => this.handleResume(context)
+    });
+
+    this.register({
+      name: 'REMINDERS',
+      usage: 'REMINDERS OFF',
+      description: 'Stop (or with REMINDERS ON, restart) the deadline reminder emails',
+      pattern: /^REMINDERS\s+(ON|OFF)\s*$/i,
+      handler: context => this.handleReminders(context)
+    });
+
+    this.register({
+      name: 'UNSUBSCRIBE',
+      usage: 'UNSUBSCRIBE',
+      description: 'Leave the group this email was sent to',
+      pattern: /^UNSUBSCRIBE\s*$/i,
+      handler: context => this.handleUnsubscribe(context)
+    });
+
+    this.register({
+      name: 'INVITES',
+      usage: 'INVITES',
+      description: 'List the invitations you have sent that are still pending',
+      pattern: /^INVITES\s*$/i,
+      handler: context => this.handleInvites(context)
+    });
+
+    this.register({
+      name: 'RESEND',
+      usage: 'RESEND friend@email.com',
+      description: 'Send a pending or expired invitation again with a fresh link',
+      pattern: /^RESEND:?\s+([^\s@]+@[^\s@]+\.[^\s@]+)\s*$/i,
+      handler: context => this.handleResend(context)
+    });
+
+    this.register({
+      name: 'REVOKE',
+      usage: 'REVOKE friend@email.com',
+      description: 'Cancel a pending invitation and get the invite back',
+      pattern: /^REVOKE:?\s+([^\s@]+@[^\s@]+\.[^\s@]+)\s*$/i,
+      handler: context => this.handleRevoke(context)
+    });
+
+    this.register({
+      name: 'VOUCH',
+      usage: 'VOUCH someone@email.com',
+      description: 'Vouch for someone who has asked to join the group',
+      pattern: /^VOUCH:?\s+([^\s@]+@[^\s@]+\.[^\s@]+)\s*$/i,
+      handler: context => this.handleVouch(context)
+    });
+
+    this.register({
+      name: 'WITHDRAW',
+      usage: 'WITHDRAW',
+      description: "Take back this week's submission",
+      pattern: /^WITHDRAW\b/i,
+      handler: ({ email }) => this.emailProcessor.processWithdrawCommand(email)
+    });
+
+    this.register({
+      name: 'INVITE',
+      usage: 'INVITE: friend@email.com',
+      description: 'Invite a friend to the group (once you have earned invites)',
+      // INVITE: has always been accepted anywhere in the body
+      match: email => {
+        const inviteCommand = this.invitationService.parseInviteCommand(normalizeInboundEmail(email));
+        return inviteCommand.isInviteCommand ? [null, inviteCommand.email] : null;
+      },
+      handler: ({ email, senderEmail, args }) =>
+        this.invitationService.processInviteCommand(senderEmail, args[1], email.to)
+    });
+  }
+
+  /**
+   * Find the command an email contains, if any
+   */
+  match(email) {
+    const cleanSubject = (email.subject || '').replace(/^\s*(?:(?:re|fwd?|aw)\s*:\s*)+/i, '').trim();
+    const body = normalizeInboundEmail(email);
+    const firstLine = (body.split('\n').find(line => line.trim() !== '') || '').trim();
+
+    for (const command of this.commands) {
+      const args = command.match
+        ? command.match(email)
+        : cleanSubject.match(command.pattern) || firstLine.match(command.pattern);
+
+      if (args) {
+        return { command, args };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a matched command and email the response
+   */
+  async dispatch({ command, args }, email, senderEmail) {
+    try {
+      logger.info('Processing email command:', { command: command.name, from: senderEmail });
+
+      const user = await prisma.user.findUnique({
+        where: { email: senderEmail }
+      });
+
+      if (!user || !user.isActive) {
+        logger.warn('Command from unknown or inactive user:', { command: command.name, from: senderEmail });
+        await this.emailService.sendErrorEmail(
+          senderEmail,
+          'Unknown User',
+          'You are not registered for the weekly recommendations system.'
+        );
+        return { success: false, error: 'Unknown user' };
+      }
+
+      const result = await command.handler({ email, senderEmail, user, args });
+
+      if (result.response) {
+        await this.emailService.sendCommandResponse(
+          senderEmail,
+          user.firstName || 'Friend',
+          result.response,
+          result.group || null
+        );
+      }
+
+      return {
+        success: result.success,
+        error: result.error || null,
+        submissionId: result.submissionId || null
+      };
+
+    } catch (error) {
+      logger.error('Error processing email command:', { command: command.name, error });
+      return { success: false, error: 'Processing failed' };
+    }
+  }
+
+  async handleHelp() {
+    return {
+      success: true,
+      response: {
+        title: 'How it works',
+        message: 'To submit, reply to your prompt email using this format:\n\n' +
+          'RECOMMENDATION: [What you\'re recommending]\n' +
+          `CATEGORY: [Optional - ${CATEGORIES.join(', ')}]\n` +
+          'REASON WHY: [Why you recommend it]\n' +
+          'DIGRESSIONS: [Life updates, thoughts, or silly messages]\n\n' +
+          'For more than one recommendation, add RECOMMENDATION 2:, CATEGORY 2: and REASON WHY 2: before your DIGRESSIONS.\n\n' +
+          'You can also send any of these commands in the subject or on the first line of an email:',
+        items: this.commands.map(command => `${command.usage} - ${command.description}`)
+      }
+    };
+  }
+
+  async handleStatus({ user }) {
+    const groups = await this.groupService.getUserGroups(user.id);
+    const schedule = await this.scheduleService.getSchedule();
+
+    const items = [];
+    for (const group of groups) {
+      // Streaks are counted in the group's rounds: weeks, fortnights, months...
+      const { period } = describeRound({ ...groupCadence(group, schedule), startDate: new Date() }, this.timezone);
+
+      const streak = await prisma.userStreak.findUnique({
+        where: { userId_groupId: { userId: user.id, groupId: group.id } }
+      });
+
+      const openWeek = await prisma.week.findFirst({
+        where: { status: 'open', groupId: group.id },
+        orderBy: { createdAt: 'desc' },
+        include: {
+          submissions: { where: { userId: user.id }, select: { id: true } }
+        }
+      });
+
+      const roundName = openWeek && describeRound(openWeek, this.timezone).name;
+      const weekStatus = !openWeek
+        ? `no ${period} is open right now`
+        : openWeek.submissions.length > 0
+          ? `you've submitted for ${roundName}`
+          : `you haven't submitted for ${roundName} yet (due ${moment(openWeek.deadline).tz(this.timezone).format('dddd [at] h:mm A')})`;
+
+      const eligibility = await this.invitationService.checkInviteEligibility(user.id, group.id);
+      const inviteStatus = eligibility.eligible
+        ? `${eligibility.invitesRemaining} invites remaining`
+        : `no invites available (${eligibility.reason})`;
+
+      items.push(
+        `${group.name}: ${streak ? streak.currentStreak : 0}-${period} streak ` +
+        `(longest ${streak ? streak.longestStreak : 0}), ${weekStatus}, ${inviteStatus}`
+      );
+    }
+
+    const activePause = await this.pauseService.getActivePause(user.id);
+    const message = activePause
+      ? `Your emails are paused until ${moment(activePause.endsAt).tz(this.timezone).format('dddd, MMMM Do')}. Here's where you stand:`
+      : "Here's where you stand:";
+
+    return {
+      success: true,
+      response: {
+        title: 'Your status',
+        message: groups.length > 0 ? message : "You're not a member of any active group right now.",
+        items
+      }
+    };
+  }
+
+  async handlePause({ user, args }) {
+    const weeks = args[1] ? parseInt(args[1]) : 1;
+
+    if (weeks < 1 || weeks > this.maxPauseWeeks) {
+      return {
+        success: false,
+        error: 'Invalid pause length',
+        response: {
+          title: 'Pause not set',
+          message: `You can pause for between 1 and ${this.maxPauseWeeks} weeks, e.g. "PAUSE 2 weeks".`
+        }
+      };
+    }
+
+    const pause = await this.pauseService.pauseUser(user.id, {
+      endsAt: moment.tz(this.timezone).add(weeks, 'weeks').toDate(),
+      reason: `PAUSE ${weeks} weeks by email`
+    });
+
+    return {
+      success: true,
+      response: {
+        title: 'Emails paused',
+        message: `Enjoy the break! Your emails are paused until ${moment(pause.endsAt).tz(this.timezone).format('dddd, MMMM Do')}, and your streak is frozen until then. Send RESUME any time to come back early.`
+      }
+    };
+  }
+
+  async handleResume({ user }) {
+    await this.pauseService.resumeUser(user.id);
+
+    return {
+      success: true,
+      response: {
+        title: 'Welcome back',
+        message: "Your pause has ended and you'll get the next prompt as usual."
+      }
+    };
+  }
+
+  async handleReminders({ user, args }) {
+    const wanted = args[1].toUpperCase() === 'ON';
+    await this.preferenceService.updatePreferences(user.email, { reminders: wanted });
+
+    return {
+      success: true,
+      response: wanted
+        ? { title: 'Reminders on', message: "You'll get a reminder before the deadline when you haven't submitted yet." }
+        : { title: 'Reminders off', message: "You won't get any more deadline reminders. Reply REMINDERS ON to turn them back on." }
+    };
+  }
+
+  async handleUnsubscribe({ email, user }) {
+    const { group, error: groupError } = await this.groupService.resolveGroupForInbound(email.to, user.id);
+
+    if (!group) {
+      return {
+        success: false,
+        error: 'Unknown group',
+        response: { title: 'Unsubscribe failed', message: groupError }
+      };
+    }
+
+    await this.groupService.removeMember(group.id, user.id);
+
+    logger.userAction('unsubscribed', user.id, { groupId: group.id });
+
+    return {
+      success: true,
+      group,
+      response: {
+        title: `You've left ${group.name}`,
+        message: "You won't receive any more emails for this group. If you change your mind, ask a member to invite you back."
+      }
+    };
+  }
+
+  async handleInvites({ user }) {
+    const invites = await prisma.invite.findMany({
+      where: {
+        inviterId: user.id,
+        OR: [
+          { status: 'pending', expiresAt: { gt: new Date() } },
+          { status: 'awaiting_approval' }
+        ]
+      },
+      orderBy: { sentAt: 'desc' },
+      include: { group: { select: { name: true } } }
+    });
+
+    return {
+      success: true,
+      response: {
+        title: 'Your pending invites',
+        message: invites.length > 0
+          ? `You have ${invites.length} pending invitation${invites.length === 1 ? '' : 's'} (send RESEND or REVOKE with their email address to send one again or cancel it):`
+          : "You don't have any pending invitations.",
+        items: invites.map(invite => invite.status === 'awaiting_approval'
+          ? `${invite.inviteeEmail} (${invite.group.name}) - awaiting approval`
+          : `${invite.inviteeEmail} (${invite.group.name}) - expires ${moment(invite.expiresAt).tz(this.timezone).format('MMMM Do')}`
+        )
+      }
+    };
+  }
+
+  async handleResend({ user, args }) {
+    const invite = await this.invitationService.findSentInvite(user.id, args[1]);
+    const result = invite
+      ? await this.invitationService.resendInvite(invite.id, { inviterId: user.id })
+      : { success: false, error: 'Invitation not found' };
+
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        response: {
+          title: 'Invitation not resent',
+          message: `Could not resend your invitation to ${args[1]}: ${result.error}`
+        }
+      };
+    }
+
+    return {
+      success: true,
+      response: {
+        title: 'Invitation resent',
+        message: `Your invitation has been sent to ${result.inviteeEmail} again with a fresh link. It expires ${moment(result.expiresAt).tz(this.timezone).format('dddd, MMMM Do')}.`
+      }
+    };
+  }
+
+  async handleRevoke({ user, args }) {
+    const invite = await this.invitationService.findSentInvite(user.id, args[1], ['pending', 'awaiting_approval']);
+    const result = invite
+      ? await this.invitationService.revokeInvite(invite.id, { inviterId: user.id })
+      : { success: false, error: 'No pending invitation for that address' };
+
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        response: {
+          title: 'Invitation not revoked',
+          message: `Could not revoke your invitation to ${args[1]}: ${result.error}`
+        }
+      };
+    }
+
+    return {
+      success: true,
+      response: {
+        title: 'Invitation revoked',
+        message: `Your invitation to ${result.inviteeEmail} has been cancelled and its link no longer works. You have that invite back to use on someone else.`
+      }
+    };
+  }
+
+  async handleVouch({ email, user, args }) {
+    const { group, error: groupError } = await this.groupService.resolveGroupForInbound(email.to, user.id);
+
+    if (!group) {
+      return {
+        success: false,
+        error: 'Unknown group',
+        response: { title: 'Vouch not recorded', message: groupError }
+      };
+    }
+
+    const result = await this.joinRequestService.vouch(user, group.id, args[1]);
+
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        group,
+        response: {
+          title: 'Vouch not recorded',
+          message: `Could not vouch for ${args[1]}: ${result.error}`
+        }
+      };
+    }
+
+    const stillNeeded = result.vouchesRequired - result.vouchCount;
+    return {
+      success: true,
+      group,
+      response: {
+        title: 'Thanks for vouching',
+        message: result.approved
+          ? `Thanks! That was the last vouch ${args[1]} needed, so they've been added to ${group.name}.`
+          : stillNeeded > 0
+            ? `Thanks! ${args[1]} needs ${stillNeeded} more vouch${stillNeeded === 1 ? '' : 'es'} to join ${group.name}.`
+            : `Thanks! Your vouch has been passed on to the admins, who will make the final call on ${args[1]} joining ${group.name}.`
+      }
+    };
+  }
+}
+
+module.exports = { CommandDispatcher };
@@ -0,0 +1,197 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Events besides hard bounces that mean we must stop emailing an address
+const SUPPRESSING_EVENTS = ['spamreport', 'unsubscribe', 'group_unsubscribe'];
+
+// SendGrid drop reasons that mean the address itself is bad
+const BAD_ADDRESS_DROP_REASONS = /bounced address|invalid/i;
+
+// Events shown on the dashboard
+const TRACKED_EVENTS = ['delivered', 'open', 'bounce', 'dropped', 'spamreport', 'unsubscribe'];
+
+/**
+ * Records SendGrid delivery events and keeps the suppression list
+ */
+class EmailEventService {
+  /**
+   * Record a batch of events from the Event Webhook
+   */
+  async recordEvents(events) {
+    const results = { recorded: 0, duplicates: 0, failed: 0 };
+
+    for (const event of events) {
+      try {
+        const recorded = await this.recordEvent(event);
+        results[recorded ? 'recorded' : 'duplicates']++;
+      } catch (error) {
+        logger.error('Error recording email event:', { event: event.event, email: event.email, error });
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Record one event and act on it. Returns false if it was already recorded.
+   */
+  async recordEvent(event) {
+    const email = (event.email || '').toLowerCase().trim();
+
+    try {
+      await prisma.emailEvent.create({
+        data: {
+          outboundEmailId: await this.findOutboundEmailId(event),
+          email,
+          event: event.event,
+          reason: event.reason || event.response || null,
+          bounceType: event.event === 'bounce' ? event.type || 'bounce' : null,
+          sgEventId: event.sg_event_id || null,
+          sgMessageId: event.sg_message_id || null,
+          occurredAt: event.timestamp ? new Date(event.timestamp * 1000) : new Date(),
+          payload: event
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return false;
+      }
+      throw error;
+    }
+
+    if (this.isHardBounce(event)) {
+      await this.suppress(email, 'bounce', event.reason);
+      await this.deactivateUser(email, event.reason);
+    } else if (SUPPRESSING_EVENTS.includes(event.event)) {
+      await this.suppress(email, event.event === 'spamreport' ? 'spamreport' : 'unsubscribe', event.reason);
+    }
+
+    return true;
+  }
+
+  /**
+   * The queued email an event is about, from the id sent along in customArgs
+   */
+  async findOutboundEmailId(event) {
+    const id = parseInt(event.outbound_email_id);
+    if (!id) return null;
+
+    const outboundEmail = await prisma.outboundEmail.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    return outboundEmail ? outboundEmail.id : null;
+  }
+
+  /**
+   * A bounce the receiving server says is permanent ("blocked" bounces are
+   * usually temporary), or a drop because the address is known to be bad
+   */
+  isHardBounce(event) {
+    if (event.event === 'bounce') {
+      return event.type !== 'blocked';
+    }
+
+    return event.event === 'dropped' && BAD_ADDRESS_DROP_REASONS.test(event.reason || '');
+  }
+
+  /**
+   * Stop emailing an address
+   */
+  async suppress(email, reason, detail = null) {
+    if (!email) return null;
+
+    const suppression = await prisma.emailSuppression.upsert({
+      where: { email },
+      update: {},
+      create: { email, reason, detail }
+    });
+
+    logger.warn('Email address suppressed:', { email, reason });
+    return suppression;
+  }
+
+  /**
+   * Allow emailing an address again
+   */
+  async unsuppress(email) {
+    const result = await prisma.emailSuppression.deleteMany({
+      where: { email: email.toLowerCase().trim() }
+    });
+
+    if (result.count > 0) {
+      logger.info('Email address unsuppressed:', { email });
+    }
+
+    return result.count > 0;
+  }
+
+  /**
+   * Check whether an address must not be emailed
+   */
+  async isSuppressed(email) {
+    const suppression = await prisma.emailSuppression.findUnique({
+      where: { email: email.toLowerCase().trim() }
+    });
+
+    return !!suppression;
+  }
+
+  /**
+   * Deactivate the user whose address hard-bounced
+   */
+  async deactivateUser(email, reason) {
+    const result = await prisma.user.updateMany({
+      where: { email, isActive: true },
+      data: { isActive: false }
+    });
+
+    if (result.count > 0) {
+      logger.warn('User deactivated after hard bounce:', { email, reason });
+    }
+  }
+
+  /**
+   * Event counts and rates for the last few days, for the dashboard
+   */
+  async getDeliverabilityStats(days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const counts = await prisma.emailEvent.groupBy({
+      by: ['event'],
+      where: {
+        event: { in: TRACKED_EVENTS },
+        occurredAt: { gte: since }
+      },
+      _count: { _all: true }
+    });
+
+    const events = Object.fromEntries(TRACKED_EVENTS.map(event => [event, 0]));
+    counts.forEach(count => {
+      events[count.event] = count._count._all;
+    });
+
+    const attempted = events.delivered + events.bounce + events.dropped;
+    const percent = count => attempted > 0 ? Math.round(count / attempted * 1000) / 10 : null;
+
+    const suppressions = await prisma.emailSuppression.groupBy({
+      by: ['reason'],
+      _count: { _all: true }
+    });
+
+    return {
+      days,
+      events,
+      deliveryRate: percent(events.delivered),
+      bounceRate: percent(events.bounce),
+      spamReportRate: percent(events.spamreport),
+      suppressed: Object.fromEntries(suppressions.map(count => [count.reason, count._count._all]))
+    };
+  }
+}
+
+module.exports = { EmailEventService };
@@ -1,5 +1,12 @@
 const { PrismaClient } = require('@prisma/client');
 const { EmailService } = require('./emailService');
+const { GroupService } = require('./groupService');
+const { JoinRequestService } = require('./joinRequestService');
+const { LateSubmissionService } = require('./lateSubmissionService');
+const { StreakEngine } = require('./streakEngine');
+const { SubmissionParser } = require('./submissionParser');
+const { CATEGORIES } = require('../utils/categories');
+const { normalizeInboundEmail } = require('../utils/emailNormalizer');
 const logger = require('../utils/logger');
 const Joi = require('joi');
 
@@ -8,95 +15,78 @@ const prisma = new PrismaClient();
 class EmailProcessor {
   constructor() {
     this.emailService = new EmailService();
+    this.groupService = new GroupService();
+    this.joinRequestService = new JoinRequestService();
+    this.lateSubmissionService = new LateSubmissionService();
+    this.streakEngine = new StreakEngine();
+    this.submissionParser = new SubmissionParser();
+    // 'replace': any second submission overwrites the first
+    // 'explicit': only submissions marked EDIT: / REPLACE overwrite
+    this.editMode = process.env.SUBMISSION_EDIT_MODE || 'replace';
+    this.maxRecommendations = parseInt(process.env.MAX_RECOMMENDATIONS_PER_SUBMISSION) || 5;
   }
 
   /**
    * Parse submission from email body
    * Expected format:
    * RECOMMENDATION: [content]
+   * CATEGORY: [optional - book, film, tv, music, podcast, food, place, other]
    * REASON WHY: [content]
    * DIGRESSIONS: [content]
+   *
+   * Several recommendations can be given, either as repeated blocks or
+   * numbered ones (RECOMMENDATION 2:, CATEGORY 2:, REASON WHY 2:).
+   * Label synonyms and markdown formatting are handled by SubmissionParser.
+   * The body should already be normalised (see utils/emailNormalizer).
    */
   parseSubmission(emailBody, subject = '') {
     try {
-      // Clean the email body
-      const cleanBody = this.cleanEmailBody(emailBody);
-      
-      // Parsing patterns for the three required fields
-      const patterns = {
-        recommendation: /(?:RECOMMENDATION|RECOMMEND):\s*(.+?)(?=\n\s*(?:REASON\s+WHY|DIGRESSIONS|$))/is,
-        reasonWhy: /REASON\s+WHY:\s*(.+?)(?=\n\s*(?:RECOMMENDATION|DIGRESSIONS|$))/is,
-        digressions: /DIGRESSIONS:\s*(.+?)(?=\n\s*(?:RECOMMENDATION|REASON\s+WHY|$))/is
-      };
-
-      const parsed = {};
-      
-      for (const [field, pattern] of Object.entries(patterns)) {
-        const match = cleanBody.match(pattern);
-        if (match) {
-          parsed[field] = match[1].trim().replace(/\n\s*/g, ' ');
-        }
-      }
+      const parsed = this.submissionParser.parse(emailBody);
 
       logger.info('Parsed submission fields:', {
-        hasRecommendation: !!parsed.recommendation,
-        hasReasonWhy: !!parsed.reasonWhy,
+        recommendationCount: parsed.recommendations.length,
+        hasReasonWhy: parsed.recommendations.every(rec => !!rec.reasonWhy),
         hasDigressions: !!parsed.digressions
       });
 
       return parsed;
     } catch (error) {
       logger.error('Error parsing submission:', error);
-      return {};
+      return { recommendations: [] };
     }
   }
 
   /**
-   * Clean email body by removing reply chains, signatures, etc.
+   * Validate parsed submission data.
+   * Fields listed in optionalFields may be left out.
    */
-  cleanEmailBody(body) {
-    let cleaned = body;
-    
-    // Remove common reply chain indicators
-    const replyPatterns = [
-      /On .+wrote:/gi,
-      /From:.+/gi,
-      /Sent:.+/gi,
-      /To:.+/gi,
-      /Subject:.+/gi,
-      /-----Original Message-----/gi,
-      /________________________________/g,
-      /--\s*$/gm, // Signature separator
-      /Sent from my iPhone/gi,
-      /Sent from my Android/gi
-    ];
-
-    for (const pattern of replyPatterns) {
-      cleaned = cleaned.replace(pattern, '');
-    }
-
-    // Remove excessive whitespace
-    cleaned = cleaned.replace(/\n\s*\n\s*\n/g, '\n\n');
-    cleaned = cleaned.trim();
+  validateSubmissionFormat(parsedData, optionalFields = []) {
+    const requiredUnlessOptional = (rule, field) =>
+      optionalFields.includes(field) ? rule : rule.required();
 
-    return cleaned;
-  }
-
-  /**
-   * Validate parsed submission data
-   */
-  validateSubmissionFormat(parsedData) {
     const schema = Joi.object({
-      recommendation: Joi.string().min(5).max(500).required(),
-      reasonWhy: Joi.string().min(10).max(1000).required(),
-      digressions: Joi.string().min(5).max(1000).required()
+      recommendations: Joi.array().items(Joi.object({
+        recommendation: Joi.string().min(5).max(500).required().label('RECOMMENDATION'),
+        reasonWhy: requiredUnlessOptional(Joi.string().min(10).max(1000).label('REASON WHY'), 'reasonWhy'),
+        category: Joi.string().valid(...CATEGORIES).label('CATEGORY')
+      })).min(1).max(this.maxRecommendations).required().label('RECOMMENDATION'),
+      digressions: requiredUnlessOptional(Joi.string().min(5).max(1000).label('DIGRESSIONS'), 'digressions')
     });
 
-    const { error, value } = schema.validate(parsedData);
+    const { error, value } = schema.validate(parsedData, { abortEarly: false });
     
     if (error) {
-      logger.warn('Validation error:', error.details);
-      return { valid: false, errors: error.details };
+      // Say which recommendation a problem is with when there are several
+      const multiple = (parsedData.recommendations || []).length > 1;
+      const errors = error.details.map(detail => {
+        if (multiple && detail.path[0] === 'recommendations' && typeof detail.path[1] === 'number') {
+          return { ...detail, message: `Recommendation ${detail.path[1] + 1}: ${detail.message}` };
+        }
+        return detail;
+      });
+
+      logger.warn('Validation error:', errors);
+      return { valid: false, errors };
     }
 
     return { valid: true, data: value };
@@ -107,7 +97,7 @@ class EmailProcessor {
    */
   async processInboundEmail(sendGridPayload) {
     try {
-      const { from, to, subject, text, html } = sendGridPayload;
+      const { from, to, subject } = sendGridPayload;
       
       logger.info('Processing inbound email:', { 
         from, 
@@ -124,12 +114,17 @@ class EmailProcessor {
 
       // Check if user exists
       const user = await prisma.user.findUnique({
-        where: { email: senderEmail },
-        include: { streak: true }
+        where: { email: senderEmail }
       });
 
-      if (!user || !user.isActive) {
-        logger.warn('Email from unknown or inactive user:', senderEmail);
+      // People we don't know yet can ask to join the group they wrote to
+      if (!user) {
+        logger.warn('Email from unknown sender:', senderEmail);
+        return await this.joinRequestService.handleStrangerEmail(senderEmail, sendGridPayload);
+      }
+
+      if (!user.isActive) {
+        logger.warn('Email from inactive user:', senderEmail);
         await this.emailService.sendErrorEmail(
           senderEmail, 
           'Unknown User', 
@@ -138,22 +133,29 @@ class EmailProcessor {
         return { success: false, error: 'Unknown user' };
       }
 
-      // Get current active week
-      const currentWeek = await prisma.week.findFirst({
-        where: { status: 'open' },
-        orderBy: { createdAt: 'desc' }
-      });
+      // Work out which group the email was sent to
+      const { group, error: groupError } = await this.groupService.resolveGroupForInbound(to, user.id);
+      if (!group) {
+        logger.warn('Could not resolve group for submission:', { userId: user.id, to });
+        await this.emailService.sendErrorEmail(senderEmail, 'Unknown Group', groupError);
+        return { success: false, error: 'Unknown group' };
+      }
+
+      // Get the group's current active week, or a closed one still in its grace window
+      const accepting = await this.lateSubmissionService.findAcceptingWeek(group.id);
 
-      if (!currentWeek) {
+      if (!accepting) {
         logger.warn('No active week found for submission');
         await this.emailService.sendErrorEmail(
           senderEmail,
           'No Active Week',
-          'There is no active week for submissions right now.'
+          `There is no active week for ${group.name} submissions right now.`
         );
         return { success: false, error: 'No active week' };
       }
 
+      const { week: currentWeek, isLate } = accepting;
+
       // Check if already submitted this week
       const existingSubmission = await prisma.submission.findUnique({
         where: {
@@ -161,57 +163,105 @@ class EmailProcessor {
             userId: user.id,
             weekId: currentWeek.id
           }
-        }
+        },
+        include: { items: { orderBy: { position: 'asc' } } }
       });
 
-      if (existingSubmission) {
+      // The roundup has already gone out with the earlier submission in it
+      if (existingSubmission && currentWeek.status !== 'open') {
+        logger.warn('Edit after the week closed:', { userId: user.id, weekId: currentWeek.id });
+        await this.emailService.sendErrorEmail(
+          senderEmail,
+          'Already Submitted',
+          'You have already submitted a recommendation for this week, and the roundup has gone out, so it can no longer be changed.'
+        );
+        return { success: false, error: 'Already submitted' };
+      }
+
+      // Strip any EDIT: / REPLACE marker before parsing
+      const { isEdit, body: emailBody } = this.detectEditMode(normalizeInboundEmail(sendGridPayload), subject);
+
+      if (existingSubmission && this.editMode === 'explicit' && !isEdit) {
         logger.warn('User already submitted this week:', { userId: user.id, weekId: currentWeek.id });
         await this.emailService.sendErrorEmail(
           senderEmail,
           'Already Submitted',
-          'You have already submitted a recommendation for this week.'
+          'You have already submitted a recommendation for this week. To change it, send your new submission with EDIT: on the first line.'
         );
         return { success: false, error: 'Already submitted' };
       }
 
       // Parse the submission
-      const emailBody = text || html || '';
-      const parsedData = this.parseSubmission(emailBody, subject);
+      let parsedData = this.parseSubmission(emailBody, subject);
+      const optionalFields = await this.submissionParser.getOptionalFields();
+
+      // Complete an earlier submission that was missing something
+      const draft = await prisma.submissionDraft.findUnique({
+        where: {
+          userId_weekId: {
+            userId: user.id,
+            weekId: currentWeek.id
+          }
+        }
+      });
+
+      if (draft) {
+        parsedData = this.submissionParser.mergeWithDraft(draft, parsedData, emailBody, optionalFields);
+      }
+
+      // Looks like a submission but something is missing - keep it and ask for the rest
+      const missingFields = this.submissionParser.findMissingFields(parsedData, optionalFields);
+      if (missingFields.length > 0 && this.submissionParser.looksLikeSubmission(parsedData)) {
+        return await this.saveDraft(parsedData, missingFields, user, currentWeek, group);
+      }
       
       // Validate submission format
-      const validation = this.validateSubmissionFormat(parsedData);
+      const validation = this.validateSubmissionFormat(parsedData, optionalFields);
       if (!validation.valid) {
         logger.warn('Invalid submission format:', validation.errors);
         await this.emailService.sendSubmissionFormatError(senderEmail, validation.errors);
         return { success: false, error: 'Invalid format', details: validation.errors };
       }
 
+      if (draft) {
+        await prisma.submissionDraft.delete({ where: { id: draft.id } });
+      }
+
+      // Replace the earlier submission while the week is still open
+      if (existingSubmission) {
+        return await this.replaceSubmission(existingSubmission, validation.data, user, currentWeek, group, isLate);
+      }
+
       // Save submission
       const submission = await prisma.submission.create({
         data: {
           userId: user.id,
           weekId: currentWeek.id,
-          recommendation: validation.data.recommendation,
-          reasons: validation.data.reasonWhy,
-          message: validation.data.digressions
+          message: validation.data.digressions || '',
+          isLate,
+          items: { create: this.toSubmissionItems(validation.data) }
         }
       });
 
       // Update user streak
-      await this.updateUserStreak(user.id, currentWeek.weekNumber);
+      await this.updateUserStreak(user, group);
 
       // Send confirmation email
       await this.emailService.sendSubmissionConfirmation(
         senderEmail,
         user.firstName || 'Friend',
         validation.data,
-        currentWeek.weekNumber
+        currentWeek,
+        group,
+        { lateAddition: currentWeek.status !== 'open' }
       );
 
       logger.info('Submission processed successfully:', { 
         userId: user.id, 
+        groupId: group.id,
         weekId: currentWeek.id,
-        submissionId: submission.id 
+        submissionId: submission.id,
+        isLate
       });
 
       return { success: true, submissionId: submission.id };
@@ -223,96 +273,265 @@ class EmailProcessor {
   }
 
   /**
-   * Extract email address from various formats
+   * Detect an explicit EDIT: / REPLACE marker in the subject or first line of the body.
+   * The marker is removed from the body so it doesn't end up in the submission.
    */
-  extractEmail(emailString) {
-    if (!emailString) return null;
-    
-    // Handle formats like "Name <email@domain.com>" or just "email@domain.com"
-    const emailRegex = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/;
-    const match = emailString.match(emailRegex);
-    
-    return match ? match[1].toLowerCase() : null;
+  detectEditMode(emailBody, subject = '') {
+    const markerPattern = /^\s*(?:EDIT|REPLACE)\s*(?::|$)/i;
+
+    // Ignore reply/forward prefixes like "Re: Fwd:"
+    const cleanSubject = (subject || '').replace(/^\s*(?:(?:re|fwd?|aw)\s*:\s*)+/i, '');
+    const subjectMarked = /^(?:EDIT|REPLACE)\b/i.test(cleanSubject);
+
+    const lines = emailBody.split('\n');
+    const firstLineIndex = lines.findIndex(line => line.trim() !== '');
+    let bodyMarked = false;
+
+    if (firstLineIndex !== -1 && markerPattern.test(lines[firstLineIndex])) {
+      bodyMarked = true;
+      lines[firstLineIndex] = lines[firstLineIndex].replace(markerPattern, '');
+    }
+
+    return {
+      isEdit: subjectMarked || bodyMarked,
+      body: lines.join('\n')
+    };
+  }
+
+  /**
+   * Overwrite an existing submission, keeping the old version as a revision.
+   * Whether it is late goes by when the replacement arrived, as for a new one.
+   */
+  async replaceSubmission(existingSubmission, submissionData, user, week, group, isLate = false) {
+    const [, submission] = await prisma.$transaction([
+      prisma.submissionRevision.create({
+        data: {
+          submissionId: existingSubmission.id,
+          items: existingSubmission.items.map(({ position, category, recommendation, reasons }) =>
+            ({ position, category, recommendation, reasons })
+          ),
+          message: existingSubmission.message,
+          submittedAt: existingSubmission.updatedAt
+        }
+      }),
+      prisma.submission.update({
+        where: { id: existingSubmission.id },
+        data: {
+          message: submissionData.digressions || '',
+          isLate,
+          items: {
+            deleteMany: {},
+            create: this.toSubmissionItems(submissionData)
+          }
+        }
+      })
+    ]);
+
+    // Streak was already counted for this week, unless a late replacement
+    // changes whether it counts
+    if (isLate !== existingSubmission.isLate) {
+      await this.updateUserStreak(user, group);
+    }
+
+    await this.emailService.sendSubmissionEditConfirmation(
+      user.email,
+      user.firstName || 'Friend',
+      this.toSubmissionData(existingSubmission),
+      submissionData,
+      week,
+      group
+    );
+
+    logger.info('Submission replaced successfully:', {
+      userId: user.id,
+      groupId: group.id,
+      weekId: week.id,
+      submissionId: submission.id,
+      isLate
+    });
+
+    return { success: true, submissionId: submission.id, replaced: true };
+  }
+
+  /**
+   * Keep an incomplete submission and ask the user for just the missing fields
+   */
+  async saveDraft(parsedData, missingFields, user, week, group) {
+    const draft = await prisma.submissionDraft.upsert({
+      where: {
+        userId_weekId: {
+          userId: user.id,
+          weekId: week.id
+        }
+      },
+      update: { data: parsedData, missingFields },
+      create: {
+        userId: user.id,
+        weekId: week.id,
+        data: parsedData,
+        missingFields
+      }
+    });
+
+    const missing = missingFields.map(missingField =>
+      this.submissionParser.describeMissingField(missingField, parsedData)
+    );
+
+    await this.emailService.sendIncompleteSubmission(
+      user.email,
+      user.firstName || 'Friend',
+      missing,
+      week,
+      group
+    );
+
+    logger.info('Incomplete submission saved as draft:', {
+      userId: user.id,
+      groupId: group.id,
+      weekId: week.id,
+      draftId: draft.id,
+      missing
+    });
+
+    return { success: false, error: 'Incomplete submission', draftId: draft.id, missing };
+  }
+
+  /**
+   * Build the items to store for validated submission data
+   */
+  toSubmissionItems(submissionData) {
+    return submissionData.recommendations.map((rec, index) => ({
+      position: index + 1,
+      category: rec.category || null,
+      recommendation: rec.recommendation,
+      reasons: rec.reasonWhy || ''
+    }));
+  }
+
+  /**
+   * Turn a stored submission (with its items) back into submission data
+   */
+  toSubmissionData(submission) {
+    return {
+      recommendations: submission.items.map(item => ({
+        recommendation: item.recommendation,
+        reasonWhy: item.reasons,
+        category: item.category
+      })),
+      digressions: submission.message
+    };
   }
 
   /**
-   * Update user's submission streak
+   * Withdraw the sender's submission for the current week
    */
-  async updateUserStreak(userId, currentWeekNumber) {
+  async processWithdrawCommand(sendGridPayload) {
     try {
-      const userStreak = await prisma.userStreak.findUnique({
-        where: { userId }
+      const { from, to } = sendGridPayload;
+      const senderEmail = this.extractEmail(from);
+
+      const user = senderEmail && await prisma.user.findUnique({
+        where: { email: senderEmail }
       });
 
-      if (!userStreak) {
-        // Create initial streak record
-        await prisma.userStreak.create({
-          data: {
-            userId,
-            currentStreak: 1,
-            longestStreak: 1,
-            lastSubmissionWeek: currentWeekNumber,
-            canInvite: false
-          }
-        });
-        return;
+      if (!user || !user.isActive) {
+        logger.warn('Withdraw command from unknown or inactive user:', senderEmail);
+        return { success: false, error: 'Unknown user' };
       }
 
-      // Calculate if this is consecutive
-      const isConsecutive = this.isConsecutiveWeek(
-        userStreak.lastSubmissionWeek, 
-        currentWeekNumber
-      );
+      const { group, error: groupError } = await this.groupService.resolveGroupForInbound(to, user.id);
+      if (!group) {
+        await this.emailService.sendErrorEmail(senderEmail, 'Withdrawal Failed', groupError);
+        return { success: false, error: 'Unknown group' };
+      }
 
-      const newCurrentStreak = isConsecutive ? userStreak.currentStreak + 1 : 1;
-      const newLongestStreak = Math.max(userStreak.longestStreak, newCurrentStreak);
-      
-      // Check if user can now invite (4+ consecutive weeks)
-      const canInvite = newCurrentStreak >= (process.env.STREAK_REQUIRED_FOR_INVITE || 4);
-      const inviteEligibleSince = canInvite && !userStreak.canInvite ? new Date() : userStreak.inviteEligibleSince;
+      const currentWeek = await prisma.week.findFirst({
+        where: { status: 'open', groupId: group.id },
+        orderBy: { createdAt: 'desc' }
+      });
 
-      await prisma.userStreak.update({
-        where: { userId },
-        data: {
-          currentStreak: newCurrentStreak,
-          longestStreak: newLongestStreak,
-          lastSubmissionWeek: currentWeekNumber,
-          canInvite,
-          inviteEligibleSince
-        }
+      // Past the deadline a submission belongs to the roundup, even if the week hasn't been closed yet
+      if (currentWeek && new Date() > currentWeek.deadline) {
+        await this.emailService.sendErrorEmail(
+          senderEmail,
+          'Withdrawal Failed',
+          'The deadline for this week has passed, so submissions can no longer be withdrawn.'
+        );
+        return { success: false, error: 'Deadline has passed' };
+      }
+
+      const submission = currentWeek && await prisma.submission.findUnique({
+        where: {
+          userId_weekId: {
+            userId: user.id,
+            weekId: currentWeek.id
+          }
+        },
+        include: { items: { orderBy: { position: 'asc' } } }
       });
 
-      // Notify user if they just became eligible to invite
-      if (canInvite && !userStreak.canInvite) {
-        const user = await prisma.user.findUnique({ where: { id: userId } });
-        await this.emailService.sendInviteEligibilityNotification(
-          user.email, 
-          user.firstName || 'Friend',
-          newCurrentStreak
+      if (!submission) {
+        await this.emailService.sendErrorEmail(
+          senderEmail,
+          'Nothing to Withdraw',
+          `You don't have a submission for the current ${group.name} week.`
         );
+        return { success: false, error: 'No submission to withdraw' };
       }
 
-      logger.info('Updated user streak:', { 
-        userId, 
-        currentWeekNumber,
-        newCurrentStreak,
-        canInvite 
+      // Items and revisions are removed along with the submission
+      await prisma.submission.delete({
+        where: { id: submission.id }
       });
 
+      await this.updateUserStreak(user, group);
+
+      await this.emailService.sendWithdrawalConfirmation(
+        senderEmail,
+        user.firstName || 'Friend',
+        this.toSubmissionData(submission),
+        currentWeek,
+        group
+      );
+
+      logger.info('Submission withdrawn:', {
+        userId: user.id,
+        groupId: group.id,
+        weekId: currentWeek.id,
+        submissionId: submission.id
+      });
+
+      return { success: true, submissionId: submission.id };
+
     } catch (error) {
-      logger.error('Error updating user streak:', error);
+      logger.error('Error processing withdraw command:', error);
+      return { success: false, error: 'Processing failed' };
     }
   }
 
   /**
-   * Check if two week numbers are consecutive
+   * Extract email address from various formats
    */
-  isConsecutiveWeek(lastWeek, currentWeek) {
-    if (!lastWeek) return false;
+  extractEmail(emailString) {
+    if (!emailString) return null;
+    
+    // Handle formats like "Name <email@domain.com>" or just "email@domain.com"
+    const emailRegex = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/;
+    const match = emailString.match(emailRegex);
     
-    // Simple consecutive check - in a real implementation,
-    // you'd want to handle year boundaries properly
-    return currentWeek === lastWeek + 1;
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Update user's submission streak for a group from their submission history.
+   * A streak problem shouldn't fail the submission, so errors are only logged.
+   */
+  async updateUserStreak(user, group) {
+    try {
+      await this.streakEngine.refresh(user, group);
+    } catch (error) {
+      logger.error('Error updating user streak:', error);
+    }
   }
 }
 
@@ -0,0 +1,279 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { createTransport } = require('./transports');
+const { EmailEventService } = require('./emailEventService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Durable outbox for every email the app sends.
+ *
+ * Emails are stored with an idempotency key (e.g. "roundup:<weekId>:<userId>"),
+ * so queueing the same email twice - from a re-run cron, say - is a no-op.
+ * processQueue() sends what's due one at a time, retrying failures with
+ * exponential backoff and dead-lettering ones that keep failing.
+ *
+ * Statuses: pending -> sending -> sent, or failed (will retry) / dead (won't).
+ * Emails to suppressed addresses (bounced, unsubscribed) are marked suppressed.
+ */
+class EmailQueue {
+  constructor() {
+    this.transport = createTransport();
+    this.emailEventService = new EmailEventService();
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+    this.retryBaseSeconds = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+    this.ratePerSecond = parseFloat(process.env.EMAIL_RATE_PER_SECOND) || 5;
+    this.batchSize = parseInt(process.env.EMAIL_QUEUE_BATCH_SIZE) || 100;
+    this.sendingTimeoutMinutes = 10;
+    this.processing = false;
+  }
+
+  /**
+   * Queue one email. Without a key it is treated as unique.
+   */
+  async enqueue(message, { key = null, kind, userId = null, weekId = null }) {
+    const idempotencyKey = key || `${kind}:${crypto.randomUUID()}`;
+
+    return await prisma.outboundEmail.upsert({
+      where: { idempotencyKey },
+      update: {},
+      create: {
+        idempotencyKey,
+        kind,
+        userId,
+        weekId,
+        toEmail: this.recipientOf(message),
+        message
+      }
+    });
+  }
+
+  /**
+   * Queue many emails at once ([{ message, key, kind, userId, weekId }]).
+   * Ones already queued under the same key are skipped.
+   */
+  async enqueueMany(entries) {
+    if (entries.length === 0) {
+      return { queued: 0, duplicates: 0 };
+    }
+
+    const result = await prisma.outboundEmail.createMany({
+      data: entries.map(({ message, key = null, kind, userId = null, weekId = null }) => ({
+        idempotencyKey: key || `${kind}:${crypto.randomUUID()}`,
+        kind,
+        userId,
+        weekId,
+        toEmail: this.recipientOf(message),
+        message
+      })),
+      skipDuplicates: true
+    });
+
+    return { queued: result.count, duplicates: entries.length - result.count };
+  }
+
+  /**
+   * Send everything that is due. Safe to call often - overlapping runs are skipped.
+   */
+  async processQueue() {
+    if (this.processing) {
+      return { skipped: true };
+    }
+
+    this.processing = true;
+    try {
+      await this.deadLetterInterruptedSends();
+
+      const due = await prisma.outboundEmail.findMany({
+        where: {
+          status: { in: ['pending', 'failed'] },
+          nextAttemptAt: { lte: new Date() }
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: this.batchSize,
+        select: { id: true }
+      });
+
+      const results = { sent: 0, failed: 0, dead: 0, suppressed: 0 };
+      for (const { id } of due) {
+        const outcome = await this.deliver(id);
+        if (outcome) {
+          results[outcome]++;
+        }
+        if (outcome && outcome !== 'suppressed') {
+          await this.throttle();
+        }
+      }
+
+      if (due.length > 0) {
+        logger.info('Email queue processed:', results);
+      }
+
+      return results;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Try to send one queued email. Returns 'sent', 'failed', 'dead' or
+   * 'suppressed', or null if another worker got to it first.
+   */
+  async deliver(id) {
+    // Claim the email so no other worker sends it too
+    const claimed = await prisma.outboundEmail.updateMany({
+      where: { id, status: { in: ['pending', 'failed'] } },
+      data: {
+        status: 'sending',
+        attempts: { increment: 1 },
+        lastAttemptAt: new Date()
+      }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const email = await prisma.outboundEmail.findUnique({ where: { id } });
+
+    // The address may have bounced or unsubscribed since this was queued
+    if (await this.emailEventService.isSuppressed(email.toEmail)) {
+      await prisma.outboundEmail.update({
+        where: { id },
+        data: { status: 'suppressed', lastError: 'Address is suppressed' }
+      });
+
+      logger.info('Skipped email to suppressed address:', { id, kind: email.kind, to: email.toEmail });
+      return 'suppressed';
+    }
+
+    try {
+      // The id comes back in SendGrid's delivery events
+      await this.transport.send({
+        ...email.message,
+        customArgs: { ...email.message.customArgs, outbound_email_id: String(id) }
+      });
+
+      await prisma.outboundEmail.update({
+        where: { id },
+        data: { status: 'sent', sentAt: new Date(), lastError: null }
+      });
+
+      return 'sent';
+
+    } catch (error) {
+      const dead = email.attempts >= this.maxAttempts || this.isPermanentFailure(error);
+      const delaySeconds = this.retryBaseSeconds * Math.pow(2, email.attempts - 1);
+
+      await prisma.outboundEmail.update({
+        where: { id },
+        data: {
+          status: dead ? 'dead' : 'failed',
+          lastError: this.describeError(error),
+          nextAttemptAt: new Date(Date.now() + delaySeconds * 1000)
+        }
+      });
+
+      if (dead) {
+        logger.error('Email dead-lettered:', { id, kind: email.kind, to: email.toEmail, attempts: email.attempts, error });
+      } else {
+        logger.warn('Email failed, will retry:', { id, kind: email.kind, to: email.toEmail, attempts: email.attempts, retryInSeconds: delaySeconds });
+      }
+
+      return dead ? 'dead' : 'failed';
+    }
+  }
+
+  /**
+   * Emails left in 'sending' by a crash may or may not have gone out.
+   * They are dead-lettered rather than retried, so nobody gets a duplicate;
+   * an admin can look and retry them.
+   */
+  async deadLetterInterruptedSends() {
+    const cutoff = new Date(Date.now() - this.sendingTimeoutMinutes * 60 * 1000);
+
+    const result = await prisma.outboundEmail.updateMany({
+      where: {
+        status: 'sending',
+        lastAttemptAt: { lt: cutoff }
+      },
+      data: {
+        status: 'dead',
+        lastError: 'Interrupted while sending - it may or may not have been delivered, so it was not retried'
+      }
+    });
+
+    if (result.count > 0) {
+      logger.error('Dead-lettered emails interrupted while sending:', { count: result.count });
+    }
+
+    return result.count;
+  }
+
+  /**
+   * Put a failed or dead-lettered email back in the queue
+   */
+  async retry(id) {
+    const email = await prisma.outboundEmail.update({
+      where: { id },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null
+      }
+    });
+
+    logger.info('Email re-queued:', { id, kind: email.kind, to: email.toEmail });
+    return email;
+  }
+
+  /**
+   * Count queued emails by status
+   */
+  async getStats() {
+    const counts = await prisma.outboundEmail.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
+
+    return Object.fromEntries(counts.map(count => [count.status, count._count._all]));
+  }
+
+  /**
+   * Bad addresses and rejected messages won't succeed on a retry
+   */
+  isPermanentFailure(error) {
+    // SendGrid: an HTTP 4xx other than rate limiting
+    if (typeof error.code === 'number') {
+      return error.code >= 400 && error.code < 500 && error.code !== 429;
+    }
+
+    // SMTP: a 5xx reply
+    if (error.responseCode) {
+      return error.responseCode >= 500;
+    }
+
+    return false;
+  }
+
+  describeError(error) {
+    const details = error.response && error.response.body
+      ? ` ${JSON.stringify(error.response.body)}`
+      : '';
+
+    return `${error.message}${details}`.substring(0, 1000);
+  }
+
+  recipientOf(message) {
+    const to = Array.isArray(message.to) ? message.to[0] : message.to;
+    return (to && (to.email || to)) || '';
+  }
+
+  throttle() {
+    return new Promise(resolve => setTimeout(resolve, 1000 / this.ratePerSecond));
+  }
+}
+
+module.exports = { EmailQueue };
@@ -1,111 +1,268 @@
-const sgMail = require('@sendgrid/mail');
 const moment = require('moment-timezone');
+const { EmailQueue } = require('./emailQueue');
+const { PreferenceService, EMAIL_TYPES } = require('./preferenceService');
+const { ScheduleService } = require('./scheduleService');
+const { preferencesUrl, unsubscribeUrl } = require('../utils/signedLinks');
+const { CATEGORIES, categoryLabel } = require('../utils/categories');
+const { describeRound, groupCadence, describeCadence } = require('../utils/rounds');
 const logger = require('../utils/logger');
 
-// Initialize SendGrid
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
 class EmailService {
   constructor() {
     this.fromEmail = process.env.FROM_EMAIL || 'noreply@weeklyrecs.com';
     this.fromName = process.env.FROM_NAME || 'Weekly Recommendations';
     this.timezone = process.env.TIMEZONE || 'America/New_York';
+    // Emails are queued here and sent by the queue worker
+    this.queue = new EmailQueue();
+    this.preferenceService = new PreferenceService();
+    this.scheduleService = new ScheduleService();
+    this.maxInvitesPerUser = parseInt(process.env.MAX_INVITES_PER_USER) || 5;
   }
 
   /**
-   * Send weekly prompt email to all active users (individually)
+   * Queue the weekly prompt for all active users (individually).
+   * Keyed by week and user, so starting a week twice never sends a prompt twice.
    */
   async sendWeeklyPrompt(users, weekData) {
     try {
-      const { weekNumber, deadline } = weekData;
-      const formattedDeadline = moment(deadline).tz(this.timezone).format('dddd, MMMM Do [at] h:mm A');
-      
-      const emailPromises = users.map(async (user) => {
-        const email = {
+      const { week, group = null, timezone = this.timezone } = weekData;
+      const round = describeRound(week, timezone);
+      const formattedDeadline = moment(week.deadline).tz(timezone).format('dddd, MMMM Do [at] h:mm A');
+      const recipients = await this.preferenceService.filterWanting(users, 'prompts');
+
+      const entries = recipients.map(user => ({
+        key: `prompt:${week.id}:${user.id}`,
+        kind: 'prompt',
+        userId: user.id,
+        weekId: week.id,
+        message: this.addPreferenceLinks({
           to: user.email,
           from: {
             email: this.fromEmail,
             name: this.fromName
           },
-          replyTo: process.env.SUBMIT_EMAIL || 'submit@weeklyrecs.com',
-          subject: `Week ${weekNumber} Recommendations - Due ${moment(deadline).tz(this.timezone).format('M/D')}`,
-          html: this.generateWeeklyPromptTemplate(user.firstName || 'Friend', weekNumber, formattedDeadline),
-          text: this.generateWeeklyPromptTextTemplate(user.firstName || 'Friend', weekNumber, formattedDeadline)
-        };
-
-        try {
-          await sgMail.send(email);
-          logger.info(`Weekly prompt sent to ${user.email}`);
-          return { success: true, email: user.email };
-        } catch (error) {
-          logger.error(`Failed to send prompt to ${user.email}:`, error);
-          return { success: false, email: user.email, error: error.message };
-        }
-      });
-
-      const results = await Promise.allSettled(emailPromises);
-      const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-      const failed = results.filter(r => r.status === 'rejected' || !r.value.success).length;
-
-      logger.info(`Weekly prompt batch complete for week ${weekNumber}: ${successful} sent, ${failed} failed`);
-      
-      return { success: true, count: successful, failed };
+          replyTo: this.getSubmitAddress(group),
+          subject: `${this.getSubjectPrefix(group)}${round.name} Recommendations - Due ${moment(week.deadline).tz(timezone).format('M/D')}`,
+          html: this.generateWeeklyPromptTemplate(user.firstName || 'Friend', round, formattedDeadline),
+          text: this.generateWeeklyPromptTextTemplate(user.firstName || 'Friend', round, formattedDeadline)
+        }, 'prompts')
+      }));
+
+      const { queued, duplicates } = await this.queue.enqueueMany(entries);
+      logger.info(`Weekly prompts queued for week ${week.weekNumber}: ${queued} queued, ${duplicates} already queued`);
+
+      return { success: true, count: queued, duplicates };
+    } catch (error) {
+      logger.error('Error queueing weekly prompts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the compilation email for each user who submitted.
+   * One email per participant, so a bad address only affects that person,
+   * and keyed by week and user so a re-run never sends it twice.
+   */
+  async sendWeeklyCompilation(participants, submissions, week, group = null) {
+    try {
+      const round = describeRound(week, this.timezone);
+      const recipients = await this.preferenceService.filterWanting(participants, 'roundups');
+
+      const entries = recipients.map(user => ({
+        key: `roundup:${week.id}:${user.id}`,
+        kind: 'roundup',
+        userId: user.id,
+        weekId: week.id,
+        message: this.addPreferenceLinks({
+          to: user.email,
+          from: {
+            email: this.fromEmail,
+            name: this.fromName
+          },
+          replyTo: this.getSubmitAddress(group),
+          subject: `${this.getSubjectPrefix(group)}${round.name} Recommendations Roundup - ${submissions.length} submissions`,
+          html: this.generateCompilationTemplate(user.firstName || 'Friend', submissions, round),
+          text: this.generateCompilationTextTemplate(submissions, round)
+        }, 'roundups')
+      }));
+
+      const { queued, duplicates } = await this.queue.enqueueMany(entries);
+      logger.info(`Compilation queued for ${queued} participants for week ${week.weekNumber} (${duplicates} already queued)`);
+
+      return { success: true, count: queued, duplicates };
     } catch (error) {
-      logger.error('Error sending weekly prompt batch:', error);
+      logger.error('Error queueing compilation:', error);
       throw error;
     }
   }
 
   /**
-   * Send compilation email to users who submitted
+   * Queue a follow-up to the roundup with the late submissions that missed it,
+   * for everyone who took part in the round (late submitters included)
    */
-  async sendWeeklyCompilation(participants, submissions, weekNumber) {
+  async sendLateAdditions(participants, lateSubmissions, week, group = null) {
     try {
-      const emails = participants.map(user => ({
-        to: user.email,
+      const round = describeRound(week, this.timezone);
+      const recipients = await this.preferenceService.filterWanting(participants, 'roundups');
+
+      const entries = recipients.map(user => ({
+        key: `late:${week.id}:${user.id}`,
+        kind: 'late_additions',
+        userId: user.id,
+        weekId: week.id,
+        message: this.addPreferenceLinks({
+          to: user.email,
+          from: {
+            email: this.fromEmail,
+            name: this.fromName
+          },
+          replyTo: this.getSubmitAddress(group),
+          subject: `${this.getSubjectPrefix(group)}${round.name} Late Additions - ${lateSubmissions.length} more`,
+          html: this.generateCompilationTemplate(user.firstName || 'Friend', lateSubmissions, round, { lateAdditions: true }),
+          text: this.generateCompilationTextTemplate(lateSubmissions, round, { lateAdditions: true })
+        }, 'roundups')
+      }));
+
+      const { queued, duplicates } = await this.queue.enqueueMany(entries);
+      logger.info(`Late additions queued for ${queued} participants for week ${week.weekNumber} (${duplicates} already queued)`);
+
+      return { success: true, count: queued, duplicates };
+    } catch (error) {
+      logger.error('Error queueing late additions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send submission confirmation. A late addition arrived after the roundup
+   * went out, so it will be shared in the late additions email instead.
+   */
+  async sendSubmissionConfirmation(email, name, submissionData, week, group = null, { lateAddition = false } = {}) {
+    try {
+      const round = describeRound(week, this.timezone);
+      const msg = {
+        to: email,
         from: {
           email: this.fromEmail,
           name: this.fromName
         },
-        subject: `Week ${weekNumber} Recommendations Roundup - ${submissions.length} submissions`,
-        html: this.generateCompilationTemplate(user.firstName || 'Friend', submissions, weekNumber),
-        text: this.generateCompilationTextTemplate(submissions, weekNumber)
-      }));
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}Submission Confirmed - ${round.name}`,
+        html: this.generateConfirmationTemplate(name, submissionData, round, lateAddition),
+        text: this.generateConfirmationTextTemplate(name, submissionData, round, lateAddition)
+      };
 
-      await sgMail.send(emails);
-      logger.info(`Compilation sent to ${participants.length} participants for week ${weekNumber}`);
-      
-      return { success: true, count: participants.length };
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'confirmation' });
+      logger.info(`Confirmation queued for ${email} for week ${week.weekNumber}`);
     } catch (error) {
-      logger.error('Error sending compilation:', error);
+      logger.error('Error sending confirmation:', error);
       throw error;
     }
   }
 
   /**
-   * Send submission confirmation
+   * Send confirmation of an edited submission, showing what changed
    */
-  async sendSubmissionConfirmation(email, name, submissionData, weekNumber) {
+  async sendSubmissionEditConfirmation(email, name, previousData, submissionData, week, group = null) {
     try {
+      const round = describeRound(week, this.timezone);
+      const changes = this.diffSubmissions(previousData, submissionData);
+
       const msg = {
         to: email,
         from: {
           email: this.fromEmail,
           name: this.fromName
         },
-        subject: `Submission Confirmed - Week ${weekNumber}`,
-        html: this.generateConfirmationTemplate(name, submissionData, weekNumber),
-        text: this.generateConfirmationTextTemplate(name, submissionData, weekNumber)
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}Submission Updated - ${round.name}`,
+        html: this.generateEditConfirmationTemplate(name, changes, round),
+        text: this.generateEditConfirmationTextTemplate(name, changes, round)
       };
 
-      await sgMail.send(msg);
-      logger.info(`Confirmation sent to ${email} for week ${weekNumber}`);
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'edit_confirmation' });
+      logger.info(`Edit confirmation queued for ${email} for week ${week.weekNumber}`);
     } catch (error) {
-      logger.error('Error sending confirmation:', error);
+      logger.error('Error sending edit confirmation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask for the fields an otherwise good submission is missing
+   */
+  async sendIncompleteSubmission(email, name, missing, week, group = null) {
+    try {
+      const round = describeRound(week, this.timezone);
+      const msg = {
+        to: email,
+        from: {
+          email: this.fromEmail,
+          name: this.fromName
+        },
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}Almost There - ${round.name}`,
+        html: this.generateIncompleteSubmissionTemplate(name, missing, round),
+        text: this.generateIncompleteSubmissionTextTemplate(name, missing, round)
+      };
+
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'incomplete_submission' });
+      logger.info(`Incomplete submission email queued for ${email} for week ${week.weekNumber}`);
+    } catch (error) {
+      logger.error('Error sending incomplete submission email:', error);
       throw error;
     }
   }
 
+  /**
+   * Send confirmation that a submission was withdrawn
+   */
+  async sendWithdrawalConfirmation(email, name, submissionData, week, group = null) {
+    try {
+      const round = describeRound(week, this.timezone);
+      const msg = {
+        to: email,
+        from: {
+          email: this.fromEmail,
+          name: this.fromName
+        },
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}Submission Withdrawn - ${round.name}`,
+        html: this.generateWithdrawalTemplate(name, submissionData, round),
+        text: this.generateWithdrawalTextTemplate(name, submissionData, round)
+      };
+
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'withdrawal_confirmation' });
+      logger.info(`Withdrawal confirmation queued for ${email} for week ${week.weekNumber}`);
+    } catch (error) {
+      logger.error('Error sending withdrawal confirmation:', error);
+    }
+  }
+
+  /**
+   * Send the response to an email command
+   */
+  async sendCommandResponse(email, name, response, group = null) {
+    try {
+      const msg = {
+        to: email,
+        from: {
+          email: this.fromEmail,
+          name: this.fromName
+        },
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}${response.title}`,
+        html: this.generateCommandResponseTemplate(name, response),
+        text: this.generateCommandResponseTextTemplate(name, response)
+      };
+
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'command_response' });
+      logger.info(`Command response queued for ${email}: ${response.title}`);
+    } catch (error) {
+      logger.error('Error sending command response:', error);
+    }
+  }
+
   /**
    * Send error email for various issues
    */
@@ -122,8 +279,8 @@ class EmailService {
         text: `Hi there!\n\nThere was an issue with your submission: ${message}\n\nIf you need help, please reply to this email.\n\nBest,\nWeekly Recommendations Team`
       };
 
-      await sgMail.send(msg);
-      logger.info(`Error email sent to ${email}: ${errorType}`);
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'error' });
+      logger.info(`Error email queued for ${email}: ${errorType}`);
     } catch (error) {
       logger.error('Error sending error email:', error);
     }
@@ -147,8 +304,8 @@ class EmailService {
         text: this.generateFormatErrorTextTemplate(errorMessages)
       };
 
-      await sgMail.send(msg);
-      logger.info(`Format error email sent to ${email}`);
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'format_error' });
+      logger.info(`Format error email queued for ${email}`);
     } catch (error) {
       logger.error('Error sending format error email:', error);
     }
@@ -157,77 +314,348 @@ class EmailService {
   /**
    * Send invitation email
    */
-  async sendInvitation(inviterName, inviteeEmail, inviteToken) {
+  async sendInvitation(inviterName, inviteeEmail, inviteToken, group = null) {
     try {
       const acceptUrl = `${process.env.BASE_URL}/api/invite/accept/${inviteToken}`;
-      
+      const groupName = group ? group.name : 'Weekly Recommendations';
+      const howItWorks = await this.describeHowItWorks(group);
+
       const msg = {
         to: inviteeEmail,
         from: {
           email: this.fromEmail,
           name: this.fromName
         },
-        subject: `${inviterName} invited you to Weekly Recommendations!`,
-        html: this.generateInvitationTemplate(inviterName, acceptUrl),
-        text: this.generateInvitationTextTemplate(inviterName, acceptUrl)
+        subject: `${inviterName} invited you to ${groupName}!`,
+        html: this.generateInvitationTemplate(inviterName, acceptUrl, groupName, howItWorks),
+        text: this.generateInvitationTextTemplate(inviterName, acceptUrl, groupName, howItWorks)
       };
 
-      await sgMail.send(msg);
-      logger.info(`Invitation sent from ${inviterName} to ${inviteeEmail}`);
+      await this.queue.enqueue(msg, { kind: 'invitation' });
+      logger.info(`Invitation queued from ${inviterName} to ${inviteeEmail}`);
     } catch (error) {
       logger.error('Error sending invitation:', error);
       throw error;
     }
   }
 
+  /**
+   * Welcome someone who has just joined a group by invite
+   */
+  async sendWelcomeEmail(email, name, group = null) {
+    try {
+      const groupName = group ? group.name : 'Weekly Recommendations';
+      const howItWorks = await this.describeHowItWorks(group);
+
+      const msg = {
+        to: email,
+        from: {
+          email: this.fromEmail,
+          name: this.fromName
+        },
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}Welcome to ${groupName}!`,
+        html: this.generateWelcomeTemplate(name, groupName, howItWorks),
+        text: `Hi ${name}!\n\nYou've joined ${groupName}!\n\nHow it works:\n${howItWorks.map(item => `- ${item}`).join('\n')}\n\nYour first prompt will arrive when the group's next round starts.\n\nWeekly Recommendations Team`
+      };
+
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { kind: 'welcome' });
+      logger.info(`Welcome email queued for ${email}`);
+    } catch (error) {
+      logger.error('Error sending welcome email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * "How it works" for people joining a group, from the schedule and the
+   * group's cadence
+   */
+  async describeHowItWorks(group = null) {
+    const schedule = await this.scheduleService.getSchedule();
+    const at = hour => moment.tz(schedule.timezone).hour(hour).minute(0).format('h A z');
+    const streakRequired = parseInt(process.env.STREAK_REQUIRED_FOR_INVITE) || 4;
+
+    return [
+      `${describeCadence(groupCadence(group, schedule), schedule.startDay)} at ${at(schedule.startHour)}, you'll get an email prompt`,
+      'Reply with your recommendation, reason why, and digressions',
+      `${moment.weekdays(schedule.deadlineDay)} at ${at(schedule.deadlineHour)}, everyone who submitted gets a roundup with all recommendations`,
+      `After ${streakRequired} rounds in a row, you can invite friends too!`
+    ];
+  }
+
   /**
    * Send invite eligibility notification
    */
-  async sendInviteEligibilityNotification(email, name, streakCount) {
+  async sendInviteEligibilityNotification(email, name, streakCount, group = null) {
     try {
+      if (!(await this.preferenceService.wants(email, 'streaks'))) {
+        logger.info(`Eligibility notification skipped for ${email}: turned off in preferences`);
+        return;
+      }
+
+      // "4 weeks", "4 fortnights", "4 months" or "4 rounds", by the group's cadence
+      const schedule = await this.scheduleService.getSchedule();
+      const { period } = describeRound({ ...groupCadence(group, schedule), startDate: new Date() }, this.timezone);
+      const streakText = `${streakCount} ${period}${streakCount === 1 ? '' : 's'} in a row`;
+
       const msg = {
         to: email,
         from: {
           email: this.fromEmail,
           name: this.fromName
         },
-        subject: 'You can now invite friends! 🎉',
-        html: this.generateEligibilityTemplate(name, streakCount),
-        text: `Hi ${name}!\n\nCongratulations! You've submitted recommendations for ${streakCount} consecutive weeks and can now invite friends to join our group.\n\nYou can invite up to 5 people total. Just reply to any weekly prompt email with "INVITE: friend@email.com" to send an invitation.\n\nThanks for being such a consistent contributor!\n\nBest,\nWeekly Recommendations Team`
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}You can now invite friends! 🎉`,
+        html: this.generateEligibilityTemplate(name, streakText),
+        text: `Hi ${name}!\n\nCongratulations! You've submitted recommendations for ${streakText} and can now invite friends to join our group.\n\nYou can invite up to ${this.maxInvitesPerUser} people total. Just reply to any prompt email with "INVITE: friend@email.com" to send an invitation.\n\nThanks for being such a consistent contributor!\n\nBest,\nWeekly Recommendations Team`
       };
 
-      await sgMail.send(msg);
-      logger.info(`Eligibility notification sent to ${email}`);
+      await this.queue.enqueue(this.addPreferenceLinks(msg, 'streaks'), { kind: 'eligibility' });
+      logger.info(`Eligibility notification queued for ${email}`);
     } catch (error) {
       logger.error('Error sending eligibility notification:', error);
     }
   }
 
+  /**
+   * Tell an inviter what happened to one of their invitations
+   * ({ title, message, items }, laid out like a command response)
+   */
+  async sendInviteUpdate(email, name, update, group = null, { key = null, userId = null } = {}) {
+    try {
+      const msg = {
+        to: email,
+        from: {
+          email: this.fromEmail,
+          name: this.fromName
+        },
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}${update.title}`,
+        html: this.generateCommandResponseTemplate(name, update),
+        text: this.generateCommandResponseTextTemplate(name, update)
+      };
+
+      await this.queue.enqueue(this.addPreferenceLinks(msg), { key, kind: 'invite_update', userId });
+      logger.info(`Invite update queued for ${email}: ${update.title}`);
+    } catch (error) {
+      logger.error('Error sending invite update:', error);
+    }
+  }
+
+  /**
+   * Tell someone who asked to join a group how their request is going
+   * ({ title, message, items }, laid out like a command response)
+   */
+  async sendJoinRequestUpdate(email, name, update, group = null, { key = null } = {}) {
+    try {
+      const msg = {
+        to: email,
+        from: {
+          email: this.fromEmail,
+          name: this.fromName
+        },
+        replyTo: this.getSubmitAddress(group),
+        subject: `${this.getSubjectPrefix(group)}${update.title}`,
+        html: this.generateCommandResponseTemplate(name, update),
+        text: this.generateCommandResponseTextTemplate(name, update)
+      };
+
+      await this.queue.enqueue(msg, { key, kind: 'join_request' });
+      logger.info(`Join request update queued for ${email}: ${update.title}`);
+    } catch (error) {
+      logger.error('Error sending join request update:', error);
+    }
+  }
+
+  /**
+   * Let a group's members know someone has asked to join, and how to vouch for them.
+   * Keyed by request and member, so nobody hears about the same request twice.
+   */
+  async sendJoinRequestNotice(members, joinRequest, group) {
+    try {
+      const who = joinRequest.name ? `${joinRequest.name} (${joinRequest.email})` : joinRequest.email;
+      const notice = {
+        title: `${who} would like to join`,
+        message: `${who} has asked to join ${group.name}.` +
+          (joinRequest.message ? `\n\nThey said: "${joinRequest.message}"` : '') +
+          '\n\nIf you know them and would like them in the group, vouch for them by replying with:',
+        items: [`VOUCH ${joinRequest.email}`]
+      };
+
+      const entries = members.map(user => ({
+        key: `join_request:${joinRequest.id}:${user.id}`,
+        kind: 'join_request',
+        userId: user.id,
+        message: this.addPreferenceLinks({
+          to: user.email,
+          from: {
+            email: this.fromEmail,
+            name: this.fromName
+          },
+          replyTo: this.getSubmitAddress(group),
+          subject: `${this.getSubjectPrefix(group)}${notice.title}`,
+          html: this.generateCommandResponseTemplate(user.firstName || 'Friend', notice),
+          text: this.generateCommandResponseTextTemplate(user.firstName || 'Friend', notice)
+        })
+      }));
+
+      const { queued, duplicates } = await this.queue.enqueueMany(entries);
+      logger.info(`Join request notice queued for ${queued} members of group ${group.id} (${duplicates} already queued)`);
+
+      return { success: true, count: queued, duplicates };
+    } catch (error) {
+      logger.error('Error queueing join request notice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions of a submission field by field.
+   * Recommendations are compared by position; added or removed ones show as (none).
+   */
+  diffSubmissions(previousData, submissionData) {
+    const fields = [
+      { key: 'recommendation', label: 'Recommendation' },
+      { key: 'category', label: 'Category' },
+      { key: 'reasonWhy', label: 'Reason Why' }
+    ];
+
+    const count = Math.max(previousData.recommendations.length, submissionData.recommendations.length);
+    const changes = [];
+
+    for (let i = 0; i < count; i++) {
+      const before = previousData.recommendations[i] || {};
+      const after = submissionData.recommendations[i] || {};
+
+      for (const { key, label } of fields) {
+        const beforeValue = key === 'category' ? before[key] && categoryLabel(before[key]) : before[key];
+        const afterValue = key === 'category' ? after[key] && categoryLabel(after[key]) : after[key];
+
+        // Don't list a category that was never given
+        if (key === 'category' && !beforeValue && !afterValue) continue;
+
+        changes.push({
+          label: count > 1 ? `${label} ${i + 1}` : label,
+          before: beforeValue || '(none)',
+          after: afterValue || '(none)',
+          changed: (beforeValue || null) !== (afterValue || null)
+        });
+      }
+    }
+
+    changes.push({
+      label: 'Digressions',
+      before: previousData.digressions || '(none)',
+      after: submissionData.digressions || '(none)',
+      changed: (previousData.digressions || null) !== (submissionData.digressions || null)
+    });
+
+    return changes;
+  }
+
+  /**
+   * Group every recommendation in a week's submissions by category, in CATEGORIES order.
+   * Uncategorised recommendations go under Other.
+   */
+  groupByCategory(submissions) {
+    return CATEGORIES.map(category => ({
+      category,
+      label: categoryLabel(category),
+      items: submissions.flatMap(sub => sub.items
+        .filter(item => (item.category || 'other') === category)
+        .map(item => ({ ...item, user: sub.user }))
+      )
+    })).filter(section => section.items.length > 0);
+  }
+
+  /**
+   * Address members reply to for a group (falls back to the global submit address)
+   */
+  getSubmitAddress(group) {
+    if (group && group.submitEmail) {
+      return group.submitEmail;
+    }
+    return process.env.SUBMIT_EMAIL || 'submit@weeklyrecs.com';
+  }
+
+  /**
+   * Add a link to the recipient's email preferences. Emails that can be turned
+   * off (type is one of EMAIL_TYPES) also get an unsubscribe link and
+   * List-Unsubscribe headers for one-click unsubscribe (RFC 8058).
+   */
+  addPreferenceLinks(msg, type = null) {
+    const manageUrl = preferencesUrl(msg.to);
+    const stopUrl = type ? unsubscribeUrl(msg.to, type) : null;
+
+    const footerHtml = `
+    <p style="text-align: center; color: #999; font-size: 12px; margin-top: 20px;">
+        ${stopUrl ? `Don't want ${EMAIL_TYPES[type].label.toLowerCase()}? <a href="${stopUrl}" style="color: #999;">Unsubscribe</a> · ` : ''}<a href="${manageUrl}" style="color: #999;">Email preferences</a>
+    </p>
+`;
+    const footerText = stopUrl
+      ? `Don't want ${EMAIL_TYPES[type].label.toLowerCase()}? Unsubscribe: ${stopUrl}\nEmail preferences: ${manageUrl}`
+      : `Email preferences: ${manageUrl}`;
+
+    const withLinks = { ...msg };
+
+    if (msg.html) {
+      const bodyEnd = msg.html.lastIndexOf('</body>');
+      withLinks.html = bodyEnd === -1
+        ? msg.html + footerHtml
+        : msg.html.slice(0, bodyEnd) + footerHtml + msg.html.slice(bodyEnd);
+    }
+
+    if (msg.text) {
+      withLinks.text = `${msg.text}\n\n--\n${footerText}`;
+    }
+
+    if (stopUrl) {
+      withLinks.headers = {
+        ...msg.headers,
+        'List-Unsubscribe': `<${stopUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      };
+    }
+
+    return withLinks;
+  }
+
+  /**
+   * Subject prefix so members of several groups can tell emails apart
+   */
+  getSubjectPrefix(group) {
+    return group ? `[${group.name}] ` : '';
+  }
+
   // HTML Templates
 
-  generateWeeklyPromptTemplate(name, weekNumber, deadline) {
+  generateWeeklyPromptTemplate(name, round, deadline) {
     return `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Week ${weekNumber} Recommendations</title>
+    <title>${round.name} Recommendations</title>
 </head>
 <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
     <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
-        <h1 style="margin: 0; font-size: 28px;">Week ${weekNumber} Recommendations</h1>
+        <h1 style="margin: 0; font-size: 28px;">${round.name} Recommendations</h1>
         <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">Time to share something great!</p>
     </div>
     
     <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="color: #495057; margin-top: 0;">Hey ${name}! 👋</h2>
-        <p>It's time for this week's recommendations! Reply to this email with your submission using the format below:</p>
+        <p>It's time for this ${round.period}'s recommendations! Reply to this email with your submission using the format below:</p>
         
         <div style="background: white; padding: 20px; border-left: 4px solid #667eea; margin: 20px 0; border-radius: 4px;">
             <p style="margin: 0; font-weight: bold; color: #667eea;">RECOMMENDATION:</p>
             <p style="margin: 5px 0 15px 0; color: #666; font-style: italic;">[What you're recommending - book, movie, restaurant, app, etc.]</p>
             
+            <p style="margin: 0; font-weight: bold; color: #667eea;">CATEGORY: <span style="font-weight: normal; color: #666;">(optional)</span></p>
+            <p style="margin: 5px 0 15px 0; color: #666; font-style: italic;">[${CATEGORIES.join(', ')}]</p>
+            
             <p style="margin: 0; font-weight: bold; color: #667eea;">REASON WHY:</p>
             <p style="margin: 5px 0 15px 0; color: #666; font-style: italic;">[Why you recommend it - what makes it special?]</p>
             
@@ -235,9 +663,12 @@ class EmailService {
             <p style="margin: 5px 0 0 0; color: #666; font-style: italic;">[Life updates, thoughts, or silly messages to share with the group]</p>
         </div>
         
+        <p style="font-size: 14px; color: #666;">Got more than one? Add RECOMMENDATION 2:, CATEGORY 2: and REASON WHY 2: (and so on) before your DIGRESSIONS.</p>
+        
         <div style="background: #e7f3ff; padding: 15px; border-radius: 6px; margin: 20px 0;">
             <h3 style="margin: 0 0 10px 0; color: #0066cc;">Example:</h3>
-            <p style="margin: 5px 0;"><strong>RECOMMENDATION:</strong> The Bear (TV show)</p>
+            <p style="margin: 5px 0;"><strong>RECOMMENDATION:</strong> The Bear</p>
+            <p style="margin: 5px 0;"><strong>CATEGORY:</strong> TV</p>
             <p style="margin: 5px 0;"><strong>REASON WHY:</strong> Incredible acting and realistic kitchen chaos that's both stressful and hilarious</p>
             <p style="margin: 5px 0;"><strong>DIGRESSIONS:</strong> Doing pub trivia on Tuesday with some co-workers, let me know if you want to join!</p>
         </div>
@@ -245,7 +676,7 @@ class EmailService {
     
     <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 6px; margin-bottom: 25px;">
         <p style="margin: 0; color: #856404;"><strong>⏰ Deadline: ${deadline}</strong></p>
-        <p style="margin: 10px 0 0 0; color: #856404; font-size: 14px;">Submissions received after the deadline won't be included in this week's roundup.</p>
+        <p style="margin: 10px 0 0 0; color: #856404; font-size: 14px;">Submissions received after the deadline won't be included in this ${round.period}'s roundup.</p>
     </div>
     
     <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
@@ -256,19 +687,23 @@ class EmailService {
 </html>`;
   }
 
-  generateWeeklyPromptTextTemplate(name, weekNumber, deadline) {
-    return `Week ${weekNumber} Recommendations - Time to share something great!
+  generateWeeklyPromptTextTemplate(name, round, deadline) {
+    return `${round.name} Recommendations - Time to share something great!
 
 Hey ${name}!
 
-It's time for this week's recommendations! Reply to this email with your submission using this format:
+It's time for this ${round.period}'s recommendations! Reply to this email with your submission using this format:
 
 RECOMMENDATION: [What you're recommending]
+CATEGORY: [Optional - ${CATEGORIES.join(', ')}]
 REASON WHY: [Why you recommend it]
 DIGRESSIONS: [Life updates, thoughts, or silly messages to share with the group]
 
+Got more than one? Add RECOMMENDATION 2:, CATEGORY 2: and REASON WHY 2: (and so on) before your DIGRESSIONS.
+
 Example:
-RECOMMENDATION: The Bear (TV show)
+RECOMMENDATION: The Bear
+CATEGORY: TV
 REASON WHY: Incredible acting and realistic kitchen chaos that's both stressful and hilarious
 DIGRESSIONS: Doing pub trivia on Tuesday with some co-workers, let me know if you want to join!
 
@@ -278,23 +713,42 @@ Happy sharing!
 Weekly Recommendations Team`;
   }
 
-  generateCompilationTemplate(name, submissions, weekNumber) {
-    const submissionsHtml = submissions.map(sub => `
-      <tr style="border-bottom: 1px solid #eee;">
-        <td style="padding: 15px; vertical-align: top;">
-          <strong style="color: #667eea;">${sub.user.firstName || 'Friend'}</strong>
-        </td>
-        <td style="padding: 15px; vertical-align: top;">
-          <strong>${sub.recommendation}</strong>
-        </td>
-        <td style="padding: 15px; vertical-align: top;">
-          ${sub.reasons}
-        </td>
-        <td style="padding: 15px; vertical-align: top;">
-          <em>${sub.message}</em>
-        </td>
-      </tr>
-    `).join('');
+  generateCompilationTemplate(name, submissions, round, { lateAdditions = false } = {}) {
+    const sections = this.groupByCategory(submissions);
+    const recommendationCount = sections.reduce((total, section) => total + section.items.length, 0);
+
+    const sectionsHtml = sections.map(section => `
+    <h2 style="color: #495057; margin: 30px 0 10px 0;">${section.label}</h2>
+    <div style="background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+                <tr style="background: #667eea; color: white;">
+                    <th style="padding: 15px; text-align: left; font-weight: bold;">Who</th>
+                    <th style="padding: 15px; text-align: left; font-weight: bold;">Recommendation</th>
+                    <th style="padding: 15px; text-align: left; font-weight: bold;">Reason Why</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${section.items.map(item => `
+                <tr style="border-bottom: 1px solid #eee;">
+                    <td style="padding: 15px; vertical-align: top;">
+                        <strong style="color: #667eea;">${item.user.firstName || 'Friend'}</strong>
+                    </td>
+                    <td style="padding: 15px; vertical-align: top;">
+                        <strong>${item.recommendation}</strong>
+                    </td>
+                    <td style="padding: 15px; vertical-align: top;">
+                        ${item.reasons || ''}
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>`).join('');
+
+    // Digressions are optional, so only list the people who wrote some
+    const digressionsHtml = submissions.filter(sub => sub.message).map(sub => `
+        <p style="margin: 10px 0;"><strong style="color: #667eea;">${sub.user.firstName || 'Friend'}:</strong> <em>${sub.message}</em></p>`
+    ).join('');
 
     return `
 <!DOCTYPE html>
@@ -302,63 +756,73 @@ Weekly Recommendations Team`;
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Week ${weekNumber} Roundup</title>
+    <title>${round.name} ${lateAdditions ? 'Late Additions' : 'Roundup'}</title>
 </head>
 <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; padding: 20px;">
     <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
-        <h1 style="margin: 0; font-size: 28px;">Week ${weekNumber} Roundup</h1>
-        <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">${submissions.length} amazing recommendations from the group!</p>
+        <h1 style="margin: 0; font-size: 28px;">${round.name} ${lateAdditions ? 'Late Additions' : 'Roundup'}</h1>
+        <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">${lateAdditions ? `${recommendationCount} more recommendations from the group!` : `${recommendationCount} amazing recommendations from the group!`}</p>
     </div>
     
     <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="color: #495057; margin-top: 0;">Hey ${name}! 🎉</h2>
-        <p>Here are all the recommendations from this week's participants:</p>
+        <p>${lateAdditions
+            ? `A few more recommendations came in after this ${round.period}'s roundup went out:`
+            : `Here are all the recommendations from this ${round.period}'s participants:`}</p>
     </div>
     
-    <div style="background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-        <table style="width: 100%; border-collapse: collapse;">
-            <thead>
-                <tr style="background: #667eea; color: white;">
-                    <th style="padding: 15px; text-align: left; font-weight: bold;">Who</th>
-                    <th style="padding: 15px; text-align: left; font-weight: bold;">Recommendation</th>
-                    <th style="padding: 15px; text-align: left; font-weight: bold;">Reason Why</th>
-                    <th style="padding: 15px; text-align: left; font-weight: bold;">Digressions</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${submissionsHtml}
-            </tbody>
-        </table>
-    </div>
+    ${sectionsHtml}
+    ${digressionsHtml ? `
+    <h2 style="color: #495057; margin: 30px 0 10px 0;">Digressions</h2>
+    <div style="background: #f8f9fa; padding: 20px; border-radius: 8px;">
+        ${digressionsHtml}
+    </div>` : ''}
     
     <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px; margin-top: 30px;">
-        <p>Thanks to everyone who participated this week! 🙌</p>
-        <p style="margin: 0;">See you next Thursday for Week ${weekNumber + 1}!</p>
+        <p>Thanks to everyone who participated this ${round.period}! 🙌</p>
+        <p style="margin: 0;">See you next ${round.period}!</p>
     </div>
 </body>
 </html>`;
   }
 
-  generateCompilationTextTemplate(submissions, weekNumber) {
-    const submissionsText = submissions.map(sub => 
-      `${sub.user.firstName || 'Friend'}: ${sub.recommendation}\n` +
-      `Reason Why: ${sub.reasons}\n` +
-      `Digressions: ${sub.message}\n`
+  generateCompilationTextTemplate(submissions, round, { lateAdditions = false } = {}) {
+    const sections = this.groupByCategory(submissions);
+    const recommendationCount = sections.reduce((total, section) => total + section.items.length, 0);
+
+    const sectionsText = sections.map(section =>
+      `== ${section.label} ==\n\n` +
+      section.items.map(item =>
+        `${item.user.firstName || 'Friend'}: ${item.recommendation}\n` +
+        (item.reasons ? `Reason Why: ${item.reasons}\n` : '')
+      ).join('\n')
     ).join('\n---\n\n');
 
-    return `Week ${weekNumber} Recommendations Roundup
+    const digressionsText = submissions.filter(sub => sub.message).map(sub =>
+      `${sub.user.firstName || 'Friend'}: ${sub.message}`
+    ).join('\n');
+
+    return `${round.name} ${lateAdditions ? 'Late Additions' : 'Recommendations Roundup'}
+
+${lateAdditions
+    ? `A few more recommendations came in after this ${round.period}'s roundup went out - ${recommendationCount} more from the group!`
+    : `${recommendationCount} amazing recommendations from the group!`}
+
+${sectionsText}${digressionsText ? `
+---
 
-${submissions.length} amazing recommendations from the group!
+== Digressions ==
 
-${submissionsText}
+${digressionsText}
+` : ''}
 
-Thanks to everyone who participated this week!
-See you next Thursday for Week ${weekNumber + 1}!
+Thanks to everyone who participated this ${round.period}!
+See you next ${round.period}!
 
 Weekly Recommendations Team`;
   }
 
-  generateConfirmationTemplate(name, submissionData, weekNumber) {
+  generateConfirmationTemplate(name, submissionData, round, lateAddition = false) {
     return `
 <!DOCTYPE html>
 <html>
@@ -370,17 +834,17 @@ Weekly Recommendations Team`;
 <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
     <div style="background: #d4edda; border: 1px solid #c3e6cb; color: #155724; padding: 20px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="margin: 0 0 10px 0;">✅ Submission Confirmed!</h2>
-        <p style="margin: 0;">Your Week ${weekNumber} recommendation has been received.</p>
+        <p style="margin: 0;">Your ${round.name} recommendation has been received.</p>
     </div>
     
     <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
         <h3 style="margin-top: 0; color: #495057;">Your submission:</h3>
-        <p><strong>Recommendation:</strong> ${submissionData.recommendation}</p>
-        <p><strong>Reason Why:</strong> ${submissionData.reasonWhy}</p>
-        <p><strong>Digressions:</strong> ${submissionData.digressions}</p>
+        ${this.generateSubmissionSummaryHtml(submissionData)}
     </div>
     
-    <p>Thanks ${name}! You'll receive the full roundup after the submission deadline with everyone's recommendations.</p>
+    <p>Thanks ${name}! ${lateAddition
+        ? "The roundup has already gone out, so your recommendation will be shared with everyone in a late additions email."
+        : "You'll receive the full roundup after the submission deadline with everyone's recommendations."}</p>
     
     <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
         <p style="margin: 0;">Weekly Recommendations Team</p>
@@ -389,20 +853,251 @@ Weekly Recommendations Team`;
 </html>`;
   }
 
-  generateConfirmationTextTemplate(name, submissionData, weekNumber) {
+  generateConfirmationTextTemplate(name, submissionData, round, lateAddition = false) {
     return `Submission Confirmed!
 
 Hi ${name}!
 
-Your Week ${weekNumber} recommendation has been received:
+Your ${round.name} recommendation has been received:
+
+${this.generateSubmissionSummaryText(submissionData)}
+
+${lateAddition
+    ? 'The roundup has already gone out, so your recommendation will be shared with everyone in a late additions email.'
+    : "You'll receive the full roundup after the submission deadline with everyone's recommendations."}
+
+Thanks!
+Weekly Recommendations Team`;
+  }
+
+  generateSubmissionSummaryHtml(submissionData) {
+    const numbered = submissionData.recommendations.length > 1;
+
+    const recommendationsHtml = submissionData.recommendations.map((rec, index) => `
+        <p><strong>Recommendation${numbered ? ` ${index + 1}` : ''}:</strong> ${rec.recommendation}${rec.category ? ` <span style="color: #666;">(${categoryLabel(rec.category)})</span>` : ''}</p>${rec.reasonWhy ? `
+        <p><strong>Reason Why:</strong> ${rec.reasonWhy}</p>` : ''}`
+    ).join('');
+
+    return submissionData.digressions ? `${recommendationsHtml}
+        <p><strong>Digressions:</strong> ${submissionData.digressions}</p>` : recommendationsHtml;
+  }
+
+  generateSubmissionSummaryText(submissionData) {
+    const numbered = submissionData.recommendations.length > 1;
+
+    const recommendationsText = submissionData.recommendations.map((rec, index) =>
+      `Recommendation${numbered ? ` ${index + 1}` : ''}: ${rec.recommendation}${rec.category ? ` (${categoryLabel(rec.category)})` : ''}` +
+      (rec.reasonWhy ? `\nReason Why: ${rec.reasonWhy}` : '')
+    ).join('\n\n');
+
+    return submissionData.digressions
+      ? `${recommendationsText}\n\nDigressions: ${submissionData.digressions}`
+      : recommendationsText;
+  }
+
+  generateIncompleteSubmissionTemplate(name, missing, round) {
+    const missingHtml = missing.map(field => `<li>${field}</li>`).join('');
+    const hint = missing.length === 1
+      ? 'Just reply with it - no label needed - and we\'ll add it to what you sent.'
+      : 'Reply with just these, using the labels above, and we\'ll add them to what you sent.';
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Almost There</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: #e7f3ff; border: 1px solid #b8daff; color: #004085; padding: 20px; border-radius: 8px; margin-bottom: 25px;">
+        <h2 style="margin: 0 0 10px 0;">📝 Almost There!</h2>
+        <p style="margin: 0;">We've saved your ${round.name} submission, but it's missing something.</p>
+    </div>
+    
+    <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+        <h3 style="margin-top: 0; color: #495057;">Still needed:</h3>
+        <ul>${missingHtml}</ul>
+        <p style="margin-bottom: 0;">${hint}</p>
+    </div>
+    
+    <p>Thanks ${name}! Your submission will count once it's complete, as long as it's in before the deadline.</p>
+    
+    <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
+        <p style="margin: 0;">Weekly Recommendations Team</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  generateIncompleteSubmissionTextTemplate(name, missing, round) {
+    const hint = missing.length === 1
+      ? 'Just reply with it - no label needed - and we\'ll add it to what you sent.'
+      : 'Reply with just these, using the labels above, and we\'ll add them to what you sent.';
+
+    return `Almost There!
+
+Hi ${name}!
+
+We've saved your ${round.name} submission, but it's missing something. Still needed:
+
+${missing.map(field => `- ${field}`).join('\n')}
+
+${hint}
+
+Your submission will count once it's complete, as long as it's in before the deadline.
+
+Weekly Recommendations Team`;
+  }
+
+  generateEditConfirmationTemplate(name, changes, round) {
+    const changesHtml = changes.map(change => change.changed ? `
+        <p style="margin: 15px 0 5px 0;"><strong>${change.label}:</strong></p>
+        <p style="margin: 0; color: #721c24; text-decoration: line-through;">${change.before}</p>
+        <p style="margin: 0; color: #155724;">${change.after}</p>` : `
+        <p style="margin: 15px 0 5px 0;"><strong>${change.label}:</strong> ${change.after} <span style="color: #666; font-size: 14px;">(unchanged)</span></p>`
+    ).join('');
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Submission Updated</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: #d4edda; border: 1px solid #c3e6cb; color: #155724; padding: 20px; border-radius: 8px; margin-bottom: 25px;">
+        <h2 style="margin: 0 0 10px 0;">✏️ Submission Updated!</h2>
+        <p style="margin: 0;">Your ${round.name} recommendation has been replaced.</p>
+    </div>
+    
+    <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+        <h3 style="margin-top: 0; color: #495057;">What changed:</h3>
+        ${changesHtml}
+    </div>
+    
+    <p>Thanks ${name}! Only the latest version will appear in the roundup. You can keep editing until the deadline.</p>
+    
+    <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
+        <p style="margin: 0;">Weekly Recommendations Team</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  generateEditConfirmationTextTemplate(name, changes, round) {
+    const changesText = changes.map(change => change.changed
+      ? `${change.label}:\n  - ${change.before}\n  + ${change.after}`
+      : `${change.label}: ${change.after} (unchanged)`
+    ).join('\n\n');
+
+    return `Submission Updated!
+
+Hi ${name}!
+
+Your ${round.name} recommendation has been replaced. Here's what changed:
 
-Recommendation: ${submissionData.recommendation}
-Reason Why: ${submissionData.reasonWhy}
-Digressions: ${submissionData.digressions}
+${changesText}
 
-You'll receive the full roundup after the submission deadline with everyone's recommendations.
+Only the latest version will appear in the roundup. You can keep editing until the deadline.
 
 Thanks!
+Weekly Recommendations Team`;
+  }
+
+  generateWithdrawalTemplate(name, submissionData, round) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Submission Withdrawn</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 20px; border-radius: 8px; margin-bottom: 25px;">
+        <h2 style="margin: 0 0 10px 0;">↩️ Submission Withdrawn</h2>
+        <p style="margin: 0;">Your ${round.name} recommendation has been removed and won't appear in the roundup.</p>
+    </div>
+    
+    <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+        <h3 style="margin-top: 0; color: #495057;">What you withdrew:</h3>
+        ${this.generateSubmissionSummaryHtml(submissionData)}
+    </div>
+    
+    <p>Changed your mind, ${name}? You can still send a new submission before the deadline.</p>
+    
+    <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
+        <p style="margin: 0;">Weekly Recommendations Team</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  generateWithdrawalTextTemplate(name, submissionData, round) {
+    return `Submission Withdrawn
+
+Hi ${name}!
+
+Your ${round.name} recommendation has been removed and won't appear in the roundup:
+
+${this.generateSubmissionSummaryText(submissionData)}
+
+Changed your mind? You can still send a new submission before the deadline.
+
+Weekly Recommendations Team`;
+  }
+
+  generateCommandResponseTemplate(name, response) {
+    const messageHtml = response.message.split('\n\n')
+      .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+      .join('');
+    const itemsHtml = response.items && response.items.length > 0
+      ? `<ul style="padding-left: 20px;">${response.items.map(item => `<li style="margin-bottom: 8px;">${item}</li>`).join('')}</ul>`
+      : '';
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${response.title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: #e7f3ff; padding: 20px; border-radius: 8px; margin-bottom: 25px;">
+        <h2 style="margin: 0; color: #0066cc;">${response.title}</h2>
+    </div>
+    
+    <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+        <p style="margin-top: 0;">Hi ${name}!</p>
+        ${messageHtml}
+        ${itemsHtml}
+    </div>
+    
+    <p style="font-size: 14px; color: #666;">Send HELP at any time for the full list of commands.</p>
+    
+    <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
+        <p style="margin: 0;">Weekly Recommendations Team</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  generateCommandResponseTextTemplate(name, response) {
+    const itemsText = response.items && response.items.length > 0
+      ? '\n\n' + response.items.map(item => `- ${item}`).join('\n')
+      : '';
+
+    return `${response.title}
+
+Hi ${name}!
+
+${response.message}${itemsText}
+
+Send HELP at any time for the full list of commands.
+
 Weekly Recommendations Team`;
   }
 
@@ -448,8 +1143,10 @@ Weekly Recommendations Team`;
     <div style="background: #e7f3ff; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
         <h3 style="margin-top: 0; color: #0066cc;">Please use this exact format:</h3>
         <p style="margin: 5px 0;"><strong>RECOMMENDATION:</strong> [What you're recommending]</p>
+        <p style="margin: 5px 0;"><strong>CATEGORY:</strong> [Optional - ${CATEGORIES.join(', ')}]</p>
         <p style="margin: 5px 0;"><strong>REASON WHY:</strong> [Why you recommend it]</p>
         <p style="margin: 5px 0;"><strong>DIGRESSIONS:</strong> [Life updates, thoughts, or silly messages]</p>
+        <p style="margin: 15px 0 0 0; font-size: 14px;">For more than one recommendation, add RECOMMENDATION 2:, CATEGORY 2: and REASON WHY 2: before your DIGRESSIONS.</p>
     </div>
     
     <p>Please reply with your corrected submission. If you need help, just reply to this email!</p>
@@ -469,15 +1166,18 @@ There was a problem with your submission format: ${errorMessages}
 Please use this exact format:
 
 RECOMMENDATION: [What you're recommending]
+CATEGORY: [Optional - ${CATEGORIES.join(', ')}]
 REASON WHY: [Why you recommend it]
 DIGRESSIONS: [Life updates, thoughts, or silly messages]
 
+For more than one recommendation, add RECOMMENDATION 2:, CATEGORY 2: and REASON WHY 2: before your DIGRESSIONS.
+
 Please reply with your corrected submission. If you need help, just reply to this email!
 
 Weekly Recommendations Team`;
   }
 
-  generateInvitationTemplate(inviterName, acceptUrl) {
+  generateInvitationTemplate(inviterName, acceptUrl, groupName = 'Weekly Recommendations', howItWorks = []) {
     return `
 <!DOCTYPE html>
 <html>
@@ -489,14 +1189,14 @@ Weekly Recommendations Team`;
 <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
     <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
         <h1 style="margin: 0; font-size: 28px;">You're Invited! 🎉</h1>
-        <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">Join our Weekly Recommendations group</p>
+        <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">Join our ${groupName} group</p>
     </div>
     
     <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <p style="font-size: 18px; margin-top: 0;">Hi there!</p>
-        <p><strong>${inviterName}</strong> has invited you to join our Weekly Recommendations group!</p>
+        <p><strong>${inviterName}</strong> has invited you to join our ${groupName} group!</p>
         
-        <p>Every week, we share one thing we recommend - could be a book, movie, restaurant, app, podcast, or anything else worth sharing. It's a fun way to discover new things and stay connected.</p>
+        <p>Each round, we share one thing we recommend - could be a book, movie, restaurant, app, podcast, or anything else worth sharing. It's a fun way to discover new things and stay connected.</p>
         
         <div style="text-align: center; margin: 30px 0;">
             <a href="${acceptUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">Accept Invitation</a>
@@ -508,10 +1208,7 @@ Weekly Recommendations Team`;
     <div style="background: #e7f3ff; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
         <h3 style="margin-top: 0; color: #0066cc;">How it works:</h3>
         <ul style="margin: 0; padding-left: 20px;">
-            <li>Every Thursday, you'll get an email prompt</li>
-            <li>Reply with your recommendation, reason why, and digressions</li>
-            <li>Sunday evening, everyone gets a roundup with all recommendations</li>
-            <li>After 4 weeks of participation, you can invite friends too!</li>
+            ${howItWorks.map(item => `<li>${item}</li>`).join('\n            ')}
         </ul>
     </div>
     
@@ -522,20 +1219,17 @@ Weekly Recommendations Team`;
 </html>`;
   }
 
-  generateInvitationTextTemplate(inviterName, acceptUrl) {
-    return `You're Invited to Weekly Recommendations!
+  generateInvitationTextTemplate(inviterName, acceptUrl, groupName = 'Weekly Recommendations', howItWorks = []) {
+    return `You're Invited to ${groupName}!
 
 Hi there!
 
-${inviterName} has invited you to join our Weekly Recommendations group!
+${inviterName} has invited you to join our ${groupName} group!
 
-Every week, we share one thing we recommend - could be a book, movie, restaurant, app, podcast, or anything else worth sharing. It's a fun way to discover new things and stay connected.
+Each round, we share one thing we recommend - could be a book, movie, restaurant, app, podcast, or anything else worth sharing. It's a fun way to discover new things and stay connected.
 
 How it works:
-- Every Thursday, you'll get an email prompt
-- Reply with your recommendation, reason why, and digressions  
-- Sunday evening, everyone gets a roundup with all recommendations
-- After 4 weeks of participation, you can invite friends too!
+${howItWorks.map(item => `- ${item}`).join('\n')}
 
 Accept your invitation here: ${acceptUrl}
 
@@ -544,7 +1238,41 @@ This invitation will expire in 7 days.
 Weekly Recommendations Team`;
   }
 
-  generateEligibilityTemplate(name, streakCount) {
+  generateWelcomeTemplate(name, groupName, howItWorks) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Welcome!</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+        <h1 style="margin: 0; font-size: 28px;">🎉 Welcome!</h1>
+        <p style="margin: 10px 0 0 0; font-size: 18px; opacity: 0.9;">You've joined ${groupName}!</p>
+    </div>
+    
+    <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
+        <h2 style="color: #495057; margin-top: 0;">Hi ${name}!</h2>
+        <h3 style="color: #495057;">How it works:</h3>
+        <ul style="padding-left: 20px;">
+            ${howItWorks.map(item => `<li>${item}</li>`).join('\n            ')}
+        </ul>
+        
+        <div style="background: #e7f3ff; padding: 15px; border-radius: 6px; margin: 20px 0;">
+            <p style="margin: 0; color: #0066cc;"><strong>Your first prompt will arrive when the group's next round starts!</strong></p>
+        </div>
+    </div>
+    
+    <div style="text-align: center; color: #666; font-size: 14px; border-top: 1px solid #eee; padding-top: 20px;">
+        <p style="margin: 0;">Weekly Recommendations Team</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  generateEligibilityTemplate(name, streakText) {
     return `
 <!DOCTYPE html>
 <html>
@@ -561,14 +1289,14 @@ Weekly Recommendations Team`;
     
     <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="color: #495057; margin-top: 0;">Amazing work, ${name}!</h2>
-        <p>You've submitted recommendations for <strong>${streakCount} consecutive weeks</strong> and have unlocked the ability to invite friends to our group! 🎊</p>
+        <p>You've submitted recommendations for <strong>${streakText}</strong> and have unlocked the ability to invite friends to our group! 🎊</p>
         
         <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 6px; margin: 20px 0;">
-            <p style="margin: 0; color: #155724;"><strong>You can invite up to 5 people total.</strong></p>
+            <p style="margin: 0; color: #155724;"><strong>You can invite up to ${this.maxInvitesPerUser} people total.</strong></p>
         </div>
         
         <h3 style="color: #495057;">How to invite someone:</h3>
-        <p>Reply to any weekly prompt email with:</p>
+        <p>Reply to any prompt email with:</p>
         <div style="background: white; padding: 15px; border-left: 4px solid #28a745; margin: 15px 0; border-radius: 4px;">
             <p style="margin: 0; font-family: monospace;"><strong>INVITE: friend@email.com</strong></p>
         </div>
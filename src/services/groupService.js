@@ -0,0 +1,184 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class GroupService {
+  /**
+   * Get all active groups
+   */
+  async getActiveGroups() {
+    return await prisma.group.findMany({
+      where: { isActive: true },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  /**
+   * Get active users who are active members of a group
+   */
+  async getActiveMembers(groupId) {
+    const memberships = await prisma.groupMembership.findMany({
+      where: {
+        groupId,
+        isActive: true,
+        user: { isActive: true }
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            inviteCount: true
+          }
+        }
+      }
+    });
+
+    return memberships.map(membership => membership.user);
+  }
+
+  /**
+   * Get the active groups a user belongs to
+   */
+  async getUserGroups(userId) {
+    const memberships = await prisma.groupMembership.findMany({
+      where: {
+        userId,
+        isActive: true,
+        group: { isActive: true }
+      },
+      include: { group: true }
+    });
+
+    return memberships.map(membership => membership.group);
+  }
+
+  /**
+   * Check whether a user is an active member of a group
+   */
+  async isMember(groupId, userId) {
+    const membership = await prisma.groupMembership.findUnique({
+      where: { groupId_userId: { groupId, userId } }
+    });
+
+    return !!membership && membership.isActive;
+  }
+
+  /**
+   * Work out which group an inbound email is meant for.
+   * Matches the recipient against each group's submit address, and falls
+   * back to the sender's only group when the address is not recognised.
+   */
+  async resolveGroupForInbound(toHeader, userId) {
+    const userGroups = await this.getUserGroups(userId);
+    const recipients = this.extractAddresses(toHeader);
+
+    const addressed = userGroups.find(group =>
+      recipients.includes(group.submitEmail.toLowerCase())
+    );
+
+    if (addressed) {
+      return { group: addressed };
+    }
+
+    if (userGroups.length === 1) {
+      return { group: userGroups[0] };
+    }
+
+    if (userGroups.length === 0) {
+      return { group: null, error: 'You are not a member of any active group.' };
+    }
+
+    const addresses = userGroups.map(group => `${group.name}: ${group.submitEmail}`).join(', ');
+    return {
+      group: null,
+      error: `You belong to several groups, so please send your email to the address of the group it is for (${addresses}).`
+    };
+  }
+
+  /**
+   * Find the active group an inbound email was addressed to, for senders who
+   * aren't members of anything yet. Falls back to the only group when there is one.
+   */
+  async findGroupForAddress(toHeader) {
+    const groups = await this.getActiveGroups();
+    const recipients = this.extractAddresses(toHeader);
+
+    const addressed = groups.find(group =>
+      recipients.includes(group.submitEmail.toLowerCase())
+    );
+
+    return addressed || (groups.length === 1 ? groups[0] : null);
+  }
+
+  /**
+   * Create a new group
+   */
+  async createGroup({ name, slug, submitEmail }) {
+    const group = await prisma.group.create({
+      data: {
+        name,
+        slug: slug.toLowerCase(),
+        submitEmail: submitEmail.toLowerCase()
+      }
+    });
+
+    logger.info('Group created:', { groupId: group.id, slug: group.slug });
+    return group;
+  }
+
+  /**
+   * Add a user to a group (re-activating an old membership if there is one)
+   */
+  async addMember(groupId, userId, role = 'member') {
+    const membership = await prisma.groupMembership.upsert({
+      where: { groupId_userId: { groupId, userId } },
+      update: { isActive: true },
+      create: { groupId, userId, role }
+    });
+
+    // Every member gets a streak record for the group
+    await prisma.userStreak.upsert({
+      where: { userId_groupId: { userId, groupId } },
+      update: {},
+      create: {
+        userId,
+        groupId,
+        currentStreak: 0,
+        longestStreak: 0,
+        canInvite: false
+      }
+    });
+
+    logger.info('Member added to group:', { groupId, userId, role });
+    return membership;
+  }
+
+  /**
+   * Remove a user from a group (soft delete by making the membership inactive)
+   */
+  async removeMember(groupId, userId) {
+    const membership = await prisma.groupMembership.update({
+      where: { groupId_userId: { groupId, userId } },
+      data: { isActive: false }
+    });
+
+    logger.info('Member removed from group:', { groupId, userId });
+    return membership;
+  }
+
+  /**
+   * Extract all email addresses from a To/Cc style header
+   */
+  extractAddresses(header) {
+    if (!header) return [];
+
+    const emailRegex = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
+    return (header.match(emailRegex) || []).map(address => address.toLowerCase());
+  }
+}
+
+module.exports = { GroupService };
@@ -1,31 +1,41 @@
 const { PrismaClient } = require('@prisma/client');
 const { EmailService } = require('./emailService');
+const { GroupService } = require('./groupService');
+const { PreferenceService } = require('./preferenceService');
 const crypto = require('crypto');
 const moment = require('moment-timezone');
+const { inviteManageUrl } = require('../utils/signedLinks');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
+// Invites that use up one of the inviter's slots
+const SLOT_STATUSES = ['awaiting_approval', 'pending', 'accepted'];
+
 class InvitationService {
   constructor() {
     this.emailService = new EmailService();
+    this.groupService = new GroupService();
+    this.preferenceService = new PreferenceService();
     this.maxInvitesPerUser = parseInt(process.env.MAX_INVITES_PER_USER) || 5;
     this.inviteExpiryDays = parseInt(process.env.INVITE_EXPIRY_DAYS) || 7;
+    this.expiryWarningHours = parseInt(process.env.INVITE_EXPIRY_WARNING_HOURS) || 48;
     this.streakRequired = parseInt(process.env.STREAK_REQUIRED_FOR_INVITE) || 4;
   }
 
   /**
-   * Check if user is eligible to send invitations
+   * Check if user is eligible to send invitations to a group
    */
-  async checkInviteEligibility(userId) {
+  async checkInviteEligibility(userId, groupId) {
     try {
       const user = await prisma.user.findUnique({
         where: { id: userId },
         include: {
-          streak: true,
+          streaks: { where: { groupId } },
+          memberships: { where: { groupId, isActive: true } },
           sentInvites: {
             where: {
-              status: { in: ['pending', 'accepted'] }
+              status: { in: SLOT_STATUSES }
             }
           }
         }
@@ -35,14 +45,19 @@ class InvitationService {
         return { eligible: false, reason: 'User not found or inactive' };
       }
 
-      if (!user.streak) {
+      if (user.memberships.length === 0) {
+        return { eligible: false, reason: 'Not a member of this group' };
+      }
+
+      const streak = user.streaks[0];
+      if (!streak) {
         return { eligible: false, reason: 'No submission history' };
       }
 
-      if (user.streak.currentStreak < this.streakRequired) {
+      if (streak.currentStreak < this.streakRequired) {
         return { 
           eligible: false, 
-          reason: `Requires ${this.streakRequired} consecutive weeks (current: ${user.streak.currentStreak})` 
+          reason: `Requires ${this.streakRequired} rounds in a row (current: ${streak.currentStreak})` 
         };
       }
 
@@ -57,7 +72,7 @@ class InvitationService {
         eligible: true,
         invitesUsed: user.sentInvites.length,
         invitesRemaining: this.maxInvitesPerUser - user.sentInvites.length,
-        currentStreak: user.streak.currentStreak
+        currentStreak: streak.currentStreak
       };
 
     } catch (error) {
@@ -67,12 +82,13 @@ class InvitationService {
   }
 
   /**
-   * Send invitation to new user
+   * Send invitation to join a group. In groups with inviteApproval on, the
+   * invite waits for an admin instead, and is only emailed once approved.
    */
-  async sendInvitation(inviterId, inviteeEmail) {
+  async sendInvitation(inviterId, inviteeEmail, groupId) {
     try {
       // Validate inviter eligibility
-      const eligibility = await this.checkInviteEligibility(inviterId);
+      const eligibility = await this.checkInviteEligibility(inviterId, groupId);
       if (!eligibility.eligible) {
         return { success: false, error: eligibility.reason };
       }
@@ -88,7 +104,7 @@ class InvitationService {
         where: { email: cleanEmail }
       });
 
-      if (existingUser) {
+      if (existingUser && await this.groupService.isMember(groupId, existingUser.id)) {
         return { success: false, error: 'User is already a member' };
       }
 
@@ -96,10 +112,11 @@ class InvitationService {
       const existingInvite = await prisma.invite.findFirst({
         where: {
           inviteeEmail: cleanEmail,
-          status: 'pending',
-          expiresAt: {
-            gt: new Date()
-          }
+          groupId,
+          OR: [
+            { status: 'pending', expiresAt: { gt: new Date() } },
+            { status: 'awaiting_approval' }
+          ]
         }
       });
 
@@ -123,22 +140,28 @@ class InvitationService {
         }
       });
 
+      const group = await prisma.group.findUnique({
+        where: { id: groupId }
+      });
+
+      const awaitingApproval = group.inviteApproval;
+
       // Create invite record
       const invite = await prisma.invite.create({
         data: {
           inviterId,
+          groupId,
           inviteeEmail: cleanEmail,
           inviteToken,
-          expiresAt
+          expiresAt,
+          status: awaitingApproval ? 'awaiting_approval' : 'pending'
         }
       });
 
       // Send invitation email
-      const inviterName = inviter.firstName ? 
-        `${inviter.firstName}${inviter.lastName ? ' ' + inviter.lastName : ''}` : 
-        inviter.email;
-
-      await this.emailService.sendInvitation(inviterName, cleanEmail, inviteToken);
+      if (!awaitingApproval) {
+        await this.emailService.sendInvitation(this.getInviterName(inviter), cleanEmail, inviteToken, group);
+      }
 
       // Update inviter's invite count
       await prisma.user.update({
@@ -150,8 +173,9 @@ class InvitationService {
         }
       });
 
-      logger.info('Invitation sent successfully:', {
+      logger.info(awaitingApproval ? 'Invitation awaiting approval:' : 'Invitation sent successfully:', {
         inviterId,
+        groupId,
         inviteeEmail: cleanEmail,
         inviteToken,
         expiresAt
@@ -162,6 +186,7 @@ class InvitationService {
         inviteId: invite.id,
         inviteToken,
         expiresAt,
+        awaitingApproval,
         invitesRemaining: eligibility.invitesRemaining - 1
       };
 
@@ -172,14 +197,15 @@ class InvitationService {
   }
 
   /**
-   * Process invitation acceptance
+   * Look up an invite that can still be accepted. Returns { success, invite,
+   * existingUser }, or { success: false, error } when it can't be.
    */
-  async processInviteAcceptance(inviteToken, userData = {}) {
+  async getPendingInvite(inviteToken) {
     try {
-      // Find and validate invite
       const invite = await prisma.invite.findUnique({
         where: { inviteToken },
         include: {
+          group: true,
           inviter: {
             select: {
               firstName: true,
@@ -199,21 +225,39 @@ class InvitationService {
       }
 
       if (new Date() > invite.expiresAt) {
-        // Mark as expired
-        await prisma.invite.update({
-          where: { id: invite.id },
-          data: { status: 'expired' }
-        });
+        await this.expireInvite(invite);
         return { success: false, error: 'Invitation has expired' };
       }
 
-      // Check if user already exists
       const existingUser = await prisma.user.findUnique({
         where: { email: invite.inviteeEmail }
       });
 
-      if (existingUser) {
-        // Mark invite as accepted but don't create duplicate user
+      return { success: true, invite, existingUser };
+
+    } catch (error) {
+      logger.error('Error looking up invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process invitation acceptance. userData comes from the onboarding form:
+   * firstName, lastName, timezone, interests (categories) and preferences
+   * (email types to turn on or off). Existing members of other groups keep
+   * their profile as it is.
+   */
+  async processInviteAcceptance(inviteToken, userData = {}) {
+    try {
+      const pending = await this.getPendingInvite(inviteToken);
+      if (!pending.success) {
+        return pending;
+      }
+
+      const { invite, existingUser } = pending;
+
+      if (existingUser && await this.groupService.isMember(invite.groupId, existingUser.id)) {
+        // Mark invite as accepted but don't add a duplicate membership
         await prisma.invite.update({
           where: { id: invite.id },
           data: { 
@@ -224,25 +268,8 @@ class InvitationService {
         return { success: false, error: 'User already exists' };
       }
 
-      // Create new user
-      const newUser = await prisma.user.create({
-        data: {
-          email: invite.inviteeEmail,
-          firstName: userData.firstName || null,
-          lastName: userData.lastName || null,
-          isActive: true
-        }
-      });
-
-      // Create initial streak record
-      await prisma.userStreak.create({
-        data: {
-          userId: newUser.id,
-          currentStreak: 0,
-          longestStreak: 0,
-          canInvite: false
-        }
-      });
+      // Existing members of other groups just join this one too
+      const { user: newUser } = await this.admitMember(invite.inviteeEmail, invite.groupId, userData);
 
       // Update invite status
       await prisma.invite.update({
@@ -253,10 +280,21 @@ class InvitationService {
         }
       });
 
+      // Let the inviter know their friend made it in
+      const newMemberName = newUser.firstName
+        ? `${newUser.firstName}${newUser.lastName ? ' ' + newUser.lastName : ''} (${newUser.email})`
+        : newUser.email;
+      await this.emailService.sendInviteUpdate(invite.inviter.email, invite.inviter.firstName || 'Friend', {
+        title: 'Your invitation was accepted',
+        message: `${newMemberName} accepted your invitation and has joined ${invite.group.name}. Thanks for bringing them along!`
+      }, invite.group, { key: `invite_accepted:${invite.id}` });
+
       logger.info('Invitation accepted successfully:', {
         inviteId: invite.id,
+        groupId: invite.groupId,
         newUserId: newUser.id,
-        userEmail: invite.inviteeEmail
+        userEmail: invite.inviteeEmail,
+        existingUser: !!existingUser
       });
 
       return {
@@ -267,7 +305,8 @@ class InvitationService {
           firstName: newUser.firstName,
           lastName: newUser.lastName
         },
-        inviter: invite.inviter
+        inviter: invite.inviter,
+        group: invite.group
       };
 
     } catch (error) {
@@ -277,17 +316,51 @@ class InvitationService {
   }
 
   /**
-   * Check invite eligibility for all users and update records
+   * Add someone to a group by email address, creating their user from userData
+   * (as in processInviteAcceptance) if they are new. Existing users keep their profile.
+   */
+  async admitMember(email, groupId, userData = {}) {
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    const user = existingUser || await prisma.user.create({
+      data: {
+        email,
+        firstName: userData.firstName || null,
+        lastName: userData.lastName || null,
+        timezone: userData.timezone || null,
+        interests: userData.interests || [],
+        ...this.preferenceService.toUserFields(userData.preferences || {}),
+        isActive: true
+      }
+    });
+
+    // Add membership (and initial streak record) for the group
+    await this.groupService.addMember(groupId, user.id);
+
+    return { user, existingUser: !!existingUser };
+  }
+
+  /**
+   * Check invite eligibility for all users (in each of their groups) and update records
    */
   async checkAllUsersEligibility() {
     try {
-      const users = await prisma.user.findMany({
-        where: { isActive: true },
+      const streaks = await prisma.userStreak.findMany({
+        where: {
+          user: { isActive: true },
+          group: { isActive: true }
+        },
         include: {
-          streak: true,
-          sentInvites: {
-            where: {
-              status: { in: ['pending', 'accepted'] }
+          group: true,
+          user: {
+            include: {
+              sentInvites: {
+                where: {
+                  status: { in: SLOT_STATUSES }
+                }
+              }
             }
           }
         }
@@ -295,20 +368,20 @@ class InvitationService {
 
       let eligibilityUpdates = 0;
 
-      for (const user of users) {
-        if (!user.streak) continue;
+      for (const streak of streaks) {
+        const { user, group } = streak;
 
-        const shouldBeEligible = user.streak.currentStreak >= this.streakRequired && 
+        const shouldBeEligible = streak.currentStreak >= this.streakRequired && 
                                 user.sentInvites.length < this.maxInvitesPerUser;
         
-        const currentlyEligible = user.streak.canInvite;
+        const currentlyEligible = streak.canInvite;
 
         if (shouldBeEligible !== currentlyEligible) {
           await prisma.userStreak.update({
-            where: { userId: user.id },
+            where: { id: streak.id },
             data: {
               canInvite: shouldBeEligible,
-              inviteEligibleSince: shouldBeEligible && !currentlyEligible ? new Date() : user.streak.inviteEligibleSince
+              inviteEligibleSince: shouldBeEligible && !currentlyEligible ? new Date() : streak.inviteEligibleSince
             }
           });
 
@@ -317,7 +390,8 @@ class InvitationService {
             await this.emailService.sendInviteEligibilityNotification(
               user.email,
               user.firstName || 'Friend',
-              user.streak.currentStreak
+              streak.currentStreak,
+              group
             );
           }
 
@@ -326,13 +400,13 @@ class InvitationService {
       }
 
       logger.info('Checked invite eligibility for all users:', {
-        totalUsers: users.length,
+        totalStreaks: streaks.length,
         eligibilityUpdates
       });
 
       return {
         success: true,
-        totalUsers: users.length,
+        totalStreaks: streaks.length,
         eligibilityUpdates
       };
 
@@ -384,24 +458,28 @@ class InvitationService {
   }
 
   /**
-   * Cleanup expired invitations
+   * Cleanup expired invitations, giving their slots back to the inviters
    */
   async cleanupExpiredInvites() {
     try {
-      const expiredInvites = await prisma.invite.updateMany({
+      const expiredInvites = await prisma.invite.findMany({
         where: {
           status: 'pending',
           expiresAt: {
             lt: new Date()
           }
-        },
-        data: {
-          status: 'expired'
         }
       });
 
-      logger.info('Cleaned up expired invites:', { count: expiredInvites.count });
-      return { success: true, expiredCount: expiredInvites.count };
+      let expiredCount = 0;
+      for (const invite of expiredInvites) {
+        if (await this.expireInvite(invite)) {
+          expiredCount++;
+        }
+      }
+
+      logger.info('Cleaned up expired invites:', { count: expiredCount });
+      return { success: true, expiredCount };
 
     } catch (error) {
       logger.error('Error cleaning up expired invites:', error);
@@ -409,6 +487,399 @@ class InvitationService {
     }
   }
 
+  /**
+   * Mark a pending invite as expired and give its slot back.
+   * Returns false if it had already been dealt with.
+   */
+  async expireInvite(invite) {
+    const { count } = await prisma.invite.updateMany({
+      where: { id: invite.id, status: 'pending' },
+      data: { status: 'expired' }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await this.releaseInviteSlot(invite);
+    return true;
+  }
+
+  /**
+   * Give back the slot (counted against maxInvitesPerUser) an invite was using
+   */
+  async releaseInviteSlot(invite) {
+    await prisma.user.updateMany({
+      where: { id: invite.inviterId, inviteCount: { gt: 0 } },
+      data: {
+        inviteCount: {
+          decrement: 1
+        }
+      }
+    });
+  }
+
+  /**
+   * Revoke a pending (or still awaiting approval) invitation so its link stops
+   * working, and give its slot back. Pass inviterId when an inviter asks, so
+   * they can only revoke their own.
+   */
+  async revokeInvite(inviteId, { inviterId = null } = {}) {
+    try {
+      const invite = await prisma.invite.findUnique({
+        where: { id: inviteId }
+      });
+
+      if (!invite || (inviterId && invite.inviterId !== inviterId)) {
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      const { count } = await prisma.invite.updateMany({
+        where: { id: invite.id, status: { in: ['pending', 'awaiting_approval'] } },
+        data: {
+          status: 'revoked',
+          revokedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return { success: false, error: `Invitation already ${invite.status}` };
+      }
+
+      await this.releaseInviteSlot(invite);
+
+      logger.info('Invitation revoked:', {
+        inviteId: invite.id,
+        groupId: invite.groupId,
+        inviteeEmail: invite.inviteeEmail,
+        byInviter: !!inviterId
+      });
+
+      return { success: true, inviteId: invite.id, inviteeEmail: invite.inviteeEmail };
+
+    } catch (error) {
+      logger.error('Error revoking invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a pending or expired invitation again with a fresh link and expiry
+   * (the old link stops working). An expired invite has given its slot back,
+   * so resending takes one again - and an inviter needs to still be eligible.
+   * Pass inviterId when an inviter asks, so they can only resend their own.
+   */
+  async resendInvite(inviteId, { inviterId = null } = {}) {
+    try {
+      const invite = await prisma.invite.findUnique({
+        where: { id: inviteId },
+        include: {
+          group: true,
+          inviter: {
+            select: {
+              firstName: true,
+              lastName: true,
+              email: true
+            }
+          }
+        }
+      });
+
+      if (!invite || (inviterId && invite.inviterId !== inviterId)) {
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      if (invite.status === 'awaiting_approval') {
+        return { success: false, error: 'Invitation is still awaiting approval' };
+      }
+
+      if (!['pending', 'expired'].includes(invite.status)) {
+        return { success: false, error: `Invitation already ${invite.status}` };
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email: invite.inviteeEmail }
+      });
+
+      if (existingUser && await this.groupService.isMember(invite.groupId, existingUser.id)) {
+        return { success: false, error: 'User is already a member' };
+      }
+
+      const wasExpired = invite.status === 'expired';
+      if (wasExpired) {
+        // Someone else may have invited them since
+        const otherInvite = await prisma.invite.findFirst({
+          where: {
+            id: { not: invite.id },
+            inviteeEmail: invite.inviteeEmail,
+            groupId: invite.groupId,
+            status: 'pending',
+            expiresAt: {
+              gt: new Date()
+            }
+          }
+        });
+
+        if (otherInvite) {
+          return { success: false, error: 'Pending invitation already exists for this email' };
+        }
+
+        if (inviterId) {
+          const eligibility = await this.checkInviteEligibility(inviterId, invite.groupId);
+          if (!eligibility.eligible) {
+            return { success: false, error: eligibility.reason };
+          }
+        }
+      }
+
+      const inviteToken = this.generateInviteToken();
+      const expiresAt = moment().add(this.inviteExpiryDays, 'days').toDate();
+
+      const { count } = await prisma.invite.updateMany({
+        where: { id: invite.id, status: invite.status },
+        data: {
+          status: 'pending',
+          inviteToken,
+          expiresAt,
+          resentAt: new Date(),
+          expiryWarnedAt: null
+        }
+      });
+
+      if (count === 0) {
+        return { success: false, error: 'Invitation changed while resending, please try again' };
+      }
+
+      if (wasExpired) {
+        await prisma.user.update({
+          where: { id: invite.inviterId },
+          data: {
+            inviteCount: {
+              increment: 1
+            }
+          }
+        });
+      }
+
+      await this.emailService.sendInvitation(this.getInviterName(invite.inviter), invite.inviteeEmail, inviteToken, invite.group);
+
+      logger.info('Invitation resent:', {
+        inviteId: invite.id,
+        groupId: invite.groupId,
+        inviteeEmail: invite.inviteeEmail,
+        wasExpired,
+        expiresAt
+      });
+
+      return {
+        success: true,
+        inviteId: invite.id,
+        inviteeEmail: invite.inviteeEmail,
+        expiresAt
+      };
+
+    } catch (error) {
+      logger.error('Error resending invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve an invitation that is awaiting approval: it is emailed to the
+   * invitee with a full expiry period from now, and the inviter is told
+   */
+  async approveInvite(inviteId) {
+    try {
+      const invite = await prisma.invite.findUnique({
+        where: { id: inviteId },
+        include: {
+          group: true,
+          inviter: true
+        }
+      });
+
+      if (!invite) {
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      const expiresAt = moment().add(this.inviteExpiryDays, 'days').toDate();
+
+      const { count } = await prisma.invite.updateMany({
+        where: { id: invite.id, status: 'awaiting_approval' },
+        data: {
+          status: 'pending',
+          expiresAt,
+          reviewedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return { success: false, error: `Invitation is ${invite.status}, not awaiting approval` };
+      }
+
+      await this.emailService.sendInvitation(this.getInviterName(invite.inviter), invite.inviteeEmail, invite.inviteToken, invite.group);
+
+      await this.emailService.sendInviteUpdate(invite.inviter.email, invite.inviter.firstName || 'Friend', {
+        title: 'Your invitation was approved',
+        message: `Your invitation to ${invite.inviteeEmail} has been approved and sent. They have ${this.inviteExpiryDays} days to accept.`
+      }, invite.group, { key: `invite_reviewed:${invite.id}`, userId: invite.inviterId });
+
+      logger.info('Invitation approved:', { inviteId: invite.id, groupId: invite.groupId, inviteeEmail: invite.inviteeEmail });
+
+      return { success: true, inviteId: invite.id, inviteeEmail: invite.inviteeEmail, expiresAt };
+
+    } catch (error) {
+      logger.error('Error approving invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject an invitation that is awaiting approval. The invitee never hears
+   * about it; the inviter is told (with the reason, if given) and gets the slot back.
+   */
+  async rejectInvite(inviteId, { reason = null } = {}) {
+    try {
+      const invite = await prisma.invite.findUnique({
+        where: { id: inviteId },
+        include: {
+          group: true,
+          inviter: true
+        }
+      });
+
+      if (!invite) {
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      const { count } = await prisma.invite.updateMany({
+        where: { id: invite.id, status: 'awaiting_approval' },
+        data: {
+          status: 'rejected',
+          reviewedAt: new Date(),
+          rejectReason: reason
+        }
+      });
+
+      if (count === 0) {
+        return { success: false, error: `Invitation is ${invite.status}, not awaiting approval` };
+      }
+
+      await this.releaseInviteSlot(invite);
+
+      await this.emailService.sendInviteUpdate(invite.inviter.email, invite.inviter.firstName || 'Friend', {
+        title: 'Your invitation was not approved',
+        message: `Your invitation to ${invite.inviteeEmail} wasn't approved, so it hasn't been sent.` +
+          (reason ? `\n\nReason: ${reason}` : '') +
+          '\n\nYou have that invite back to use on someone else.'
+      }, invite.group, { key: `invite_reviewed:${invite.id}`, userId: invite.inviterId });
+
+      logger.info('Invitation rejected:', { inviteId: invite.id, groupId: invite.groupId, inviteeEmail: invite.inviteeEmail, reason });
+
+      return { success: true, inviteId: invite.id, inviteeEmail: invite.inviteeEmail };
+
+    } catch (error) {
+      logger.error('Error rejecting invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an invitation if it was sent by the given address, or null
+   */
+  async getSentInvite(inviteId, inviterEmail) {
+    const invite = await prisma.invite.findUnique({
+      where: { id: inviteId },
+      include: {
+        group: true,
+        inviter: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true
+          }
+        }
+      }
+    });
+
+    return invite && invite.inviter.email === inviterEmail.toLowerCase() ? invite : null;
+  }
+
+  /**
+   * Find an inviter's most recent invitation to an email address, for the
+   * email commands that name the invitee rather than the invite
+   */
+  async findSentInvite(inviterId, inviteeEmail, statuses = ['pending', 'expired', 'awaiting_approval']) {
+    return await prisma.invite.findFirst({
+      where: {
+        inviterId,
+        inviteeEmail: inviteeEmail.toLowerCase().trim(),
+        status: { in: statuses }
+      },
+      orderBy: { sentAt: 'desc' }
+    });
+  }
+
+  /**
+   * Warn inviters about pending invitations that expire within expiryWarningHours,
+   * once per invitation (a resend gets a fresh warning)
+   */
+  async notifyExpiringInvites() {
+    try {
+      const now = new Date();
+      const invites = await prisma.invite.findMany({
+        where: {
+          status: 'pending',
+          expiryWarnedAt: null,
+          expiresAt: {
+            gt: now,
+            lte: moment(now).add(this.expiryWarningHours, 'hours').toDate()
+          }
+        },
+        include: {
+          group: true,
+          inviter: true
+        }
+      });
+
+      for (const invite of invites) {
+        const expires = moment(invite.expiresAt).tz(this.emailService.timezone).format('dddd, MMMM Do [at] h:mm A');
+
+        await this.emailService.sendInviteUpdate(invite.inviter.email, invite.inviter.firstName || 'Friend', {
+          title: 'Your invitation is about to expire',
+          message: `${invite.inviteeEmail} hasn't accepted your invitation to ${invite.group.name} yet, and it expires ${expires}.\n\n` +
+            'If it expires, you get the invite back. To send it again with a fresh link, or to cancel it now, reply with one of:',
+          items: [
+            `RESEND ${invite.inviteeEmail}`,
+            `REVOKE ${invite.inviteeEmail}`,
+            `Or use this link: ${inviteManageUrl(invite.inviter.email, invite.id)}`
+          ]
+        }, invite.group, { key: `invite_expiring:${invite.id}:${invite.expiresAt.getTime()}`, userId: invite.inviterId });
+
+        await prisma.invite.update({
+          where: { id: invite.id },
+          data: { expiryWarnedAt: now }
+        });
+      }
+
+      logger.info('Warned inviters about expiring invites:', { count: invites.length });
+      return { success: true, warnedCount: invites.length };
+
+    } catch (error) {
+      logger.error('Error warning about expiring invites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Name to show for an inviter in emails
+   */
+  getInviterName(inviter) {
+    return inviter.firstName ?
+      `${inviter.firstName}${inviter.lastName ? ' ' + inviter.lastName : ''}` :
+      inviter.email;
+  }
+
   /**
    * Validate email address format
    */
@@ -449,7 +920,7 @@ class InvitationService {
   /**
    * Process invite command from email submission
    */
-  async processInviteCommand(fromEmail, inviteeEmail) {
+  async processInviteCommand(fromEmail, inviteeEmail, toHeader = null) {
     try {
       // Find the user sending the invite
       const inviter = await prisma.user.findUnique({
@@ -460,15 +931,28 @@ class InvitationService {
         return { success: false, error: 'Inviter not found' };
       }
 
+      // Invites are for the group the command was sent to
+      const { group, error: groupError } = await this.groupService.resolveGroupForInbound(toHeader, inviter.id);
+      if (!group) {
+        await this.emailService.sendErrorEmail(
+          fromEmail,
+          'Invitation Failed',
+          `Could not send invitation to ${inviteeEmail}: ${groupError}`
+        );
+        return { success: false, error: 'Unknown group' };
+      }
+
       // Send the invitation
-      const result = await this.sendInvitation(inviter.id, inviteeEmail);
+      const result = await this.sendInvitation(inviter.id, inviteeEmail, group.id);
       
       if (result.success) {
         // Send confirmation to inviter
         await this.emailService.sendErrorEmail(
           fromEmail,
-          'Invitation Sent',
-          `Your invitation has been sent to ${inviteeEmail}! They have ${this.inviteExpiryDays} days to accept.`
+          result.awaitingApproval ? 'Invitation Awaiting Approval' : 'Invitation Sent',
+          result.awaitingApproval
+            ? `Your invitation to ${inviteeEmail} needs an admin's approval first. We'll let you know once it has been reviewed.`
+            : `Your invitation has been sent to ${inviteeEmail}! They have ${this.inviteExpiryDays} days to accept.`
         );
       } else {
         // Send error to inviter
@@ -488,4 +972,4 @@ class InvitationService {
   }
 }
 
-module.exports = { InvitationService };
\ No newline at end of file
+module.exports = { InvitationService, SLOT_STATUSES };
\ No newline at end of file
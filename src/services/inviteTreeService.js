@@ -0,0 +1,177 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Invites that actually went out to the invitee
+const SENT_STATUSES = ['pending', 'accepted', 'expired'];
+
+const percent = (count, total) => total > 0 ? Math.round(count / total * 1000) / 10 : null;
+const average = values => values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+  : null;
+
+/**
+ * Who brought in whom, built from accepted invites, with referral metrics for
+ * each inviter. Someone invited more than once (into different groups) hangs
+ * under whoever's invite they accepted first; everyone else - founders, people
+ * added by an admin or through a join request - is a root of the tree.
+ */
+class InviteTreeService {
+  /**
+   * Get the invite tree for every group, or for one group
+   */
+  async getInviteTree({ groupId = null } = {}) {
+    try {
+      const invites = await prisma.invite.findMany({
+        where: groupId ? { groupId } : {},
+        orderBy: { sentAt: 'asc' }
+      });
+
+      const inviterIds = [...new Set(invites.map(invite => invite.inviterId))];
+      const users = await prisma.user.findMany({
+        where: groupId
+          ? { OR: [{ memberships: { some: { groupId } } }, { id: { in: inviterIds } }] }
+          : {},
+        orderBy: { joinDate: 'asc' },
+        include: {
+          memberships: groupId ? { where: { groupId } } : true,
+          streaks: groupId ? { where: { groupId } } : true
+        }
+      });
+
+      const usersById = new Map(users.map(user => [user.id, user]));
+      const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+      const isActiveIn = (user, inviteGroupId) => user.isActive &&
+        user.memberships.some(membership => membership.groupId === inviteGroupId && membership.isActive);
+      const streakIn = (user, inviteGroupId) => {
+        const streak = user.streaks.find(s => s.groupId === inviteGroupId);
+        return streak ? streak.currentStreak : 0;
+      };
+
+      // Each accepted invite's invitee, and the invite each user joined through first
+      const accepted = invites
+        .filter(invite => invite.status === 'accepted' && usersByEmail.has(invite.inviteeEmail))
+        .sort((a, b) => (a.acceptedAt || a.sentAt) - (b.acceptedAt || b.sentAt));
+
+      const joinedVia = new Map();
+      for (const invite of accepted) {
+        const invitee = usersByEmail.get(invite.inviteeEmail);
+        if (invitee.id !== invite.inviterId && !joinedVia.has(invitee.id)) {
+          joinedVia.set(invitee.id, invite);
+        }
+      }
+
+      const metrics = new Map();
+      for (const inviterId of inviterIds) {
+        const sent = invites.filter(invite => invite.inviterId === inviterId && SENT_STATUSES.includes(invite.status));
+        const invitees = accepted
+          .filter(invite => invite.inviterId === inviterId)
+          .map(invite => ({ user: usersByEmail.get(invite.inviteeEmail), groupId: invite.groupId }));
+
+        metrics.set(inviterId, {
+          sent: sent.length,
+          accepted: invitees.length,
+          pending: sent.filter(invite => invite.status === 'pending').length,
+          acceptanceRate: percent(invitees.length, sent.length),
+          activeInvitees: invitees.filter(({ user, groupId: inviteGroupId }) => isActiveIn(user, inviteGroupId)).length,
+          averageInviteeStreak: average(invitees.map(({ user, groupId: inviteGroupId }) => streakIn(user, inviteGroupId)))
+        });
+      }
+
+      const buildNode = (user, visited) => {
+        visited.add(user.id);
+        const via = joinedVia.get(user.id);
+
+        const children = users.filter(other => {
+          const otherVia = joinedVia.get(other.id);
+          return otherVia && otherVia.inviterId === user.id && !visited.has(other.id);
+        });
+
+        return {
+          userId: user.id,
+          email: user.email,
+          name: user.firstName ? `${user.firstName}${user.lastName ? ' ' + user.lastName : ''}` : null,
+          isActive: user.isActive,
+          joinedVia: via ? { inviteId: via.id, groupId: via.groupId, acceptedAt: via.acceptedAt } : null,
+          metrics: metrics.get(user.id) || null,
+          invitees: children.map(child => buildNode(child, visited))
+        };
+      };
+
+      // Roots are users nobody invited; anyone left over is in a loop of
+      // invites (A invited B into one group, B invited A into another), so
+      // the earliest to join starts their branch
+      const visited = new Set();
+      const tree = users
+        .filter(user => !joinedVia.has(user.id) || !usersById.has(joinedVia.get(user.id).inviterId))
+        .map(user => buildNode(user, visited));
+
+      for (const user of users) {
+        if (!visited.has(user.id)) {
+          tree.push(buildNode(user, visited));
+        }
+      }
+
+      return {
+        groupId,
+        generatedAt: new Date(),
+        summary: this.summarize(invites, users, accepted, { isActiveIn, streakIn, groupId }),
+        tree
+      };
+
+    } catch (error) {
+      logger.error('Error building invite tree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Overall invite numbers, and how members who came in by invite compare
+   * with everyone else (per group membership)
+   */
+  summarize(invites, users, accepted, { isActiveIn, streakIn, groupId }) {
+    const countStatus = status => invites.filter(invite => invite.status === status).length;
+    const sent = invites.filter(invite => SENT_STATUSES.includes(invite.status)).length;
+
+    const invitedInto = new Set(accepted.map(invite => `${invite.inviteeEmail}:${invite.groupId}`));
+    const invitedMembers = [];
+    const otherMembers = [];
+
+    for (const user of users) {
+      for (const membership of user.memberships) {
+        if (groupId && membership.groupId !== groupId) continue;
+
+        const member = {
+          isActive: isActiveIn(user, membership.groupId),
+          streak: streakIn(user, membership.groupId)
+        };
+        (invitedInto.has(`${user.email}:${membership.groupId}`) ? invitedMembers : otherMembers).push(member);
+      }
+    }
+
+    const describe = members => ({
+      count: members.length,
+      active: members.filter(member => member.isActive).length,
+      averageStreak: average(members.map(member => member.streak))
+    });
+
+    return {
+      invites: {
+        sent,
+        accepted: countStatus('accepted'),
+        pending: countStatus('pending'),
+        expired: countStatus('expired'),
+        revoked: countStatus('revoked'),
+        awaitingApproval: countStatus('awaiting_approval'),
+        rejected: countStatus('rejected'),
+        acceptanceRate: percent(countStatus('accepted'), sent)
+      },
+      invitedMembers: describe(invitedMembers),
+      otherMembers: describe(otherMembers)
+    };
+  }
+}
+
+module.exports = { InviteTreeService };
@@ -0,0 +1,444 @@
+const { PrismaClient } = require('@prisma/client');
+const { EmailService } = require('./emailService');
+const { GroupService } = require('./groupService');
+const { InvitationService } = require('./invitationService');
+const moment = require('moment-timezone');
+const { normalizeInboundEmail } = require('../utils/emailNormalizer');
+const { joinConfirmUrl } = require('../utils/signedLinks');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Lets people without an invite ask to join a group, from the public join
+ * endpoint or by emailing the group's address with JOIN in the subject.
+ * Either way a request starts unconfirmed until the address's owner follows
+ * the link we email them (a From header proves no more than a web form).
+ * Members are then told about the request and can
+ * vouch for it by email; it is approved once it has vouchesRequired vouches
+ * (0 leaves it to admins), or when an admin approves it. Approval makes them
+ * a member the same way accepting an invite does. After a rejection, the
+ * same address can't ask again for rejectionCooldownDays.
+ */
+class JoinRequestService {
+  constructor() {
+    this.emailService = new EmailService();
+    this.groupService = new GroupService();
+    this.invitationService = new InvitationService();
+
+    const vouchesRequired = parseInt(process.env.JOIN_VOUCHES_REQUIRED);
+    this.vouchesRequired = Number.isNaN(vouchesRequired) ? 2 : vouchesRequired;
+    this.rejectionCooldownDays = parseInt(process.env.JOIN_REJECTION_COOLDOWN_DAYS) || 30;
+  }
+
+  /**
+   * Ask to join a group. Requests wait for the address to be confirmed
+   * before members hear about them. Asking again while a request is open
+   * doesn't create another one (or tell the members again).
+   */
+  async requestToJoin({ email, name = null, message = null, groupId, source = 'web' }) {
+    try {
+      const cleanEmail = email.toLowerCase().trim();
+      if (!this.invitationService.isValidEmail(cleanEmail)) {
+        return { success: false, error: 'Invalid email address' };
+      }
+
+      const group = await prisma.group.findUnique({
+        where: { id: groupId }
+      });
+
+      if (!group || !group.isActive) {
+        return { success: false, error: 'Group not found' };
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email: cleanEmail }
+      });
+
+      if (existingUser && await this.groupService.isMember(groupId, existingUser.id)) {
+        return { success: false, error: 'Already a member of this group' };
+      }
+
+      const existingRequest = await prisma.joinRequest.findFirst({
+        where: { email: cleanEmail, groupId, status: { in: ['unconfirmed', 'pending'] } }
+      });
+
+      if (existingRequest) {
+        return { success: true, joinRequest: existingRequest, duplicate: true };
+      }
+
+      // Otherwise each new request after a rejection emails every member again
+      const recentlyRejected = await prisma.joinRequest.findFirst({
+        where: {
+          email: cleanEmail,
+          groupId,
+          status: 'rejected',
+          reviewedAt: { gt: moment().subtract(this.rejectionCooldownDays, 'days').toDate() }
+        }
+      });
+
+      if (recentlyRejected) {
+        return { success: false, error: 'Your last request to join this group was turned down recently - please try again later' };
+      }
+
+      // Names and messages from strangers end up in members' email, so no markup
+      const joinRequest = await prisma.joinRequest.create({
+        data: {
+          groupId,
+          email: cleanEmail,
+          name: name ? name.replace(/[<>]/g, '').trim().substring(0, 100) || null : null,
+          message: message ? message.replace(/[<>]/g, '').trim().substring(0, 1000) || null : null,
+          source,
+          status: 'unconfirmed'
+        }
+      });
+
+      await this.emailService.sendJoinRequestUpdate(cleanEmail, joinRequest.name || 'there', {
+        title: `Confirm your request to join ${group.name}`,
+        message: `Someone (hopefully you!) asked to join ${group.name} with this email address. ` +
+          "To confirm it was you, open the link below. If it wasn't, just ignore this email and nothing more will happen.",
+        items: [joinConfirmUrl(cleanEmail, joinRequest.id)]
+      }, group, { key: `join_request_confirm:${joinRequest.id}` });
+
+      logger.info('Join request created:', {
+        joinRequestId: joinRequest.id,
+        groupId,
+        email: cleanEmail,
+        source
+      });
+
+      return { success: true, joinRequest, duplicate: false };
+
+    } catch (error) {
+      logger.error('Error creating join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a request's email address (from the link we sent it), which
+   * opens it for vouches. Returns { success, joinRequest, group }.
+   */
+  async confirm(joinRequestId, email) {
+    try {
+      const joinRequest = await prisma.joinRequest.findUnique({
+        where: { id: joinRequestId },
+        include: { group: true }
+      });
+
+      if (!joinRequest || joinRequest.email !== email.toLowerCase()) {
+        return { success: false, error: 'Join request not found' };
+      }
+
+      const { count } = await prisma.joinRequest.updateMany({
+        where: { id: joinRequest.id, status: 'unconfirmed' },
+        data: {
+          status: 'pending',
+          confirmedAt: new Date()
+        }
+      });
+
+      // Following the link twice is fine
+      if (count === 0) {
+        return joinRequest.status === 'pending'
+          ? { success: true, joinRequest, group: joinRequest.group }
+          : { success: false, error: `Join request already ${joinRequest.status}` };
+      }
+
+      await this.openForVouches(joinRequest, joinRequest.group);
+
+      logger.info('Join request confirmed:', { joinRequestId: joinRequest.id, groupId: joinRequest.groupId });
+
+      return { success: true, joinRequest, group: joinRequest.group };
+
+    } catch (error) {
+      logger.error('Error confirming join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the group's members about a (confirmed) request so they can vouch,
+   * and let the requester know it has been passed on
+   */
+  async openForVouches(joinRequest, group) {
+    const members = await this.groupService.getActiveMembers(group.id);
+    await this.emailService.sendJoinRequestNotice(members, joinRequest, group);
+
+    await this.emailService.sendJoinRequestUpdate(joinRequest.email, joinRequest.name || 'there', {
+      title: 'We got your request to join',
+      message: `Thanks for asking to join ${group.name}! We've let the members know. ` +
+        "Once someone in the group vouches for you (or an admin approves your request), you'll get an email saying you're in."
+    }, group, { key: `join_request_received:${joinRequest.id}` });
+  }
+
+  /**
+   * Handle an email from someone who isn't a user yet. JOIN in the subject or
+   * first line makes a join request (the rest of the body is their message);
+   * anything else gets a reply explaining how to ask.
+   */
+  async handleStrangerEmail(senderEmail, email) {
+    try {
+      const group = await this.groupService.findGroupForAddress(email.to);
+
+      if (!group) {
+        await this.emailService.sendErrorEmail(
+          senderEmail,
+          'Unknown User',
+          'You are not registered for the weekly recommendations system.'
+        );
+        return { success: false, error: 'Unknown user' };
+      }
+
+      const join = this.parseJoinEmail(email);
+
+      if (!join.isJoinRequest) {
+        await this.emailService.sendJoinRequestUpdate(senderEmail, 'there', {
+          title: `Would you like to join ${group.name}?`,
+          message: `You aren't a member of ${group.name} yet, so we couldn't do anything with your email.\n\n` +
+            'To ask to join, send an email to this address with JOIN as the subject and a line or two about yourself. ' +
+            'The members will be asked to vouch for you, or an admin can approve your request.'
+        }, group);
+        return { success: false, error: 'Unknown user' };
+      }
+
+      const result = await this.requestToJoin({
+        email: senderEmail,
+        name: this.extractName(email.from),
+        message: join.message,
+        groupId: group.id,
+        source: 'email'
+      });
+
+      if (!result.success) {
+        await this.emailService.sendErrorEmail(senderEmail, 'Join Request Failed', result.error);
+      } else if (result.duplicate) {
+        await this.emailService.sendJoinRequestUpdate(senderEmail, result.joinRequest.name || 'there', {
+          title: 'Your request to join is still pending',
+          message: result.joinRequest.status === 'unconfirmed'
+            ? `You've already asked to join ${group.name}. Follow the link in the confirmation email we sent you to pass your request on to the members.`
+            : `You've already asked to join ${group.name}. We'll email you as soon as it's approved.`
+        }, group);
+      }
+
+      return {
+        success: result.success,
+        error: result.error || null,
+        joinRequestId: result.joinRequest ? result.joinRequest.id : null
+      };
+
+    } catch (error) {
+      logger.error('Error handling email from unknown sender:', error);
+      return { success: false, error: 'Processing failed' };
+    }
+  }
+
+  /**
+   * Check an email for JOIN in the subject or on the first line of the body
+   */
+  parseJoinEmail(email) {
+    const cleanSubject = (email.subject || '').replace(/^\s*(?:(?:re|fwd?|aw)\s*:\s*)+/i, '').trim();
+    const lines = normalizeInboundEmail(email).split('\n');
+    const firstLineIndex = lines.findIndex(line => line.trim() !== '');
+    const joinPattern = /^JOIN\b:?\s*/i;
+
+    if (joinPattern.test(cleanSubject)) {
+      return { isJoinRequest: true, message: lines.join('\n').trim() || null };
+    }
+
+    if (firstLineIndex !== -1 && joinPattern.test(lines[firstLineIndex].trim())) {
+      const rest = [lines[firstLineIndex].trim().replace(joinPattern, ''), ...lines.slice(firstLineIndex + 1)];
+      return { isJoinRequest: true, message: rest.join('\n').trim() || null };
+    }
+
+    return { isJoinRequest: false };
+  }
+
+  /**
+   * Get the display name from a From header ("Jane Doe <jane@example.com>")
+   */
+  extractName(fromHeader) {
+    const match = (fromHeader || '').match(/^\s*"?([^"<]+?)"?\s*</);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Vouch for someone's pending request to join one of the voucher's groups.
+   * Approves the request once it has enough vouches.
+   */
+  async vouch(voucher, groupId, email) {
+    try {
+      if (!(await this.groupService.isMember(groupId, voucher.id))) {
+        return { success: false, error: 'Not a member of this group' };
+      }
+
+      const joinRequest = await prisma.joinRequest.findFirst({
+        where: { email: email.toLowerCase().trim(), groupId, status: 'pending' }
+      });
+
+      if (!joinRequest) {
+        return { success: false, error: 'No pending request to join from that address' };
+      }
+
+      await prisma.joinVouch.upsert({
+        where: { joinRequestId_userId: { joinRequestId: joinRequest.id, userId: voucher.id } },
+        update: {},
+        create: { joinRequestId: joinRequest.id, userId: voucher.id }
+      });
+
+      const vouchCount = await prisma.joinVouch.count({
+        where: { joinRequestId: joinRequest.id }
+      });
+
+      logger.info('Join request vouched for:', {
+        joinRequestId: joinRequest.id,
+        voucherId: voucher.id,
+        vouchCount
+      });
+
+      const approved = this.vouchesRequired > 0 && vouchCount >= this.vouchesRequired;
+      if (approved) {
+        const result = await this.approve(joinRequest.id, { approvedBy: 'vouches' });
+        if (!result.success) {
+          return result;
+        }
+      }
+
+      return {
+        success: true,
+        joinRequest,
+        vouchCount,
+        vouchesRequired: this.vouchesRequired,
+        approved
+      };
+
+    } catch (error) {
+      logger.error('Error vouching for join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending join request: they become a member (creating their user
+   * and streak record if they are new) and get a welcome email
+   */
+  async approve(joinRequestId, { approvedBy = 'admin' } = {}) {
+    try {
+      const joinRequest = await prisma.joinRequest.findUnique({
+        where: { id: joinRequestId },
+        include: { group: true }
+      });
+
+      if (!joinRequest) {
+        return { success: false, error: 'Join request not found' };
+      }
+
+      const { count } = await prisma.joinRequest.updateMany({
+        where: { id: joinRequest.id, status: 'pending' },
+        data: {
+          status: 'approved',
+          approvedBy,
+          reviewedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return { success: false, error: `Join request already ${joinRequest.status}` };
+      }
+
+      const { user } = await this.invitationService.admitMember(joinRequest.email, joinRequest.groupId, {
+        firstName: joinRequest.name
+      });
+
+      await this.emailService.sendJoinRequestUpdate(joinRequest.email, user.firstName || 'there', {
+        title: `Welcome to ${joinRequest.group.name}!`,
+        message: approvedBy === 'vouches'
+          ? `Members of ${joinRequest.group.name} vouched for you, so you're in!`
+          : `Your request to join ${joinRequest.group.name} has been approved, so you're in!`,
+        items: [
+          "You'll get an email prompt when each round starts - reply with your recommendation, why you recommend it, and any digressions",
+          'Everyone who submitted gets a roundup of all the recommendations after the deadline',
+          'Reply HELP at any time for the full list of commands'
+        ]
+      }, joinRequest.group, { key: `join_request_approved:${joinRequest.id}` });
+
+      logger.info('Join request approved:', {
+        joinRequestId: joinRequest.id,
+        groupId: joinRequest.groupId,
+        userId: user.id,
+        approvedBy
+      });
+
+      return { success: true, joinRequestId: joinRequest.id, userId: user.id };
+
+    } catch (error) {
+      logger.error('Error approving join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending join request, letting them know (with the reason, if given)
+   */
+  async reject(joinRequestId, { reason = null } = {}) {
+    try {
+      const joinRequest = await prisma.joinRequest.findUnique({
+        where: { id: joinRequestId },
+        include: { group: true }
+      });
+
+      if (!joinRequest) {
+        return { success: false, error: 'Join request not found' };
+      }
+
+      const { count } = await prisma.joinRequest.updateMany({
+        where: { id: joinRequest.id, status: 'pending' },
+        data: {
+          status: 'rejected',
+          rejectReason: reason,
+          reviewedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return { success: false, error: `Join request already ${joinRequest.status}` };
+      }
+
+      await this.emailService.sendJoinRequestUpdate(joinRequest.email, joinRequest.name || 'there', {
+        title: 'About your request to join',
+        message: `Sorry, your request to join ${joinRequest.group.name} wasn't approved.` +
+          (reason ? `\n\nReason: ${reason}` : '')
+      }, joinRequest.group, { key: `join_request_rejected:${joinRequest.id}` });
+
+      logger.info('Join request rejected:', { joinRequestId: joinRequest.id, groupId: joinRequest.groupId, reason });
+
+      return { success: true, joinRequestId: joinRequest.id };
+
+    } catch (error) {
+      logger.error('Error rejecting join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List join requests, newest first, with who has vouched for them
+   */
+  async listRequests({ status = null, groupId = null } = {}) {
+    return await prisma.joinRequest.findMany({
+      where: {
+        ...(status ? { status } : {}),
+        ...(groupId ? { groupId } : {})
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200,
+      include: {
+        group: { select: { name: true } },
+        vouches: {
+          include: { user: { select: { email: true, firstName: true } } }
+        }
+      }
+    });
+  }
+}
+
+module.exports = { JoinRequestService };
@@ -0,0 +1,131 @@
+const { PrismaClient } = require('@prisma/client');
+const { SettingsService } = require('./settingsService');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const LATE_SUBMISSIONS_SETTING = 'late_submissions';
+
+/**
+ * Submissions that arrive after a round's deadline. They are still accepted
+ * for a grace window and marked late; ones that miss the roundup are sent
+ * out in a "late additions" email once the window closes.
+ *   graceHours         - how long after the deadline submissions are accepted (0 turns it off)
+ *   countTowardStreaks - whether late submissions keep a streak going
+ */
+class LateSubmissionService {
+  constructor() {
+    this.settingsService = new SettingsService();
+  }
+
+  getDefaultSettings() {
+    const graceHours = parseInt(process.env.LATE_GRACE_HOURS);
+
+    return {
+      graceHours: Number.isNaN(graceHours) ? 12 : graceHours,
+      countTowardStreaks: process.env.LATE_SUBMISSIONS_COUNT_FOR_STREAKS === 'true'
+    };
+  }
+
+  /**
+   * Get the late submission settings
+   */
+  async getSettings() {
+    const defaults = this.getDefaultSettings();
+    const stored = await this.settingsService.getJson(LATE_SUBMISSIONS_SETTING, {});
+    return { ...defaults, ...stored };
+  }
+
+  /**
+   * Change some of the late submission settings
+   */
+  async updateSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await this.settingsService.set(LATE_SUBMISSIONS_SETTING, settings);
+    return settings;
+  }
+
+  /**
+   * When a round stops taking late submissions
+   */
+  getGraceEnd(week, settings) {
+    return moment(week.deadline).add(settings.graceHours, 'hours').toDate();
+  }
+
+  /**
+   * Get the round a group is taking submissions for: its open round, or else
+   * a round that has closed but is still in its grace window. Returns
+   * { week, isLate }, or null when nothing is taking submissions.
+   * The deadline decides, not the status - a round stays open past its
+   * deadline if the job that closes it didn't run (the server was down, say).
+   */
+  async findAcceptingWeek(groupId, now = new Date()) {
+    const settings = await this.getSettings();
+
+    const openWeek = await prisma.week.findFirst({
+      where: { status: 'open', groupId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (openWeek) {
+      if (now <= openWeek.deadline) {
+        return { week: openWeek, isLate: false };
+      }
+      if (now < this.getGraceEnd(openWeek, settings)) {
+        return { week: openWeek, isLate: true };
+      }
+
+      logger.warn('Open week is past its deadline, not accepting submissions:', {
+        groupId,
+        weekId: openWeek.id,
+        deadline: openWeek.deadline
+      });
+      return null;
+    }
+
+    if (settings.graceHours <= 0) {
+      return null;
+    }
+
+    const recentWeek = await prisma.week.findFirst({
+      where: {
+        groupId,
+        status: { in: ['closed', 'compiled'] },
+        deadline: { gt: moment(now).subtract(settings.graceHours, 'hours').toDate() }
+      },
+      orderBy: { deadline: 'desc' }
+    });
+
+    if (!recentWeek) {
+      return null;
+    }
+
+    logger.info('Accepting late submission in grace window:', { groupId, weekId: recentWeek.id });
+    return { week: recentWeek, isLate: true };
+  }
+
+  /**
+   * Get the late submissions that came in after a round's roundup went out
+   */
+  async getLateAdditions(week) {
+    if (!week.compiledAt) {
+      return [];
+    }
+
+    return await prisma.submission.findMany({
+      where: {
+        weekId: week.id,
+        isLate: true,
+        submittedAt: { gt: week.compiledAt }
+      },
+      include: {
+        user: true,
+        items: { orderBy: { position: 'asc' } }
+      },
+      orderBy: { submittedAt: 'asc' }
+    });
+  }
+}
+
+module.exports = { LateSubmissionService };
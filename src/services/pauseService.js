@@ -0,0 +1,107 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class PauseService {
+  /**
+   * Get the pause covering a point in time (now by default)
+   */
+  async getActivePause(userId, at = new Date()) {
+    return await prisma.userPause.findFirst({
+      where: {
+        userId,
+        startsAt: { lte: at },
+        endsAt: { gt: at }
+      },
+      orderBy: { endsAt: 'desc' }
+    });
+  }
+
+  /**
+   * Pause a user. An overlapping pause is extended rather than duplicated.
+   */
+  async pauseUser(userId, { startsAt = new Date(), endsAt, reason = null, createdBy = 'user' }) {
+    if (!(endsAt > startsAt)) {
+      throw new Error('Pause must end after it starts');
+    }
+
+    const overlapping = await prisma.userPause.findFirst({
+      where: {
+        userId,
+        startsAt: { lte: endsAt },
+        endsAt: { gte: startsAt }
+      },
+      orderBy: { endsAt: 'desc' }
+    });
+
+    const pause = overlapping
+      ? await prisma.userPause.update({
+        where: { id: overlapping.id },
+        data: {
+          startsAt: overlapping.startsAt < startsAt ? overlapping.startsAt : startsAt,
+          endsAt,
+          reason: reason || overlapping.reason,
+          createdBy
+        }
+      })
+      : await prisma.userPause.create({
+        data: { userId, startsAt, endsAt, reason, createdBy }
+      });
+
+    logger.userAction('paused', userId, { startsAt: pause.startsAt, endsAt: pause.endsAt, createdBy });
+    return pause;
+  }
+
+  /**
+   * End the current pause now and cancel any that haven't started yet
+   */
+  async resumeUser(userId) {
+    const now = new Date();
+
+    const ended = await prisma.userPause.updateMany({
+      where: {
+        userId,
+        startsAt: { lte: now },
+        endsAt: { gt: now }
+      },
+      data: { endsAt: now }
+    });
+
+    const cancelled = await prisma.userPause.deleteMany({
+      where: {
+        userId,
+        startsAt: { gt: now }
+      }
+    });
+
+    logger.userAction('resumed', userId, { ended: ended.count, cancelled: cancelled.count });
+    return { ended: ended.count, cancelled: cancelled.count };
+  }
+
+  /**
+   * Get the IDs of users (out of the given ones) who are paused at a point in time
+   */
+  async getPausedUserIds(userIds, at = new Date()) {
+    const pauses = await prisma.userPause.findMany({
+      where: {
+        userId: { in: userIds },
+        startsAt: { lte: at },
+        endsAt: { gt: at }
+      },
+      select: { userId: true }
+    });
+
+    return new Set(pauses.map(pause => pause.userId));
+  }
+
+  /**
+   * Drop users who are paused right now (for prompts and reminders)
+   */
+  async filterUnpaused(users, at = new Date()) {
+    const pausedUserIds = await this.getPausedUserIds(users.map(user => user.id), at);
+    return users.filter(user => !pausedUserIds.has(user.id));
+  }
+}
+
+module.exports = { PauseService };
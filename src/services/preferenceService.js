@@ -0,0 +1,120 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Emails people can turn off, and the User field that records it.
+// Confirmations and replies to commands always go out.
+const EMAIL_TYPES = {
+  prompts: {
+    field: 'wantsPrompts',
+    label: 'Weekly prompts',
+    description: 'The email asking for your recommendations each week'
+  },
+  reminders: {
+    field: 'wantsReminders',
+    label: 'Deadline reminders',
+    description: "A nudge when the deadline is close and you haven't submitted"
+  },
+  roundups: {
+    field: 'wantsRoundups',
+    label: 'Weekly roundups',
+    description: "Everyone's recommendations, once the week closes"
+  },
+  streaks: {
+    field: 'wantsStreakNotices',
+    label: 'Streak and invite notices',
+    description: "News about your streak, like when you've earned invites"
+  }
+};
+
+/**
+ * Which emails each user wants
+ */
+class PreferenceService {
+  /**
+   * Get a user's preferences by email address, or null if there's no such user
+   */
+  async getPreferences(email) {
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+
+    if (!user) return null;
+
+    return { user, preferences: this.toPreferences(user) };
+  }
+
+  /**
+   * Update some of a user's preferences ({ prompts: false, ... })
+   */
+  async updatePreferences(email, changes) {
+    const user = await prisma.user.update({
+      where: { email: email.toLowerCase() },
+      data: this.toUserFields(changes)
+    });
+
+    logger.info('Email preferences updated:', { userId: user.id, changes });
+    return this.toPreferences(user);
+  }
+
+  /**
+   * Turn off one type of email, or all of them
+   */
+  async unsubscribe(email, type = null) {
+    const types = type ? [type] : Object.keys(EMAIL_TYPES);
+    return await this.updatePreferences(email, Object.fromEntries(types.map(name => [name, false])));
+  }
+
+  /**
+   * Keep only the users who want this type of email
+   */
+  async filterWanting(users, type) {
+    if (users.length === 0) return users;
+
+    const optedOut = await prisma.user.findMany({
+      where: {
+        id: { in: users.map(user => user.id) },
+        [EMAIL_TYPES[type].field]: false
+      },
+      select: { id: true }
+    });
+
+    const optedOutIds = new Set(optedOut.map(user => user.id));
+    return users.filter(user => !optedOutIds.has(user.id));
+  }
+
+  /**
+   * Check whether an address wants this type of email (non-members always do)
+   */
+  async wants(email, type) {
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() },
+      select: { [EMAIL_TYPES[type].field]: true }
+    });
+
+    return !user || user[EMAIL_TYPES[type].field];
+  }
+
+  /**
+   * Turn preferences ({ prompts: false, ... }) into User fields
+   */
+  toUserFields(changes) {
+    const data = {};
+    for (const [type, wanted] of Object.entries(changes)) {
+      if (!EMAIL_TYPES[type]) {
+        throw new Error(`Unknown email type: ${type}`);
+      }
+      data[EMAIL_TYPES[type].field] = !!wanted;
+    }
+    return data;
+  }
+
+  toPreferences(user) {
+    return Object.fromEntries(
+      Object.entries(EMAIL_TYPES).map(([type, { field }]) => [type, user[field]])
+    );
+  }
+}
+
+module.exports = { PreferenceService, EMAIL_TYPES };
@@ -0,0 +1,163 @@
+const moment = require('moment-timezone');
+const { SettingsService } = require('./settingsService');
+const { cadenceWeeks, validateCadence } = require('../utils/rounds');
+const logger = require('../utils/logger');
+
+const SCHEDULE_SETTING = 'schedule';
+
+/**
+ * When rounds open and close. Stored in system_settings so admins can change
+ * it; the WEEKLY_* environment variables are the defaults.
+ *   startDay / deadlineDay   - 0 (Sunday) to 6 (Saturday)
+ *   startHour / deadlineHour - 0 to 23
+ *   timezone                 - IANA name, e.g. "America/New_York"
+ *   cadence                  - weekly, biweekly, monthly or custom (every
+ *                              cadenceWeeks weeks); groups can override it
+ */
+class ScheduleService {
+  constructor() {
+    this.settingsService = new SettingsService();
+  }
+
+  getDefaultSchedule() {
+    const fromEnv = (name, fallback) => {
+      const value = parseInt(process.env[name]);
+      return Number.isNaN(value) ? fallback : value;
+    };
+
+    return {
+      startDay: fromEnv('WEEKLY_START_DAY', 4),
+      startHour: fromEnv('WEEKLY_START_HOUR', 9),
+      deadlineDay: fromEnv('WEEKLY_DEADLINE_DAY', 0),
+      deadlineHour: fromEnv('WEEKLY_DEADLINE_HOUR', 18),
+      timezone: process.env.TIMEZONE || 'America/New_York',
+      cadence: 'weekly',
+      cadenceWeeks: null
+    };
+  }
+
+  /**
+   * Get the current schedule
+   */
+  async getSchedule() {
+    const defaults = this.getDefaultSchedule();
+    const stored = await this.settingsService.getJson(SCHEDULE_SETTING, {});
+    const schedule = { ...defaults, ...stored };
+
+    const problems = this.validate(schedule);
+    if (problems.length > 0) {
+      logger.warn('Ignoring invalid schedule setting:', { stored, problems });
+      return defaults;
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Change some of the schedule
+   */
+  async updateSchedule(changes) {
+    const schedule = { ...(await this.getSchedule()), ...changes };
+
+    const problems = this.validate(schedule);
+    if (problems.length > 0) {
+      throw new Error(`Invalid schedule: ${problems.join(', ')}`);
+    }
+
+    await this.settingsService.set(SCHEDULE_SETTING, schedule);
+    return schedule;
+  }
+
+  validate(schedule) {
+    const problems = [];
+    const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!inRange(schedule.startDay, 0, 6)) problems.push('startDay must be 0-6');
+    if (!inRange(schedule.deadlineDay, 0, 6)) problems.push('deadlineDay must be 0-6');
+    if (!inRange(schedule.startHour, 0, 23)) problems.push('startHour must be 0-23');
+    if (!inRange(schedule.deadlineHour, 0, 23)) problems.push('deadlineHour must be 0-23');
+    if (!moment.tz.zone(schedule.timezone || '')) problems.push(`unknown timezone ${schedule.timezone}`);
+    problems.push(...validateCadence(schedule.cadence, schedule.cadenceWeeks));
+
+    return problems;
+  }
+
+  /**
+   * Cron expressions for opening and closing rounds
+   */
+  getCronExpressions(schedule) {
+    return {
+      start: `0 ${schedule.startHour} * * ${schedule.startDay}`,
+      compile: `0 ${schedule.deadlineHour} * * ${schedule.deadlineDay}`
+    };
+  }
+
+  /**
+   * Start date and deadline for a round opening at `now`.
+   * For rounds of whole weeks the deadline is the next deadline day and hour,
+   * plus a week for each extra week. Monthly rounds end on the last deadline
+   * day before next month's round starts.
+   */
+  getRoundDates(schedule, { cadence, weeks }, now = moment.tz(schedule.timezone)) {
+    const start = moment(now).tz(schedule.timezone);
+    const nextDeadlineAfter = time => this.getNextDeadline(schedule, time);
+
+    let deadline;
+    if (cadence === 'monthly') {
+      const nextStart = this.getMonthlyStart(schedule, start.clone().add(1, 'month'));
+      deadline = nextDeadlineAfter(nextStart.clone().subtract(1, 'week'));
+      if (!deadline.isAfter(start)) {
+        deadline = nextDeadlineAfter(start);
+      }
+    } else {
+      deadline = nextDeadlineAfter(start).add(cadenceWeeks(cadence, weeks) - 1, 'weeks');
+    }
+
+    return {
+      startDate: start.clone().startOf('day').toDate(),
+      deadline: deadline.toDate()
+    };
+  }
+
+  /**
+   * The first deadline day and hour after a time
+   */
+  getNextDeadline(schedule, time) {
+    const deadline = moment(time).tz(schedule.timezone).day(schedule.deadlineDay).hour(schedule.deadlineHour).startOf('hour');
+    return deadline.isAfter(time) ? deadline : deadline.add(1, 'week');
+  }
+
+  /**
+   * The last time the start job was due to run, at or before a time
+   */
+  getPreviousStart(schedule, time = moment.tz(schedule.timezone)) {
+    const start = moment(time).tz(schedule.timezone).day(schedule.startDay).hour(schedule.startHour).startOf('hour');
+    return start.isAfter(time) ? start.subtract(1, 'week') : start;
+  }
+
+  /**
+   * When a month's round starts: its first start day, at the start hour
+   */
+  getMonthlyStart(schedule, month) {
+    const firstOfMonth = moment(month).tz(schedule.timezone).startOf('month');
+    const daysUntilStartDay = (schedule.startDay - firstOfMonth.day() + 7) % 7;
+    return firstOfMonth.add(daysUntilStartDay, 'days').hour(schedule.startHour);
+  }
+
+  /**
+   * Whether a group is due a new round. The start cron fires weekly; rounds of
+   * whole weeks are held back by the open round until its deadline, so only
+   * monthly rounds need checking - they wait for the next month's start day.
+   */
+  isRoundDue(schedule, { cadence }, lastRound, now = moment.tz(schedule.timezone)) {
+    if (cadence !== 'monthly' || !lastRound) {
+      return true;
+    }
+
+    const nextStart = this.getMonthlyStart(schedule, moment(lastRound.startDate).tz(schedule.timezone).add(1, 'month'));
+    // Allow for the cron firing a little before the hour
+    return !moment(now).isBefore(nextStart.subtract(1, 'hour'));
+  }
+}
+
+module.exports = { ScheduleService };
@@ -0,0 +1,76 @@
+const cron = require('node-cron');
+const { WeeklyAutomation } = require('./weeklyAutomation');
+const { ScheduleService } = require('./scheduleService');
+const logger = require('../utils/logger');
+
+// Cron tasks are process-wide, so every Scheduler shares them - an admin
+// route's Scheduler can replace the jobs app.js started
+let scheduledTasks = [];
+
+/**
+ * Registers the cron jobs that open and close rounds, following the schedule
+ * in system settings, and re-registers them when the schedule changes
+ */
+class Scheduler {
+  constructor() {
+    this.weeklyAutomation = new WeeklyAutomation();
+    this.scheduleService = new ScheduleService();
+  }
+
+  /**
+   * Register the jobs for the current schedule (replacing any already registered)
+   */
+  async start() {
+    const schedule = await this.scheduleService.getSchedule();
+    const expressions = this.scheduleService.getCronExpressions(schedule);
+
+    this.stop();
+
+    // Open a new round for every group
+    scheduledTasks.push(cron.schedule(expressions.start, async () => {
+      try {
+        logger.info('Starting new week cron job');
+        await this.weeklyAutomation.startNewWeek(null, { onlyDue: true });
+        logger.info('New week started successfully');
+      } catch (error) {
+        logger.error('Error starting new week:', error);
+      }
+    }, {
+      timezone: schedule.timezone
+    }));
+
+    // Close rounds whose deadline has come and send their compilations
+    scheduledTasks.push(cron.schedule(expressions.compile, async () => {
+      try {
+        logger.info('Starting weekly compilation cron job');
+        await this.weeklyAutomation.closeWeekAndCompile(null, { onlyPastDeadline: true });
+        logger.info('Weekly compilation completed successfully');
+      } catch (error) {
+        logger.error('Error compiling weekly submissions:', error);
+      }
+    }, {
+      timezone: schedule.timezone
+    }));
+
+    logger.info('Schedule cron jobs registered:', { ...schedule, cron: expressions });
+    return { schedule, cron: expressions };
+  }
+
+  /**
+   * Stop the schedule's jobs
+   */
+  stop() {
+    scheduledTasks.forEach(task => task.stop());
+    scheduledTasks = [];
+  }
+
+  /**
+   * Apply a changed schedule without a restart
+   */
+  async reload() {
+    logger.info('Reloading schedule cron jobs');
+    return await this.start();
+  }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,53 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Admin-editable settings, stored as key/value strings in system_settings
+ */
+class SettingsService {
+  /**
+   * Get a setting's raw value, or the default when it isn't set
+   */
+  async get(key, defaultValue = null) {
+    const setting = await prisma.systemSettings.findUnique({
+      where: { key }
+    });
+
+    return setting ? setting.value : defaultValue;
+  }
+
+  /**
+   * Get a setting stored as JSON
+   */
+  async getJson(key, defaultValue = null) {
+    const value = await this.get(key);
+    if (value === null) return defaultValue;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn('Ignoring setting that is not valid JSON:', { key, value });
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Create or update a setting
+   */
+  async set(key, value) {
+    const stored = typeof value === 'string' ? value : JSON.stringify(value);
+
+    const setting = await prisma.systemSettings.upsert({
+      where: { key },
+      update: { value: stored },
+      create: { key, value: stored }
+    });
+
+    logger.info('Setting updated:', { key, value: stored });
+    return setting;
+  }
+}
+
+module.exports = { SettingsService };
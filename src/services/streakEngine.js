@@ -0,0 +1,343 @@
+const { PrismaClient } = require('@prisma/client');
+const { EmailService } = require('./emailService');
+const { LateSubmissionService } = require('./lateSubmissionService');
+const { SLOT_STATUSES } = require('./invitationService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Fields a rebuild recalculates (and reports when they change)
+const REBUILT_FIELDS = ['currentStreak', 'longestStreak', 'lastSubmissionWeek', 'canInvite'];
+
+/**
+ * Works out streaks from a member's submission history, rather than adding to
+ * the stored count, so recording the same round twice (on submission and again
+ * at compile time) can't inflate a streak. Rounds are taken in date order,
+ * whatever the group's cadence:
+ *   - a round they submitted for extends the run
+ *   - a round they missed ends it, unless it is still open or they were
+ *     paused at some point during it
+ *   - a late submission counts like any other if the late submission settings
+ *     say so; otherwise the round neither extends nor ends the run
+ * Old rounds get cleaned up, so the run through them is stored on the streak
+ * record first (see deleteRounds) and picks up where the remaining rounds end.
+ */
+class StreakEngine {
+  constructor() {
+    this.emailService = new EmailService();
+    this.lateSubmissionService = new LateSubmissionService();
+    this.streakRequired = parseInt(process.env.STREAK_REQUIRED_FOR_INVITE) || 4;
+    this.maxInvitesPerUser = parseInt(process.env.MAX_INVITES_PER_USER) || 5;
+  }
+
+  /**
+   * Calculate a streak from a group's rounds, newest first, each with the
+   * member's submissions for it, and the member's pauses. The carried run
+   * and longest run are from rounds older than these.
+   */
+  calculate(rounds, pauses, { countLate = true, carriedStreak = 0, carriedLongest = 0 } = {}) {
+    const wasPaused = round => pauses.some(pause =>
+      pause.startsAt < round.deadline && pause.endsAt > round.startDate
+    );
+
+    let currentStreak = 0;
+    let longestStreak = 0;
+    let run = 0;
+    let currentRunEnded = false;
+    let lastSubmissionWeek = null;
+
+    for (const round of rounds) {
+      const submitted = round.submissions.some(sub => countLate || !sub.isLate);
+      const submittedLate = !submitted && round.submissions.length > 0;
+
+      if (!submitted && (submittedLate || round.status === 'open' || wasPaused(round))) {
+        continue;
+      }
+
+      if (submitted) {
+        run++;
+        if (lastSubmissionWeek === null) lastSubmissionWeek = round.weekNumber;
+      } else {
+        run = 0;
+        currentRunEnded = true;
+      }
+
+      if (!currentRunEnded) currentStreak = run;
+      longestStreak = Math.max(longestStreak, run);
+    }
+
+    // The run that reaches the oldest round carries on into older ones
+    run += carriedStreak;
+    if (!currentRunEnded) currentStreak = run;
+    longestStreak = Math.max(longestStreak, run, carriedLongest);
+
+    return { currentStreak, longestStreak, lastSubmissionWeek };
+  }
+
+  /**
+   * Whether a streak is long enough to invite, with invites left to send
+   * (counted the same way as InvitationService.checkInviteEligibility)
+   */
+  async canInvite(user, currentStreak) {
+    if (currentStreak < this.streakRequired) {
+      return false;
+    }
+
+    const invitesUsed = await prisma.invite.count({
+      where: { inviterId: user.id, status: { in: SLOT_STATUSES } }
+    });
+    return invitesUsed < this.maxInvitesPerUser;
+  }
+
+  /**
+   * Get a group's rounds (newest first, optionally only some of them) with a member's submissions, and the member's pauses
+   */
+  async getHistory(userId, groupId, { roundIds = null } = {}) {
+    const rounds = await prisma.week.findMany({
+      where: roundIds ? { groupId, id: { in: roundIds } } : { groupId },
+      orderBy: { startDate: 'desc' },
+      include: {
+        submissions: {
+          where: { userId },
+          select: { id: true, isLate: true }
+        }
+      }
+    });
+
+    const pauses = await prisma.userPause.findMany({
+      where: { userId }
+    });
+
+    return { rounds, pauses };
+  }
+
+  /**
+   * Recalculate and save a member's streak for a group, and let them know
+   * if they have just become able to invite
+   */
+  async refresh(user, group) {
+    try {
+      const { countTowardStreaks } = await this.lateSubmissionService.getSettings();
+      const { rounds, pauses } = await this.getHistory(user.id, group.id);
+
+      const existing = await prisma.userStreak.findUnique({
+        where: { userId_groupId: { userId: user.id, groupId: group.id } }
+      });
+
+      const calculated = this.calculate(rounds, pauses, {
+        countLate: countTowardStreaks,
+        carriedStreak: existing ? existing.carriedStreak : 0,
+        carriedLongest: existing ? existing.carriedLongest : 0
+      });
+
+      // A longer run than the current one may come from rounds that have since
+      // been cleaned up, so it still stands
+      const longestStreak = existing && existing.longestStreak > existing.currentStreak
+        ? Math.max(existing.longestStreak, calculated.longestStreak)
+        : calculated.longestStreak;
+
+      const canInvite = await this.canInvite(user, calculated.currentStreak);
+      const becameEligible = canInvite && !(existing && existing.canInvite);
+      const inviteEligibleSince = becameEligible ? new Date() : (existing ? existing.inviteEligibleSince : null);
+
+      const data = {
+        currentStreak: calculated.currentStreak,
+        longestStreak,
+        lastSubmissionWeek: calculated.lastSubmissionWeek ?? (existing ? existing.lastSubmissionWeek : null),
+        canInvite,
+        inviteEligibleSince
+      };
+
+      const streak = await prisma.userStreak.upsert({
+        where: { userId_groupId: { userId: user.id, groupId: group.id } },
+        update: data,
+        create: { userId: user.id, groupId: group.id, ...data }
+      });
+
+      if (becameEligible) {
+        await this.emailService.sendInviteEligibilityNotification(
+          user.email,
+          user.firstName || 'Friend',
+          streak.currentStreak,
+          group
+        );
+      }
+
+      logger.info('Refreshed user streak:', {
+        userId: user.id,
+        groupId: group.id,
+        currentStreak: streak.currentStreak,
+        longestStreak: streak.longestStreak,
+        canInvite
+      });
+
+      return streak;
+
+    } catch (error) {
+      logger.error('Error refreshing user streak:', { userId: user.id, groupId: group.id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate streaks for all of a group's active members
+   */
+  async refreshGroup(group) {
+    const memberships = await prisma.groupMembership.findMany({
+      where: {
+        groupId: group.id,
+        isActive: true,
+        user: { isActive: true }
+      },
+      include: { user: true }
+    });
+
+    let updated = 0;
+    let failed = 0;
+    for (const { user } of memberships) {
+      try {
+        await this.refresh(user, group);
+        updated++;
+      } catch (error) {
+        // Already logged by refresh - carry on with the other members
+        failed++;
+      }
+    }
+
+    logger.info('Refreshed streaks for group members', { groupId: group.id, updated, failed });
+    return { updated, failed };
+  }
+
+  /**
+   * Delete old rounds (with their submissions), first carrying each member's
+   * run through them over to their streak record. Only the oldest rounds of a
+   * group should go, or the carried runs won't join up with the rest.
+   */
+  async deleteRounds(rounds) {
+    try {
+      const { countTowardStreaks } = await this.lateSubmissionService.getSettings();
+      const updates = [];
+
+      for (const groupId of [...new Set(rounds.map(round => round.groupId))]) {
+        const roundIds = rounds.filter(round => round.groupId === groupId).map(round => round.id);
+        const streaks = await prisma.userStreak.findMany({ where: { groupId } });
+
+        for (const streak of streaks) {
+          const history = await this.getHistory(streak.userId, groupId, { roundIds });
+          const carried = this.calculate(history.rounds, history.pauses, {
+            countLate: countTowardStreaks,
+            carriedStreak: streak.carriedStreak,
+            carriedLongest: streak.carriedLongest
+          });
+
+          updates.push(prisma.userStreak.update({
+            where: { id: streak.id },
+            data: { carriedStreak: carried.currentStreak, carriedLongest: carried.longestStreak }
+          }));
+        }
+      }
+
+      // Together, so a failed delete can't leave rounds counted twice
+      const results = await prisma.$transaction([
+        ...updates,
+        prisma.week.deleteMany({ where: { id: { in: rounds.map(round => round.id) } } })
+      ]);
+
+      const deleted = results[results.length - 1];
+      logger.info('Deleted old rounds:', { deleted: deleted.count, streaksCarried: updates.length });
+
+      return deleted;
+
+    } catch (error) {
+      logger.error('Error deleting old rounds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild every streak record (or one group's) from submission history, for
+   * repairing records that have drifted. Rounds that have been cleaned up
+   * count through the run carried over from them, which the rebuild keeps.
+   * Unlike refresh, a longest streak the history doesn't back up is corrected,
+   * unless that history no longer reaches back to the member's first round,
+   * and nobody is emailed. A dry run saves nothing and only reports what
+   * would change.
+   */
+  async rebuildAll({ groupId = null, dryRun = false } = {}) {
+    try {
+      const streaks = await prisma.userStreak.findMany({
+        where: groupId ? { groupId } : {},
+        include: {
+          user: {
+            include: { memberships: { select: { groupId: true, joinedAt: true } } }
+          }
+        },
+        orderBy: [{ groupId: 'asc' }, { userId: 'asc' }]
+      });
+
+      const { countTowardStreaks } = await this.lateSubmissionService.getSettings();
+
+      const changes = [];
+      for (const streak of streaks) {
+        const { rounds, pauses } = await this.getHistory(streak.userId, streak.groupId);
+        const calculated = this.calculate(rounds, pauses, {
+          countLate: countTowardStreaks,
+          carriedStreak: streak.carriedStreak,
+          carriedLongest: streak.carriedLongest
+        });
+
+        // Records from before runs were carried over can have a longest streak
+        // from rounds that are gone now, which the history can't disprove
+        const membership = streak.user.memberships.find(m => m.groupId === streak.groupId);
+        const truncated = !membership || rounds.length === 0 || rounds[rounds.length - 1].startDate > membership.joinedAt;
+        const rebuilt = {
+          currentStreak: calculated.currentStreak,
+          longestStreak: truncated ? Math.max(calculated.longestStreak, streak.longestStreak) : calculated.longestStreak,
+          lastSubmissionWeek: calculated.lastSubmissionWeek ?? streak.lastSubmissionWeek,
+          canInvite: await this.canInvite(streak.user, calculated.currentStreak)
+        };
+
+        const fields = {};
+        for (const field of REBUILT_FIELDS) {
+          if (streak[field] !== rebuilt[field]) {
+            fields[field] = { from: streak[field], to: rebuilt[field] };
+          }
+        }
+
+        if (Object.keys(fields).length === 0) continue;
+
+        changes.push({
+          userId: streak.userId,
+          email: streak.user.email,
+          groupId: streak.groupId,
+          changes: fields
+        });
+
+        if (!dryRun) {
+          await prisma.userStreak.update({
+            where: { id: streak.id },
+            data: {
+              ...rebuilt,
+              inviteEligibleSince: rebuilt.canInvite && !streak.canInvite ? new Date() : streak.inviteEligibleSince
+            }
+          });
+        }
+      }
+
+      logger.info('Rebuilt user streaks:', { groupId, dryRun, checked: streaks.length, changed: changes.length });
+
+      return {
+        dryRun,
+        checked: streaks.length,
+        changed: changes.length,
+        changes
+      };
+
+    } catch (error) {
+      logger.error('Error rebuilding user streaks:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = { StreakEngine };
@@ -0,0 +1,268 @@
+const { normalizeCategory } = require('../utils/categories');
+const { SettingsService } = require('./settingsService');
+const logger = require('../utils/logger');
+
+// What people actually write for each label
+const FIELD_LABELS = {
+  recommendation: ['recommendation', 'recommendations', 'recommend', 'my recommendation', 'rec', 'recs', 'pick'],
+  category: ['category', 'type', 'kind'],
+  reasonWhy: ['reason why', 'reasons why', 'reason', 'reasons', 'why', 'because'],
+  digressions: ['digressions', 'digression', 'message', 'notes', 'note', 'life update', 'life updates', 'updates']
+};
+
+// How each field is named in emails to users
+const FIELD_NAMES = {
+  recommendation: 'RECOMMENDATION',
+  category: 'CATEGORY',
+  reasonWhy: 'REASON WHY',
+  digressions: 'DIGRESSIONS'
+};
+
+// Fields an admin can make optional. RECOMMENDATION is always required and CATEGORY never is.
+const CONFIGURABLE_FIELDS = ['reasonWhy', 'digressions'];
+const DEFAULT_OPTIONAL_FIELDS = ['digressions'];
+const OPTIONAL_FIELDS_SETTING = 'submission_optional_fields';
+
+class SubmissionParser {
+  constructor() {
+    this.settingsService = new SettingsService();
+    this.labelPattern = this.buildLabelPattern();
+  }
+
+  /**
+   * Build the regex that finds labels at the start of a line. Allows markdown
+   * bullets, headings and bold around the label, an optional number after it
+   * ("REASON WHY 2"), and ":", "-" or "=" as the separator. A bold label
+   * ("**Rec** The Bear") or one alone on its line ("## Notes") needs no separator.
+   */
+  buildLabelPattern() {
+    const labels = Object.values(FIELD_LABELS)
+      .flat()
+      .sort((a, b) => b.length - a.length)
+      .map(label => label.replace(/ /g, '\\s+'));
+
+    return new RegExp(
+      `^[ \\t]*(?:[#*_•-]+[ \\t]*)*(${labels.join('|')})(?:[ \\t]*#?[ \\t]*(\\d+))?` +
+      '[ \\t]*(?:[*_]+[ \\t]*[:=–—-]?|[:=–—-]|(?=[ \\t]*$))[ \\t]*[*_]*',
+      'gim'
+    );
+  }
+
+  /**
+   * Work out which field a matched label is for
+   */
+  fieldForLabel(label) {
+    const cleaned = label.toLowerCase().replace(/\s+/g, ' ');
+    return Object.keys(FIELD_LABELS).find(field => FIELD_LABELS[field].includes(cleaned));
+  }
+
+  /**
+   * Parse a cleaned plain-text body into { recommendations, digressions }.
+   * Numbered labels go to that recommendation, an unnumbered RECOMMENDATION
+   * starts a new one, and REASON WHY / CATEGORY attach to the current one.
+   */
+  parse(body) {
+    const labels = [...body.matchAll(this.labelPattern)];
+
+    const recommendations = [];
+    const digressions = [];
+    let current = null;
+
+    const findOrCreate = number => {
+      let item = number !== null ? recommendations.find(rec => rec.number === number) : null;
+      if (!item) {
+        item = { number };
+        recommendations.push(item);
+      }
+      return item;
+    };
+
+    labels.forEach((label, index) => {
+      const end = index + 1 < labels.length ? labels[index + 1].index : body.length;
+      const value = this.cleanValue(body.slice(label.index + label[0].length, end));
+      const field = this.fieldForLabel(label[1]);
+      const number = label[2] ? parseInt(label[2]) : null;
+
+      if (field === 'digressions') {
+        if (value) digressions.push(value);
+        return;
+      }
+
+      if (field === 'recommendation') {
+        // An unnumbered RECOMMENDATION always starts a new block
+        current = findOrCreate(number);
+        current.recommendation = value;
+        return;
+      }
+
+      if (number !== null) {
+        current = findOrCreate(number);
+      } else if (!current) {
+        current = findOrCreate(null);
+      }
+
+      if (field === 'category') {
+        current.category = normalizeCategory(value);
+      } else {
+        current.reasonWhy = value;
+      }
+    });
+
+    const parsed = {
+      recommendations: recommendations.map(rec => this.withoutEmpty({
+        recommendation: rec.recommendation,
+        reasonWhy: rec.reasonWhy,
+        category: rec.category
+      }))
+    };
+
+    if (digressions.length > 0) {
+      parsed.digressions = digressions.join(' ');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Tidy a field value: one line, no leftover markdown emphasis around it
+   */
+  cleanValue(value) {
+    return value
+      .trim()
+      .replace(/\n\s*/g, ' ')
+      .replace(/^([*_]{1,2})(.+)\1$/, '$2')
+      .trim();
+  }
+
+  withoutEmpty(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+  }
+
+  /**
+   * Whether anything in the email was recognised as part of a submission
+   */
+  looksLikeSubmission(parsedData) {
+    return parsedData.recommendations.length > 0 || !!parsedData.digressions;
+  }
+
+  /**
+   * List the required fields a parsed submission doesn't have, as { field, position }
+   */
+  findMissingFields(parsedData, optionalFields = []) {
+    const missing = [];
+
+    if (parsedData.recommendations.length === 0) {
+      missing.push({ field: 'recommendation', position: 1 });
+    }
+
+    parsedData.recommendations.forEach((rec, index) => {
+      if (!rec.recommendation) {
+        missing.push({ field: 'recommendation', position: index + 1 });
+      }
+      if (!rec.reasonWhy && !optionalFields.includes('reasonWhy')) {
+        missing.push({ field: 'reasonWhy', position: index + 1 });
+      }
+    });
+
+    if (!parsedData.digressions && !optionalFields.includes('digressions')) {
+      missing.push({ field: 'digressions', position: null });
+    }
+
+    return missing;
+  }
+
+  /**
+   * Describe a missing field for the user, e.g. 'REASON WHY (for "The Bear")'
+   */
+  describeMissingField({ field, position }, parsedData) {
+    if (position === null) {
+      return FIELD_NAMES[field];
+    }
+
+    const numbered = parsedData.recommendations.length > 1;
+    const rec = parsedData.recommendations[position - 1];
+
+    if (field !== 'recommendation' && rec && rec.recommendation) {
+      return `${FIELD_NAMES[field]}${numbered ? ` ${position}` : ''} (for "${rec.recommendation}")`;
+    }
+
+    return `${FIELD_NAMES[field]}${numbered ? ` ${position}` : ''}`;
+  }
+
+  /**
+   * Combine a reply with the draft it completes.
+   * A complete resubmission replaces the draft. A reply without any labels
+   * fills the draft's only missing field. Otherwise the reply's fields are
+   * laid over the draft's.
+   */
+  mergeWithDraft(draft, parsedData, plainText, optionalFields = []) {
+    if (this.findMissingFields(parsedData, optionalFields).length === 0) {
+      return parsedData;
+    }
+
+    const merged = {
+      recommendations: draft.data.recommendations.map(rec => ({ ...rec })),
+      digressions: parsedData.digressions || draft.data.digressions
+    };
+    if (!merged.digressions) delete merged.digressions;
+
+    if (!this.looksLikeSubmission(parsedData)) {
+      const text = this.cleanValue(plainText);
+
+      if (draft.missingFields.length === 1 && text) {
+        const { field, position } = draft.missingFields[0];
+
+        if (position === null) {
+          merged[field] = text;
+        } else {
+          merged.recommendations[position - 1] = { ...merged.recommendations[position - 1], [field]: text };
+        }
+      }
+
+      return merged;
+    }
+
+    parsedData.recommendations.forEach((rec, index) => {
+      // "REASON WHY: ..." on its own is for the first recommendation still missing one
+      let target = index;
+      if (!rec.recommendation) {
+        const field = rec.reasonWhy ? 'reasonWhy' : 'category';
+        const waiting = merged.recommendations.findIndex(existing => !existing[field]);
+        if (waiting !== -1) target = waiting;
+      }
+
+      merged.recommendations[target] = { ...merged.recommendations[target], ...rec };
+    });
+
+    return merged;
+  }
+
+  /**
+   * Fields that don't have to be filled in, as configured by an admin
+   */
+  async getOptionalFields() {
+    const fields = await this.settingsService.getJson(OPTIONAL_FIELDS_SETTING, DEFAULT_OPTIONAL_FIELDS);
+
+    if (!Array.isArray(fields)) {
+      logger.warn('Ignoring invalid optional submission fields setting:', fields);
+      return DEFAULT_OPTIONAL_FIELDS;
+    }
+
+    return fields.filter(field => CONFIGURABLE_FIELDS.includes(field));
+  }
+
+  /**
+   * Set which fields don't have to be filled in
+   */
+  async setOptionalFields(fields) {
+    const invalid = fields.filter(field => !CONFIGURABLE_FIELDS.includes(field));
+    if (invalid.length > 0) {
+      throw new Error(`Fields can't be made optional: ${invalid.join(', ')}`);
+    }
+
+    await this.settingsService.set(OPTIONAL_FIELDS_SETTING, fields);
+    return fields;
+  }
+}
+
+module.exports = { SubmissionParser, CONFIGURABLE_FIELDS, FIELD_NAMES };
@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { toNodemailerMessage } = require('./mailMessage');
+
+/**
+ * Writes each message to a directory as an .eml file instead of sending it.
+ * For development and tests - the files open in any mail client.
+ */
+class FileTransport {
+  constructor() {
+    this.name = 'file';
+    this.directory = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+    this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  /**
+   * "Send" one message or a batch (SendGrid-style message objects)
+   */
+  async send(messages) {
+    const batch = Array.isArray(messages) ? messages : [messages];
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const files = [];
+    for (const message of batch) {
+      const { message: raw } = await this.composer.sendMail(toNodemailerMessage(message));
+
+      const recipient = this.firstRecipient(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(
+        this.directory,
+        `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}-${crypto.randomBytes(3).toString('hex')}.eml`
+      );
+
+      await fs.writeFile(file, raw);
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  firstRecipient(to) {
+    const first = Array.isArray(to) ? to[0] : to;
+    return (first && (first.email || first)) || 'unknown';
+  }
+}
+
+module.exports = { FileTransport };
@@ -0,0 +1,25 @@
+const { SendGridTransport } = require('./sendgridTransport');
+const { SmtpTransport } = require('./smtpTransport');
+const { FileTransport } = require('./fileTransport');
+
+// Every transport has send(messages), taking one SendGrid-style message or an array of them
+const TRANSPORTS = {
+  sendgrid: SendGridTransport,
+  smtp: SmtpTransport,
+  file: FileTransport
+};
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT (sendgrid by default)
+ */
+function createTransport(name = process.env.EMAIL_TRANSPORT || 'sendgrid') {
+  const Transport = TRANSPORTS[name.toLowerCase()];
+
+  if (!Transport) {
+    throw new Error(`Unknown email transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+
+  return new Transport();
+}
+
+module.exports = { createTransport };
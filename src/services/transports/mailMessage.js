@@ -0,0 +1,30 @@
+/**
+ * Convert a SendGrid-style address ('a@b.com' or { email, name }) to nodemailer's form
+ */
+function toAddress(address) {
+  if (!address) return undefined;
+  if (Array.isArray(address)) return address.map(toAddress);
+  if (typeof address === 'string') return address;
+  return { name: address.name || '', address: address.email };
+}
+
+/**
+ * Convert a SendGrid-style message to a nodemailer one.
+ * Messages are written in SendGrid's shape throughout the app, so the other
+ * transports translate rather than the callers.
+ */
+function toNodemailerMessage(message) {
+  return {
+    from: toAddress(message.from),
+    to: toAddress(message.to),
+    cc: toAddress(message.cc),
+    bcc: toAddress(message.bcc),
+    replyTo: toAddress(message.replyTo),
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    headers: message.headers
+  };
+}
+
+module.exports = { toNodemailerMessage };
@@ -0,0 +1,27 @@
+const sgMail = require('@sendgrid/mail');
+
+// The SendGrid client is shared, so the key only needs setting once
+let apiKeySet = false;
+
+/**
+ * Sends through the SendGrid API
+ */
+class SendGridTransport {
+  constructor() {
+    this.name = 'sendgrid';
+
+    if (!apiKeySet) {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+      apiKeySet = true;
+    }
+  }
+
+  /**
+   * Send one message or a batch (SendGrid-style message objects)
+   */
+  async send(messages) {
+    return await sgMail.send(messages);
+  }
+}
+
+module.exports = { SendGridTransport };
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+const { toNodemailerMessage } = require('./mailMessage');
+
+/**
+ * Sends through any SMTP server (a mail provider, or a local catcher like MailHog)
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  /**
+   * Send one message or a batch (SendGrid-style message objects)
+   */
+  async send(messages) {
+    const batch = Array.isArray(messages) ? messages : [messages];
+    const results = [];
+
+    for (const message of batch) {
+      results.push(await this.transporter.sendMail(toNodemailerMessage(message)));
+    }
+
+    return results;
+  }
+}
+
+module.exports = { SmtpTransport };
@@ -1,113 +1,293 @@
 const { PrismaClient } = require('@prisma/client');
 const { EmailService } = require('./emailService');
+const { GroupService } = require('./groupService');
+const { PauseService } = require('./pauseService');
+const { SettingsService } = require('./settingsService');
+const { ScheduleService } = require('./scheduleService');
+const { StreakEngine } = require('./streakEngine');
+const { LateSubmissionService } = require('./lateSubmissionService');
+const { groupCadence, describeRound, weekNumberFor } = require('../utils/rounds');
 const moment = require('moment-timezone');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
+const REMINDER_OFFSETS_SETTING = 'reminder_offsets_hours';
+
 class WeeklyAutomation {
   constructor() {
     this.emailService = new EmailService();
+    this.groupService = new GroupService();
+    this.pauseService = new PauseService();
+    this.settingsService = new SettingsService();
+    this.scheduleService = new ScheduleService();
+    this.streakEngine = new StreakEngine();
+    this.lateSubmissionService = new LateSubmissionService();
     this.timezone = process.env.TIMEZONE || 'America/New_York';
   }
 
   /**
-   * Start a new week - create week record and send prompt emails
+   * Start a new week for every active group (or a single group).
+   * The scheduled run passes onlyDue, so groups on a monthly cadence
+   * wait for their next month's start.
    */
-  async startNewWeek() {
+  async startNewWeek(groupId = null, { onlyDue = false } = {}) {
     try {
-      logger.info('Starting new week process');
+      logger.info('Starting new week process', { groupId });
+
+      const groups = groupId
+        ? await prisma.group.findMany({ where: { id: groupId, isActive: true } })
+        : await this.groupService.getActiveGroups();
+
+      if (groups.length === 0) {
+        logger.warn('No active groups found for new week');
+        return { success: false, error: 'No active groups' };
+      }
+
+      const results = [];
+      for (const group of groups) {
+        try {
+          results.push(await this.startGroupWeek(group, { onlyDue }));
+        } catch (error) {
+          // Already logged by startGroupWeek - carry on with the other groups
+          results.push({ success: false, groupId: group.id, error: 'Failed to start week' });
+        }
+      }
+
+      if (groupId) {
+        return results[0];
+      }
 
-      // Check if there's already an open week
+      return {
+        success: results.some(result => result.success),
+        groups: results,
+        emailsSent: results.reduce((total, result) => total + (result.emailsSent || 0), 0)
+      };
+
+    } catch (error) {
+      logger.error('Error starting new week:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new week for one group - create week record and send prompt emails
+   */
+  async startGroupWeek(group, { onlyDue = false } = {}) {
+    try {
+      // Check if there's already an open week for this group
       const existingOpenWeek = await prisma.week.findFirst({
-        where: { status: 'open' }
+        where: { status: 'open', groupId: group.id }
       });
 
       if (existingOpenWeek) {
-        logger.warn('There is already an open week, skipping new week creation');
-        return { success: false, error: 'Week already open' };
+        logger.warn('There is already an open week, skipping new week creation', { groupId: group.id });
+        return { success: false, groupId: group.id, error: 'Week already open' };
       }
 
-      // Calculate week number (YYYYWW format)
-      const now = moment.tz(this.timezone);
-      const weekNumber = parseInt(now.format('YYYY')) * 100 + now.week();
+      const schedule = await this.scheduleService.getSchedule();
+      const cadence = groupCadence(group, schedule);
+      const now = moment.tz(schedule.timezone);
+
+      if (onlyDue) {
+        const lastRound = await prisma.week.findFirst({
+          where: { groupId: group.id },
+          orderBy: { startDate: 'desc' }
+        });
+        if (!this.scheduleService.isRoundDue(schedule, cadence, lastRound, now)) {
+          logger.info('Next round not due yet, skipping', { groupId: group.id, cadence: cadence.cadence });
+          return { success: false, groupId: group.id, error: 'Round not due' };
+        }
+      }
+
+      // Calculate week number (ISO YYYYWW format)
+      const weekNumber = weekNumberFor(now, schedule.timezone);
       
-      // Calculate start date (this Thursday) and deadline (next Sunday)
-      const startDate = now.clone().day(4).startOf('day').toDate(); // Thursday
-      const deadline = now.clone().day(7).hour(parseInt(process.env.WEEKLY_DEADLINE_HOUR) || 18)
-        .minute(0)
-        .second(0)
-        .toDate(); // Sunday
+      // Start date is today; the deadline depends on the group's cadence
+      const { startDate, deadline } = this.scheduleService.getRoundDates(schedule, cadence, now);
 
       // Create new week record
       const newWeek = await prisma.week.create({
         data: {
+          groupId: group.id,
           weekNumber,
           startDate,
           deadline,
+          cadence: cadence.cadence,
           status: 'open'
         }
       });
 
       logger.info('Created new week:', { 
         weekId: newWeek.id, 
+        groupId: group.id,
         weekNumber,
+        cadence: cadence.cadence,
         deadline: newWeek.deadline 
       });
 
-      // Get all active users
-      const activeUsers = await prisma.user.findMany({
-        where: { isActive: true },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true
-        }
-      });
+      // Get the group's active members who aren't paused
+      const members = await this.groupService.getActiveMembers(group.id);
+      const activeUsers = await this.pauseService.filterUnpaused(members);
 
       if (activeUsers.length === 0) {
-        logger.warn('No active users found for weekly prompt');
-        return { success: true, week: newWeek, emailsSent: 0 };
+        logger.warn('No active users found for weekly prompt', { groupId: group.id });
+        return { success: true, groupId: group.id, week: newWeek, emailsSent: 0 };
       }
 
-      // Send weekly prompt emails
+      // Queue weekly prompt emails
       const emailResult = await this.emailService.sendWeeklyPrompt(activeUsers, {
-        weekNumber,
-        deadline: newWeek.deadline
+        week: newWeek,
+        timezone: schedule.timezone,
+        group
       });
 
       logger.info('New week started successfully:', {
         weekId: newWeek.id,
+        groupId: group.id,
         weekNumber,
         usersEmailed: emailResult.count
       });
 
       return {
         success: true,
+        groupId: group.id,
         week: newWeek,
         emailsSent: emailResult.count
       };
 
     } catch (error) {
-      logger.error('Error starting new week:', error);
+      logger.error('Error starting new week for group:', { groupId: group.id, error });
       throw error;
     }
   }
 
   /**
-   * Close the current week and send compilation
+   * Close every open week (or a single group's open week) and send compilations.
+   * Weeks left closed but not compiled by an interrupted run are picked up again.
+   * The scheduled run passes onlyPastDeadline, so rounds longer than a week
+   * stay open until their own deadline.
    */
-  async closeWeekAndCompile() {
+  async closeWeekAndCompile(groupId = null, { onlyPastDeadline = false } = {}) {
     try {
-      logger.info('Starting weekly compilation process');
+      logger.info('Starting weekly compilation process', { groupId });
 
-      // Find the current open week
-      const currentWeek = await prisma.week.findFirst({
-        where: { status: 'open' },
+      const where = { status: { in: ['open', 'closed'] } };
+      if (groupId) where.groupId = groupId;
+      // Allow for the cron firing a little before the deadline's exact second
+      if (onlyPastDeadline) where.deadline = { lte: new Date(Date.now() + 60 * 1000) };
+
+      const openWeeks = await prisma.week.findMany({
+        where,
+        select: { id: true, groupId: true }
+      });
+
+      if (openWeeks.length === 0) {
+        logger.warn('No open week found for compilation');
+        return { success: false, error: 'No open week' };
+      }
+
+      const results = [];
+      for (const week of openWeeks) {
+        try {
+          results.push(await this.compileWeek(week.id));
+        } catch (error) {
+          // Already logged by compileWeek - carry on with the other groups
+          results.push({ success: false, groupId: week.groupId, error: 'Compilation failed' });
+        }
+      }
+
+      if (groupId) {
+        return results[0];
+      }
+
+      return {
+        success: results.some(result => result.success),
+        groups: results,
+        submissionCount: results.reduce((total, result) => total + (result.submissionCount || 0), 0),
+        emailsSent: results.reduce((total, result) => total + (result.emailsSent || 0), 0)
+      };
+
+    } catch (error) {
+      logger.error('Error compiling weekly submissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the round transitions missed while the app was down (called at startup).
+   * Rounds past their deadline are compiled, then groups that missed their start
+   * get their round opened - as long as that round would still be running;
+   * otherwise the next scheduled start opens one as usual.
+   */
+  async catchUp() {
+    try {
+      const compiled = await this.closeWeekAndCompile(null, { onlyPastDeadline: true });
+
+      const schedule = await this.scheduleService.getSchedule();
+      const now = moment.tz(schedule.timezone);
+      const missedStart = this.scheduleService.getPreviousStart(schedule, now);
+
+      const started = [];
+      for (const group of await this.groupService.getActiveGroups()) {
+        if (!(await this.missedRoundStart(group, schedule, missedStart, now))) continue;
+
+        try {
+          logger.warn('Opening round missed while the app was down', { groupId: group.id, missedStart: missedStart.format() });
+          started.push(await this.startGroupWeek(group, { onlyDue: true }));
+        } catch (error) {
+          // Already logged by startGroupWeek - carry on with the other groups
+          started.push({ success: false, groupId: group.id, error: 'Failed to start week' });
+        }
+      }
+
+      logger.info('Catch-up completed', {
+        compiled: (compiled.groups || []).filter(result => result.success).length,
+        started: started.filter(result => result.success).length
+      });
+
+      return { success: true, compiled, started };
+
+    } catch (error) {
+      logger.error('Error catching up on missed rounds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a group missed the start at missedStart: no round was open then,
+   * none has opened since, and the round it would have opened hasn't ended yet
+   */
+  async missedRoundStart(group, schedule, missedStart, now) {
+    const lastRound = await prisma.week.findFirst({
+      where: { groupId: group.id },
+      orderBy: { startDate: 'desc' }
+    });
+
+    // New groups wait for their first scheduled start
+    if (!lastRound || lastRound.status === 'open') return false;
+
+    if (moment(lastRound.deadline).isAfter(missedStart)) return false;
+    if (!moment(lastRound.startDate).isBefore(moment(missedStart).startOf('day'))) return false;
+
+    const { deadline } = this.scheduleService.getRoundDates(schedule, groupCadence(group, schedule), missedStart);
+    return moment(deadline).isAfter(now);
+  }
+
+  /**
+   * Close an open week and queue its compilation for the participants.
+   * A closed week can be compiled again after a crash - the roundup emails
+   * are keyed by week and user, so nobody gets theirs twice.
+   */
+  async compileWeek(weekId) {
+    try {
+      const currentWeek = await prisma.week.findUnique({
+        where: { id: weekId },
         include: {
+          group: true,
           submissions: {
             include: {
+              items: { orderBy: { position: 'asc' } },
               user: {
                 select: {
                   id: true,
@@ -121,32 +301,39 @@ class WeeklyAutomation {
         }
       });
 
-      if (!currentWeek) {
-        logger.warn('No open week found for compilation');
+      if (!currentWeek || !['open', 'closed'].includes(currentWeek.status)) {
+        logger.warn('Week is not open for compilation', { weekId });
         return { success: false, error: 'No open week' };
       }
 
+      const group = currentWeek.group;
+
       // Close the week
-      await prisma.week.update({
-        where: { id: currentWeek.id },
-        data: { status: 'closed' }
-      });
+      if (currentWeek.status === 'open') {
+        await prisma.week.update({
+          where: { id: currentWeek.id },
+          data: { status: 'closed' }
+        });
 
-      logger.info('Week closed:', { 
-        weekId: currentWeek.id, 
-        submissionCount: currentWeek.submissions.length 
-      });
+        logger.info('Week closed:', { 
+          weekId: currentWeek.id, 
+          submissionCount: currentWeek.submissions.length 
+        });
+      } else {
+        logger.warn('Resuming compilation of a week that was closed but not compiled', { weekId });
+      }
 
       // If no submissions, just mark as compiled and return
       if (currentWeek.submissions.length === 0) {
         await prisma.week.update({
           where: { id: currentWeek.id },
-          data: { status: 'compiled' }
+          data: { status: 'compiled', compiledAt: new Date() }
         });
 
-        logger.info('No submissions for week, marked as compiled');
+        logger.info('No submissions for week, marked as compiled', { groupId: group.id });
         return { 
           success: true, 
+          groupId: group.id,
           weekNumber: currentWeek.weekNumber,
           submissionCount: 0,
           emailsSent: 0 
@@ -156,24 +343,26 @@ class WeeklyAutomation {
       // Get unique participants (users who submitted)
       const participants = currentWeek.submissions.map(sub => sub.user);
       
-      // Send compilation email to participants
+      // Queue compilation email for participants
       const emailResult = await this.emailService.sendWeeklyCompilation(
         participants,
         currentWeek.submissions,
-        currentWeek.weekNumber
+        currentWeek,
+        group
       );
 
       // Mark week as compiled
       await prisma.week.update({
         where: { id: currentWeek.id },
-        data: { status: 'compiled' }
+        data: { status: 'compiled', compiledAt: new Date() }
       });
 
-      // Update user streaks for all users (including those who didn't submit)
-      await this.updateAllUserStreaks(currentWeek.weekNumber, currentWeek.submissions);
+      // Update streaks for all group members (including those who didn't submit)
+      await this.streakEngine.refreshGroup(group);
 
       logger.info('Weekly compilation completed successfully:', {
         weekId: currentWeek.id,
+        groupId: group.id,
         weekNumber: currentWeek.weekNumber,
         submissionCount: currentWeek.submissions.length,
         participantsEmailed: emailResult.count
@@ -181,142 +370,31 @@ class WeeklyAutomation {
 
       return {
         success: true,
+        groupId: group.id,
         weekNumber: currentWeek.weekNumber,
         submissionCount: currentWeek.submissions.length,
         emailsSent: emailResult.count
       };
 
     } catch (error) {
-      logger.error('Error compiling weekly submissions:', error);
+      logger.error('Error compiling week:', { weekId, error });
       throw error;
     }
   }
 
   /**
-   * Update streaks for all users based on this week's submissions
+   * Get current week status (for a group, or the most recent open week)
    */
-  async updateAllUserStreaks(weekNumber, submissions) {
+  async getCurrentWeekStatus(groupId = null) {
     try {
-      // Get all active users
-      const allUsers = await prisma.user.findMany({
-        where: { isActive: true },
-        include: { streak: true }
-      });
-
-      // Create a set of user IDs who submitted this week
-      const submittedUserIds = new Set(submissions.map(sub => sub.userId));
-
-      for (const user of allUsers) {
-        const didSubmit = submittedUserIds.has(user.id);
-        await this.updateUserStreak(user, weekNumber, didSubmit);
-      }
-
-      logger.info('Updated streaks for all users', { 
-        totalUsers: allUsers.length,
-        submitted: submittedUserIds.size 
-      });
-
-    } catch (error) {
-      logger.error('Error updating user streaks:', error);
-    }
-  }
-
-  /**
-   * Update individual user streak
-   */
-  async updateUserStreak(user, weekNumber, didSubmit) {
-    try {
-      if (!user.streak) {
-        // Create initial streak record
-        await prisma.userStreak.create({
-          data: {
-            userId: user.id,
-            currentStreak: didSubmit ? 1 : 0,
-            longestStreak: didSubmit ? 1 : 0,
-            lastSubmissionWeek: didSubmit ? weekNumber : null,
-            canInvite: false
-          }
-        });
-        return;
-      }
-
-      let newCurrentStreak;
-      if (didSubmit) {
-        // Check if this extends their streak
-        const isConsecutive = this.isConsecutiveWeek(user.streak.lastSubmissionWeek, weekNumber);
-        newCurrentStreak = isConsecutive ? user.streak.currentStreak + 1 : 1;
-      } else {
-        // Reset streak if they didn't submit
-        newCurrentStreak = 0;
-      }
-
-      const newLongestStreak = Math.max(user.streak.longestStreak, newCurrentStreak);
-      
-      // Check if user can now invite (4+ consecutive weeks and hasn't maxed out invites)
-      const streakRequired = parseInt(process.env.STREAK_REQUIRED_FOR_INVITE) || 4;
-      const maxInvites = parseInt(process.env.MAX_INVITES_PER_USER) || 5;
-      const canInvite = newCurrentStreak >= streakRequired && user.inviteCount < maxInvites;
-      
-      const inviteEligibleSince = canInvite && !user.streak.canInvite ? new Date() : user.streak.inviteEligibleSince;
-
-      await prisma.userStreak.update({
-        where: { userId: user.id },
-        data: {
-          currentStreak: newCurrentStreak,
-          longestStreak: newLongestStreak,
-          lastSubmissionWeek: didSubmit ? weekNumber : user.streak.lastSubmissionWeek,
-          canInvite,
-          inviteEligibleSince
-        }
-      });
-
-      // Notify user if they just became eligible to invite
-      if (canInvite && !user.streak.canInvite) {
-        await this.emailService.sendInviteEligibilityNotification(
-          user.email,
-          user.firstName || 'Friend',
-          newCurrentStreak
-        );
-      }
-
-    } catch (error) {
-      logger.error('Error updating user streak:', { userId: user.id, error });
-    }
-  }
-
-  /**
-   * Check if two week numbers are consecutive
-   */
-  isConsecutiveWeek(lastWeek, currentWeek) {
-    if (!lastWeek) return false;
-    
-    // Handle year boundaries properly
-    const lastYear = Math.floor(lastWeek / 100);
-    const lastWeekNum = lastWeek % 100;
-    const currentYear = Math.floor(currentWeek / 100);
-    const currentWeekNum = currentWeek % 100;
-    
-    // Same year - simple consecutive check
-    if (lastYear === currentYear) {
-      return currentWeekNum === lastWeekNum + 1;
-    }
-    
-    // Year boundary - check if last week was week 52/53 and current is week 1
-    if (currentYear === lastYear + 1) {
-      return (lastWeekNum >= 52 && currentWeekNum === 1);
-    }
-    
-    return false;
-  }
+      const where = { status: 'open' };
+      if (groupId) where.groupId = groupId;
 
-  /**
-   * Get current week status
-   */
-  async getCurrentWeekStatus() {
-    try {
       const currentWeek = await prisma.week.findFirst({
-        where: { status: 'open' },
+        where,
+        orderBy: { createdAt: 'desc' },
         include: {
+          group: true,
           submissions: {
             include: {
               user: {
@@ -357,9 +435,9 @@ class WeeklyAutomation {
   /**
    * Manually trigger week start (for admin/testing)
    */
-  async manualStartWeek() {
-    logger.info('Manual week start triggered');
-    return await this.startNewWeek();
+  async manualStartWeek(groupId = null) {
+    logger.info('Manual week start triggered', { groupId });
+    return await this.startNewWeek(groupId);
   }
 
   /**
@@ -373,8 +451,10 @@ class WeeklyAutomation {
       const week = await prisma.week.findUnique({
         where: { id: weekId },
         include: {
+          group: true,
           submissions: {
             include: {
+              items: { orderBy: { position: 'asc' } },
               user: {
                 select: {
                   id: true,
@@ -402,18 +482,20 @@ class WeeklyAutomation {
         await this.emailService.sendWeeklyCompilation(
           participants,
           week.submissions,
-          week.weekNumber
+          week,
+          week.group
         );
       }
 
       // Mark as compiled
       await prisma.week.update({
         where: { id: weekId },
-        data: { status: 'compiled' }
+        data: { status: 'compiled', compiledAt: new Date() }
       });
 
       return {
         success: true,
+        groupId: week.groupId,
         weekNumber: week.weekNumber,
         submissionCount: week.submissions.length
       };
@@ -424,86 +506,210 @@ class WeeklyAutomation {
   }
 
   /**
-   * Send reminder email to users who haven't submitted
+   * Hours before the deadline that reminders go out, as configured by an admin
+   * (largest first). Defaults to REMINDER_OFFSETS_HOURS, e.g. "48,3".
    */
-  async sendReminders() {
+  async getReminderOffsets() {
+    const defaultOffsets = (process.env.REMINDER_OFFSETS_HOURS || '48,3')
+      .split(',')
+      .map(offset => parseInt(offset))
+      .filter(offset => offset > 0);
+
+    const offsets = await this.settingsService.getJson(REMINDER_OFFSETS_SETTING, defaultOffsets);
+
+    if (!Array.isArray(offsets) || !offsets.every(offset => Number.isInteger(offset) && offset > 0)) {
+      logger.warn('Ignoring invalid reminder offsets setting:', offsets);
+      return defaultOffsets.sort((a, b) => b - a);
+    }
+
+    return [...offsets].sort((a, b) => b - a);
+  }
+
+  /**
+   * Set the hours before the deadline that reminders go out
+   */
+  async setReminderOffsets(offsets) {
+    const unique = [...new Set(offsets)].sort((a, b) => b - a);
+    await this.settingsService.set(REMINDER_OFFSETS_SETTING, unique);
+    return unique;
+  }
+
+  /**
+   * The reminder a week is due for now: the latest offset whose time has come.
+   * If several are due (the app was down, say) only the latest is sent, and
+   * offsets that fell before the week's prompt went out are skipped.
+   */
+  getDueReminderOffset(week, offsets, now = moment.tz(this.timezone)) {
+    const deadline = moment(week.deadline);
+    if (!now.isBefore(deadline)) return null;
+
+    const due = offsets.filter(offset => {
+      const sendAt = deadline.clone().subtract(offset, 'hours');
+      return !now.isBefore(sendAt) && sendAt.isAfter(week.createdAt);
+    });
+
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Send the reminders that are due for every open week (run by cron).
+   * Each person gets each reminder at most once.
+   */
+  async sendDueReminders() {
     try {
-      const currentWeek = await prisma.week.findFirst({
+      const offsets = await this.getReminderOffsets();
+      if (offsets.length === 0) {
+        return { success: true, remindersSent: 0 };
+      }
+
+      const openWeeks = await prisma.week.findMany({
         where: { status: 'open' },
         include: {
+          group: true,
           submissions: true
         }
       });
 
-      if (!currentWeek) {
+      const results = [];
+      for (const week of openWeeks) {
+        const offset = this.getDueReminderOffset(week, offsets);
+        if (offset === null) continue;
+
+        try {
+          results.push(await this.sendWeekReminders(week, offset));
+        } catch (error) {
+          // Already logged by sendWeekReminders - carry on with the other groups
+          results.push({ success: false, groupId: week.groupId, error: 'Failed to send reminders' });
+        }
+      }
+
+      return {
+        success: true,
+        remindersSent: results.reduce((total, result) => total + (result.remindersSent || 0), 0),
+        groups: results
+      };
+
+    } catch (error) {
+      logger.error('Error sending due reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send reminder emails for every open week (or a single group's open week) now
+   */
+  async sendReminders(groupId = null) {
+    try {
+      const where = { status: 'open' };
+      if (groupId) where.groupId = groupId;
+
+      const openWeeks = await prisma.week.findMany({
+        where,
+        include: {
+          group: true,
+          submissions: true
+        }
+      });
+
+      if (openWeeks.length === 0) {
         logger.info('No active week for reminders');
         return { success: false, error: 'No active week' };
       }
 
-      // Check if deadline is within 24 hours
-      const now = moment.tz(this.timezone);
-      const deadline = moment(currentWeek.deadline).tz(this.timezone);
-      const hoursUntilDeadline = deadline.diff(now, 'hours');
+      const results = [];
+      for (const week of openWeeks) {
+        results.push(await this.sendWeekReminders(week));
+      }
 
-      if (hoursUntilDeadline > 24) {
-        logger.info('Deadline too far away for reminders', { hoursUntilDeadline });
-        return { success: false, error: 'Too early for reminders' };
+      if (results.every(result => !result.success)) {
+        return results[0];
       }
 
-      // Get users who haven't submitted
-      const submittedUserIds = currentWeek.submissions.map(sub => sub.userId);
-      const usersWhoHaventSubmitted = await prisma.user.findMany({
-        where: {
-          isActive: true,
-          id: {
-            notIn: submittedUserIds
-          }
-        },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true
-        }
-      });
+      return {
+        success: true,
+        remindersSent: results.reduce((total, result) => total + (result.remindersSent || 0), 0),
+        groups: results
+      };
+
+    } catch (error) {
+      logger.error('Error sending reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send reminder email to group members who haven't submitted for a week.
+   * Scheduled reminders (offsetHours set) are keyed by week, user and offset so
+   * nobody gets the same one twice; manual ones always go out.
+   */
+  async sendWeekReminders(currentWeek, offsetHours = null) {
+    try {
+      const group = currentWeek.group;
+
+      const { timezone } = await this.scheduleService.getSchedule();
+      const now = moment.tz(timezone);
+      const deadline = moment(currentWeek.deadline).tz(timezone);
+      const hoursUntilDeadline = Math.max(1, Math.round(deadline.diff(now, 'hours', true)));
+
+      if (!now.isBefore(deadline)) {
+        return { success: false, groupId: group.id, error: 'Deadline has passed' };
+      }
+
+      // Get members who haven't submitted (and aren't paused or opted out of reminders)
+      const submittedUserIds = new Set(currentWeek.submissions.map(sub => sub.userId));
+      const members = await this.emailService.preferenceService.filterWanting(
+        await this.pauseService.filterUnpaused(await this.groupService.getActiveMembers(group.id)),
+        'reminders'
+      );
+      const usersWhoHaventSubmitted = members.filter(user => !submittedUserIds.has(user.id));
 
       if (usersWhoHaventSubmitted.length === 0) {
-        logger.info('All users have submitted, no reminders needed');
-        return { success: true, remindersSent: 0 };
+        logger.info('All users have submitted, no reminders needed', { groupId: group.id });
+        return { success: true, groupId: group.id, remindersSent: 0 };
       }
 
-      // Send reminder emails
+      // Queue reminder emails
+      const round = describeRound(currentWeek, timezone);
       const formattedDeadline = deadline.format('dddd [at] h:mm A');
       const reminderEmails = usersWhoHaventSubmitted.map(user => ({
-        to: user.email,
-        from: {
-          email: process.env.FROM_EMAIL,
-          name: process.env.FROM_NAME
-        },
-        replyTo: process.env.SUBMIT_EMAIL,
-        subject: `Reminder: Week ${currentWeek.weekNumber} deadline in ${hoursUntilDeadline} hours`,
-        html: this.generateReminderTemplate(
-          user.firstName || 'Friend',
-          currentWeek.weekNumber,
-          formattedDeadline,
-          hoursUntilDeadline
-        )
+        key: offsetHours !== null ? `reminder:${currentWeek.id}:${user.id}:${offsetHours}h` : null,
+        kind: 'reminder',
+        userId: user.id,
+        weekId: currentWeek.id,
+        message: this.emailService.addPreferenceLinks({
+          to: user.email,
+          from: {
+            email: process.env.FROM_EMAIL,
+            name: process.env.FROM_NAME
+          },
+          replyTo: this.emailService.getSubmitAddress(group),
+          subject: `${this.emailService.getSubjectPrefix(group)}Reminder: ${round.name} deadline in ${hoursUntilDeadline} hours`,
+          html: this.generateReminderTemplate(
+            user.firstName || 'Friend',
+            round,
+            formattedDeadline,
+            hoursUntilDeadline
+          )
+        }, 'reminders')
       }));
 
-      await this.emailService.sgMail.send(reminderEmails);
+      const { queued } = await this.emailService.queue.enqueueMany(reminderEmails);
 
-      logger.info('Reminder emails sent', {
+      logger.info('Reminder emails queued', {
+        groupId: group.id,
         weekNumber: currentWeek.weekNumber,
-        remindersSent: usersWhoHaventSubmitted.length
+        offsetHours,
+        remindersSent: queued
       });
 
       return {
         success: true,
-        remindersSent: usersWhoHaventSubmitted.length
+        groupId: group.id,
+        remindersSent: queued
       };
 
     } catch (error) {
-      logger.error('Error sending reminders:', error);
+      logger.error('Error sending week reminders:', { weekId: currentWeek.id, error });
       throw error;
     }
   }
@@ -511,24 +717,24 @@ class WeeklyAutomation {
   /**
    * Generate reminder email template
    */
-  generateReminderTemplate(name, weekNumber, deadline, hoursLeft) {
+  generateReminderTemplate(name, round, deadline, hoursLeft) {
     return `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Reminder: Week ${weekNumber} Deadline Soon</title>
+    <title>Reminder: ${round.name} Deadline Soon</title>
 </head>
 <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
     <div style="background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 20px; border-radius: 8px; margin-bottom: 25px; text-align: center;">
         <h2 style="margin: 0 0 10px 0;">⏰ Deadline Reminder</h2>
-        <p style="margin: 0; font-size: 18px;"><strong>${hoursLeft} hours left</strong> to submit for Week ${weekNumber}!</p>
+        <p style="margin: 0; font-size: 18px;"><strong>${hoursLeft} hours left</strong> to submit for ${round.name}!</p>
     </div>
     
     <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h3 style="margin-top: 0; color: #495057;">Hey ${name}!</h3>
-        <p>Just a friendly reminder that the deadline for Week ${weekNumber} recommendations is coming up:</p>
+        <p>Just a friendly reminder that the deadline for ${round.name} recommendations is coming up:</p>
         
         <div style="text-align: center; font-size: 18px; color: #856404; margin: 20px 0;">
             <strong>Deadline: ${deadline}</strong>
@@ -551,40 +757,113 @@ class WeeklyAutomation {
   }
 
   /**
-   * Clean up old weeks and data
+   * Send the late additions email for every compiled round whose grace window
+   * has closed (run by cron). Rounds with no late additions are just marked done.
+   */
+  async sendDueLateAdditions() {
+    try {
+      const settings = await this.lateSubmissionService.getSettings();
+      const graceEndedBefore = moment().subtract(settings.graceHours, 'hours').toDate();
+
+      const weeks = await prisma.week.findMany({
+        where: {
+          status: 'compiled',
+          lateAdditionsSentAt: null,
+          deadline: { lte: graceEndedBefore }
+        },
+        include: { group: true }
+      });
+
+      let emailsSent = 0;
+      for (const week of weeks) {
+        try {
+          emailsSent += await this.sendWeekLateAdditions(week);
+        } catch (error) {
+          // Already logged by sendWeekLateAdditions - try again on the next run
+        }
+      }
+
+      return { success: true, rounds: weeks.length, emailsSent };
+
+    } catch (error) {
+      logger.error('Error sending due late additions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send one round's late additions to everyone who took part, then mark the round done
+   */
+  async sendWeekLateAdditions(week) {
+    try {
+      const lateSubmissions = await this.lateSubmissionService.getLateAdditions(week);
+      let emailsSent = 0;
+
+      if (lateSubmissions.length > 0) {
+        const submissions = await prisma.submission.findMany({
+          where: { weekId: week.id },
+          include: { user: true }
+        });
+
+        const emailResult = await this.emailService.sendLateAdditions(
+          submissions.map(sub => sub.user),
+          lateSubmissions,
+          week,
+          week.group
+        );
+        emailsSent = emailResult.count;
+      }
+
+      await prisma.week.update({
+        where: { id: week.id },
+        data: { lateAdditionsSentAt: new Date() }
+      });
+
+      if (lateSubmissions.length > 0) {
+        logger.info('Late additions sent:', {
+          weekId: week.id,
+          groupId: week.groupId,
+          lateSubmissions: lateSubmissions.length,
+          emailsSent
+        });
+      }
+
+      return emailsSent;
+
+    } catch (error) {
+      logger.error('Error sending late additions:', { weekId: week.id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up old weeks and their submissions. Invites are kept: expired ones
+   * are marked (and their slots given back) by cleanupExpiredInvites, and can
+   * still be resent or shown in the invite tree.
    */
   async cleanupOldData(weeksToKeep = 12) {
     try {
       const cutoffDate = moment.tz(this.timezone).subtract(weeksToKeep, 'weeks').toDate();
       
-      // Delete old weeks and their submissions
-      const deletedWeeks = await prisma.week.deleteMany({
+      // Delete old weeks and their submissions, keeping the streaks that run through them
+      const oldWeeks = await prisma.week.findMany({
         where: {
           createdAt: {
             lt: cutoffDate
           }
-        }
+        },
+        select: { id: true, groupId: true }
       });
 
-      // Clean up expired invites
-      const deletedInvites = await prisma.invite.deleteMany({
-        where: {
-          expiresAt: {
-            lt: new Date()
-          },
-          status: 'pending'
-        }
-      });
+      const deletedWeeks = await this.streakEngine.deleteRounds(oldWeeks);
 
       logger.info('Cleanup completed', {
-        deletedWeeks: deletedWeeks.count,
-        deletedInvites: deletedInvites.count
+        deletedWeeks: deletedWeeks.count
       });
 
       return {
         success: true,
-        deletedWeeks: deletedWeeks.count,
-        deletedInvites: deletedInvites.count
+        deletedWeeks: deletedWeeks.count
       };
 
     } catch (error) {
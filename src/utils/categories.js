@@ -0,0 +1,58 @@
+// Recommendation categories, in the order they appear in the roundup
+const CATEGORIES = ['book', 'film', 'tv', 'music', 'podcast', 'food', 'place', 'other'];
+
+const CATEGORY_LABELS = {
+  book: 'Books',
+  film: 'Films',
+  tv: 'TV',
+  music: 'Music',
+  podcast: 'Podcasts',
+  food: 'Food',
+  place: 'Places',
+  other: 'Other'
+};
+
+// Words people actually write, mapped to a category
+const CATEGORY_SYNONYMS = {
+  book: ['book', 'books', 'novel', 'audiobook', 'read', 'reading'],
+  film: ['film', 'films', 'movie', 'movies', 'cinema', 'documentary'],
+  tv: ['tv', 'television', 'show', 'tv show', 'series', 'tv series'],
+  music: ['music', 'album', 'song', 'band', 'artist', 'playlist'],
+  podcast: ['podcast', 'podcasts', 'pod'],
+  food: ['food', 'restaurant', 'recipe', 'drink', 'cafe', 'bar'],
+  place: ['place', 'places', 'travel', 'trip', 'destination', 'city'],
+  other: ['other', 'misc', 'app', 'game', 'product']
+};
+
+/**
+ * Normalise a free-text category to one of CATEGORIES.
+ * Returns null when no category was given, and 'other' when it isn't recognised.
+ */
+function normalizeCategory(value) {
+  if (!value) return null;
+
+  const cleaned = value.toLowerCase().replace(/[^a-z ]/g, '').trim();
+  if (!cleaned) return null;
+
+  for (const [category, synonyms] of Object.entries(CATEGORY_SYNONYMS)) {
+    if (synonyms.includes(cleaned)) {
+      return category;
+    }
+  }
+
+  return 'other';
+}
+
+/**
+ * Display label for a category (uncategorised items are shown under Other)
+ */
+function categoryLabel(category) {
+  return CATEGORY_LABELS[category] || CATEGORY_LABELS.other;
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_LABELS,
+  normalizeCategory,
+  categoryLabel
+};
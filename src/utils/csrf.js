@@ -0,0 +1,65 @@
+// CSRF protection for the few HTML forms the app serves, using a double-submit
+// cookie: the form carries the same random token as a cookie, and another site
+// can neither read the cookie nor set it, so it can't post a matching pair.
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'csrf_token';
+const FIELD_NAME = '_csrf';
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Set a CSRF cookie (reusing the one the browser already has) and return the
+ * token to put in the form's hidden field
+ */
+function issueCsrfToken(req, res) {
+  const existing = readCookie(req, COOKIE_NAME);
+  const token = existing && /^[a-f0-9]{64}$/.test(existing)
+    ? existing
+    : crypto.randomBytes(32).toString('hex');
+
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production'
+  });
+
+  return token;
+}
+
+/**
+ * Hidden form field holding a CSRF token
+ */
+function csrfField(token) {
+  return `<input type="hidden" name="${FIELD_NAME}" value="${token}">`;
+}
+
+/**
+ * Check that a posted form's token matches the cookie
+ */
+function isValidCsrf(req) {
+  const cookieToken = readCookie(req, COOKIE_NAME);
+  const formToken = (req.body || {})[FIELD_NAME];
+  if (!cookieToken || typeof formToken !== 'string') return false;
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(formToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  issueCsrfToken,
+  csrfField,
+  isValidCsrf
+};
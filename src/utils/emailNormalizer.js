@@ -0,0 +1,234 @@
+// Turns inbound email bodies into clean plain text before they are parsed:
+// decodes quoted-printable and HTML entities, converts HTML to text, and
+// strips quoted reply chains and signatures.
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+// Elements mail clients wrap quoted replies and signatures in
+const QUOTE_CONTAINERS = [
+  { tag: 'div', marker: /class=["'][^"']*\bgmail_quote\b/i },
+  { tag: 'div', marker: /class=["'][^"']*\byahoo_quoted\b/i },
+  { tag: 'div', marker: /class=["'][^"']*\bgmail_signature\b/i },
+  { tag: 'div', marker: /class=["'][^"']*\bmoz-signature\b/i },
+  { tag: 'blockquote', marker: null }
+];
+
+// Plain-text lines where a quoted reply starts
+const REPLY_MARKERS = [
+  /^On\b[^\n]*(?:\n[^\n]*)?\bwrote:[ \t]*$/m, // Gmail, Apple Mail
+  /^-{2,}[ \t]*Original Message[ \t]*-{2,}/im, // Outlook
+  /^_{10,}[ \t]*\n+From:/im, // Outlook on the web
+  /^From:[^\n]*\n(?:[^\n]*\n){0,3}?(?:Sent|Date):/im // Outlook header block
+];
+
+// Plain-text lines where a signature starts
+const SIGNATURE_MARKERS = [
+  /^--[ \t]*$/m,
+  /^Sent from my [^\n]*$/im,
+  /^Sent from (?:Mail|Outlook|Yahoo Mail) for [^\n]*$/im,
+  /^Get Outlook for [^\n]*$/im
+];
+
+/**
+ * Decode HTML entities (named, decimal and hex)
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Check whether a body still needs quoted-printable decoding
+ */
+function isQuotedPrintable(body, headers = '') {
+  if (/Content-Transfer-Encoding:\s*quoted-printable/i.test(headers || '')) {
+    return true;
+  }
+
+  // Soft line breaks plus encoded bytes are a strong sign it was never decoded
+  return /=\r?\n/.test(body) && /=[0-9A-F]{2}/.test(body);
+}
+
+/**
+ * Decode quoted-printable text (assumes UTF-8 once decoded)
+ */
+function decodeQuotedPrintable(body) {
+  return body
+    .replace(/=\r?\n/g, '')
+    .replace(/(?:=[0-9A-F]{2})+/gi, encoded => {
+      const bytes = encoded.slice(1).split('=').map(hex => parseInt(hex, 16));
+      return Buffer.from(bytes).toString('utf8');
+    });
+}
+
+/**
+ * Remove every element (with its contents) whose opening tag matches, keeping
+ * nested elements of the same tag balanced. An unclosed element runs to the end.
+ */
+function removeElements(html, tag, marker) {
+  const openPattern = new RegExp(`<${tag}\\b[^>]*>`, 'gi');
+  let result = html;
+  let searchFrom = 0;
+
+  for (;;) {
+    openPattern.lastIndex = searchFrom;
+    let open;
+    do {
+      open = openPattern.exec(result);
+    } while (open && marker && !marker.test(open[0]));
+    if (!open) break;
+
+    const tagPattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    tagPattern.lastIndex = open.index + open[0].length;
+    let depth = 1;
+    let end = result.length;
+    let match;
+
+    while ((match = tagPattern.exec(result))) {
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        end = match.index + match[0].length;
+        break;
+      }
+    }
+
+    result = result.slice(0, open.index) + result.slice(end);
+    searchFrom = open.index;
+  }
+
+  return result;
+}
+
+/**
+ * Convert an HTML body to plain text, keeping paragraphs, list items and links
+ */
+function htmlToText(html) {
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  // Outlook puts the original message after a divider, not inside a container
+  const outlookReply = body.search(/(?:<hr\b[^>]*>\s*)?<div\b[^>]*id=["']?divRplyFwdMsg/i);
+  if (outlookReply !== -1) {
+    body = body.slice(0, outlookReply);
+  }
+
+  for (const { tag, marker } of QUOTE_CONTAINERS) {
+    body = removeElements(body, tag, marker);
+  }
+
+  body = body
+    // Line breaks in HTML source are just spaces
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, content) => {
+      const text = content.replace(/<[^>]+>/g, '').trim();
+      if (/^mailto:/i.test(href)) return text || href.replace(/^mailto:/i, '');
+      if (!text || text === href || text === href.replace(/^https?:\/\//i, '')) return href;
+      return `${text} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|h[1-6]|ul|ol|table|pre)>/gi, '\n\n')
+    .replace(/<\/(div|tr)>/gi, '\n')
+    // A bold label at the start of a line ("<b>Recommendation</b> The Bear")
+    // has nothing to mark it once the bold is gone, so give it a colon
+    .replace(/(^|\n)((?:[ \t]*<[^>]+>)*[ \t]*)<(b|strong)\b[^>]*>([^<]*?[^<:\s])[ \t]*<\/\3>[ \t]*(?=(?:<[^>]+>[ \t]*)*[^\s<:])/gi, '$1$2$4: ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(body);
+}
+
+/**
+ * Cut the text at the first of the given markers
+ */
+function cutAtFirst(text, markers) {
+  const positions = markers
+    .map(marker => text.search(marker))
+    .filter(position => position !== -1);
+
+  return positions.length > 0 ? text.slice(0, Math.min(...positions)) : text;
+}
+
+/**
+ * Remove quoted reply chains ("On ... wrote:", Outlook headers, "> " lines)
+ */
+function stripQuotedReply(text) {
+  return cutAtFirst(text, REPLY_MARKERS)
+    .split('\n')
+    .filter(line => !/^\s*>/.test(line))
+    .join('\n');
+}
+
+/**
+ * Remove signatures ("-- " and "Sent from my iPhone" style footers)
+ */
+function stripSignature(text) {
+  return cutAtFirst(text, SIGNATURE_MARKERS);
+}
+
+/**
+ * Tidy whitespace: trim lines and keep at most one blank line in a row
+ */
+function collapseWhitespace(text) {
+  return text
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Get the clean text of an inbound email ({ text, html, headers }).
+ * The plain-text part is preferred; the HTML part is converted when there isn't one.
+ */
+function normalizeInboundEmail({ text, html, headers } = {}) {
+  const useText = !!(text && text.trim());
+  let body = (useText ? text : html || '').replace(/\r\n?/g, '\n');
+
+  if (isQuotedPrintable(body, headers)) {
+    body = decodeQuotedPrintable(body);
+  }
+
+  body = useText ? decodeEntities(body) : htmlToText(body);
+
+  return collapseWhitespace(stripSignature(stripQuotedReply(collapseWhitespace(body))));
+}
+
+module.exports = {
+  normalizeInboundEmail,
+  htmlToText,
+  stripQuotedReply,
+  stripSignature,
+  decodeQuotedPrintable,
+  decodeEntities
+};
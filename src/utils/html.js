@@ -0,0 +1,16 @@
+// Helpers for the HTML pages the routes render inline.
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,112 @@
+// Renders the invite tree from InviteTreeService as an HTML page or as a
+// Graphviz DOT graph (render it with e.g. `dot -Tsvg tree.dot > tree.svg`).
+
+const { escapeHtml } = require('./html');
+
+function escapeDot(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function describeMetrics(metrics) {
+  if (!metrics) return null;
+
+  const rate = metrics.acceptanceRate === null ? '-' : `${metrics.acceptanceRate}%`;
+  const streak = metrics.averageInviteeStreak === null ? '-' : metrics.averageInviteeStreak;
+  return `${metrics.accepted}/${metrics.sent} accepted (${rate}), ${metrics.activeInvitees} still active, avg streak ${streak}`;
+}
+
+function renderNodeHtml(node) {
+  const metrics = describeMetrics(node.metrics);
+  const children = node.invitees.length > 0
+    ? `<ul style="list-style: none; padding-left: 25px; border-left: 2px solid #dee2e6; margin: 5px 0 5px 8px;">${node.invitees.map(renderNodeHtml).join('')}</ul>`
+    : '';
+
+  return `
+    <li style="margin: 6px 0;">
+      <span style="${node.isActive ? '' : 'color: #999; text-decoration: line-through;'}">
+        <strong>${escapeHtml(node.name || node.email)}</strong>${node.name ? ` <span style="color: #666;">${escapeHtml(node.email)}</span>` : ''}
+      </span>
+      ${metrics ? `<span style="display: block; color: #0066cc; font-size: 13px;">${metrics}</span>` : ''}
+      ${children}
+    </li>`;
+}
+
+function renderMembersRow(label, members) {
+  return `
+        <tr>
+          <td style="padding: 6px 12px 6px 0;">${label}</td>
+          <td style="padding: 6px 12px;">${members.count}</td>
+          <td style="padding: 6px 12px;">${members.active}</td>
+          <td style="padding: 6px 12px;">${members.averageStreak === null ? '-' : members.averageStreak}</td>
+        </tr>`;
+}
+
+/**
+ * Render the invite tree as an HTML page
+ */
+function renderInviteTreeHtml({ summary, tree, groupName = null }) {
+  const { invites } = summary;
+
+  return `
+    <html>
+      <head>
+        <title>Invite Tree${groupName ? ` - ${escapeHtml(groupName)}` : ''}</title>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: Arial, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; background: #f8f9fa;">
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h1 style="color: #495057; margin-top: 0;">Invite Tree${groupName ? ` - ${escapeHtml(groupName)}` : ''}</h1>
+          <p>${invites.sent} invites sent, ${invites.accepted} accepted (${invites.acceptanceRate === null ? '-' : `${invites.acceptanceRate}%`}), ${invites.pending} pending, ${invites.expired} expired, ${invites.revoked} revoked${invites.awaitingApproval || invites.rejected ? `, ${invites.awaitingApproval} awaiting approval, ${invites.rejected} rejected` : ''}.</p>
+          <table style="border-collapse: collapse; text-align: left;">
+            <tr style="color: #666;">
+              <th style="padding: 6px 12px 6px 0;">Members</th>
+              <th style="padding: 6px 12px;">Count</th>
+              <th style="padding: 6px 12px;">Active</th>
+              <th style="padding: 6px 12px;">Avg streak</th>
+            </tr>
+            ${renderMembersRow('Joined by invite', summary.invitedMembers)}
+            ${renderMembersRow('Everyone else', summary.otherMembers)}
+          </table>
+        </div>
+
+        <div style="background: white; padding: 25px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <ul style="list-style: none; padding-left: 0; margin: 0;">${tree.map(renderNodeHtml).join('')}</ul>
+          <p style="color: #999; font-size: 13px; margin-bottom: 0;">Struck-through members are no longer active.</p>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Render the invite tree as a Graphviz DOT graph
+ */
+function renderInviteTreeDot({ tree }) {
+  const lines = [
+    'digraph invites {',
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded, fontname="Arial"];'
+  ];
+
+  const addNode = node => {
+    const label = [node.name, node.email, describeMetrics(node.metrics)].filter(Boolean).map(escapeDot).join('\\n');
+    const style = node.isActive ? '' : ', style="rounded,dashed", fontcolor=gray50';
+    lines.push(`  u${node.userId} [label="${label}"${style}];`);
+
+    for (const invitee of node.invitees) {
+      lines.push(`  u${node.userId} -> u${invitee.userId};`);
+      addNode(invitee);
+    }
+  };
+
+  tree.forEach(addNode);
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  renderInviteTreeHtml,
+  renderInviteTreeDot
+};
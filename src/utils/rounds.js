@@ -0,0 +1,121 @@
+// A round is one prompt-to-roundup cycle, stored as a Week. Groups can run
+// rounds weekly, fortnightly, monthly or every few weeks ("custom").
+// weekNumber stays the round's number: the ISO YYYYWW of the week it started in.
+
+const moment = require('moment-timezone');
+
+const CADENCES = ['weekly', 'biweekly', 'monthly', 'custom'];
+
+// What to call the period a round covers, in emails ("this week's roundup")
+const PERIOD_NAMES = {
+  weekly: 'week',
+  biweekly: 'fortnight',
+  monthly: 'month',
+  custom: 'round'
+};
+
+/**
+ * Length of a round in weeks (null for monthly, which follows the calendar)
+ */
+function cadenceWeeks(cadence, customWeeks = null) {
+  switch (cadence) {
+    case 'weekly': return 1;
+    case 'biweekly': return 2;
+    case 'custom': return customWeeks;
+    default: return null;
+  }
+}
+
+/**
+ * The cadence a group runs on: its own, or the schedule's default
+ */
+function groupCadence(group, schedule) {
+  if (group && group.cadence) {
+    return { cadence: group.cadence, weeks: group.cadenceWeeks || null };
+  }
+  return { cadence: schedule.cadence, weeks: schedule.cadenceWeeks || null };
+}
+
+/**
+ * How often prompts go out, for people joining: "Every Thursday",
+ * "Every other Thursday", "Every 3 weeks on Thursday" or
+ * "The first Thursday of each month"
+ */
+function describeCadence({ cadence, weeks }, startDay) {
+  const day = moment.weekdays(startDay);
+
+  switch (cadence) {
+    case 'biweekly':
+      return `Every other ${day}`;
+    case 'monthly':
+      return `The first ${day} of each month`;
+    case 'custom':
+      return weeks > 1 ? `Every ${weeks} weeks on ${day}` : `Every ${day}`;
+    default:
+      return `Every ${day}`;
+  }
+}
+
+/**
+ * Check a cadence and its week count, returning a list of problems
+ */
+function validateCadence(cadence, weeks) {
+  if (!CADENCES.includes(cadence)) {
+    return [`cadence must be one of ${CADENCES.join(', ')}`];
+  }
+  if (cadence === 'custom' && !(Number.isInteger(weeks) && weeks >= 1 && weeks <= 12)) {
+    return ['a custom cadence needs cadenceWeeks between 1 and 12'];
+  }
+  return [];
+}
+
+/**
+ * The ISO year and week a date falls in, as YYYYWW. ISO weeks run Monday to
+ * Sunday and the days around New Year belong to a single week, so Monday
+ * 29 December 2025 is in 202601 and Friday 1 January 2027 is in 202653.
+ */
+function weekNumberFor(date, timezone = process.env.TIMEZONE || 'America/New_York') {
+  const day = moment(date).tz(timezone);
+  return day.isoWeekYear() * 100 + day.isoWeek();
+}
+
+function weekOfYear(date, timezone) {
+  return moment(date).tz(timezone).isoWeek();
+}
+
+/**
+ * How a round is named in emails, and what its period is called:
+ * "Week 34" (week), "Weeks 34-35" (fortnight), "March edition" (month),
+ * "Round of March 3rd" (round)
+ */
+function describeRound(week, timezone = process.env.TIMEZONE || 'America/New_York') {
+  const cadence = week.cadence || 'weekly';
+  const start = moment(week.startDate).tz(timezone);
+  let name;
+
+  switch (cadence) {
+    case 'biweekly':
+      name = `Weeks ${weekOfYear(start, timezone)}-${weekOfYear(start.clone().add(1, 'week'), timezone)}`;
+      break;
+    case 'monthly':
+      name = `${start.format('MMMM')} edition`;
+      break;
+    case 'custom':
+      name = `Round of ${start.format('MMMM Do')}`;
+      break;
+    default:
+      name = `Week ${weekOfYear(week.startDate, timezone)}`;
+  }
+
+  return { name, period: PERIOD_NAMES[cadence] || 'round' };
+}
+
+module.exports = {
+  CADENCES,
+  cadenceWeeks,
+  groupCadence,
+  describeCadence,
+  validateCadence,
+  weekNumberFor,
+  describeRound
+};
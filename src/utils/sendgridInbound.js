@@ -0,0 +1,151 @@
+// Parses SendGrid Inbound Parse multipart/form-data posts into the
+// { from, to, subject, text, html, headers, envelope, attachments } shape
+// the email processor works with. Handles both the default (parsed) mode
+// and "POST the raw, full MIME message" mode.
+
+const Busboy = require('busboy');
+const iconv = require('iconv-lite');
+const { simpleParser } = require('mailparser');
+
+// SendGrid posts at most 30MB
+const MAX_PAYLOAD_BYTES = 30 * 1024 * 1024;
+
+// Text fields whose charset SendGrid reports in the charsets field
+const TEXT_FIELDS = ['from', 'to', 'cc', 'subject', 'text', 'html', 'headers'];
+
+/**
+ * Read every field and attachment from a multipart body.
+ * Fields are read as latin1 so their original bytes can be decoded with the right charset later.
+ */
+function readMultipart(body, headers) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const attachments = [];
+
+    const busboy = Busboy({
+      headers,
+      defCharset: 'latin1',
+      limits: { fieldSize: MAX_PAYLOAD_BYTES, fileSize: MAX_PAYLOAD_BYTES }
+    });
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    // Attachment contents aren't used, only noted
+    busboy.on('file', (name, stream, info) => {
+      let size = 0;
+      stream.on('data', chunk => {
+        size += chunk.length;
+      });
+      stream.on('end', () => {
+        attachments.push({ field: name, filename: info.filename, contentType: info.mimeType, size });
+      });
+    });
+
+    busboy.on('close', () => resolve({ fields, attachments }));
+    busboy.on('error', reject);
+
+    busboy.end(body);
+  });
+}
+
+/**
+ * Parse a JSON field, returning the fallback if it's missing or invalid
+ */
+function parseJsonField(value, fallback) {
+  if (!value) return fallback;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Decode a latin1-read field using the charset SendGrid says it was sent in
+ */
+function decodeField(value, charset) {
+  if (value === undefined) return undefined;
+
+  const encoding = charset && iconv.encodingExists(charset) ? charset : 'utf8';
+  return iconv.decode(Buffer.from(value, 'latin1'), encoding);
+}
+
+/**
+ * Text of a mailparser address field (which may be a list)
+ */
+function addressText(address) {
+  if (!address) return '';
+  return Array.isArray(address) ? address.map(item => item.text).join(', ') : address.text;
+}
+
+/**
+ * Add the SMTP envelope recipients to the To header, so emails that reach us
+ * by Bcc or forwarding still find their group
+ */
+function withEnvelopeRecipients(to, envelope) {
+  const recipients = Array.isArray(envelope.to) ? envelope.to : [];
+  const missing = recipients.filter(address => !(to || '').toLowerCase().includes(address.toLowerCase()));
+  return [to, ...missing].filter(Boolean).join(', ');
+}
+
+/**
+ * Build the email from SendGrid's already-parsed fields
+ */
+function fromParsedFields(fields) {
+  const charsets = parseJsonField(fields.charsets, {});
+
+  const email = {};
+  for (const field of TEXT_FIELDS) {
+    email[field] = decodeField(fields[field], charsets[field]);
+  }
+
+  return email;
+}
+
+/**
+ * Build the email from the raw MIME message ("POST the raw, full MIME message")
+ */
+async function fromRawMessage(rawMessage) {
+  const parsed = await simpleParser(Buffer.from(rawMessage, 'latin1'));
+
+  return {
+    from: addressText(parsed.from),
+    to: addressText(parsed.to),
+    cc: addressText(parsed.cc),
+    subject: parsed.subject || '',
+    text: parsed.text || '',
+    html: parsed.html || '',
+    // mailparser has already decoded the body, so no transfer-encoding headers are passed on
+    headers: '',
+    attachments: parsed.attachments.map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.size
+    }))
+  };
+}
+
+/**
+ * Parse a SendGrid Inbound Parse multipart/form-data post
+ */
+async function parseMultipartPayload(body, headers) {
+  const { fields, attachments } = await readMultipart(body, headers);
+  const envelope = parseJsonField(fields.envelope, {});
+
+  const email = fields.email
+    ? await fromRawMessage(fields.email)
+    : { ...fromParsedFields(fields), attachments };
+
+  return {
+    ...email,
+    to: withEnvelopeRecipients(email.to, envelope),
+    envelope
+  };
+}
+
+module.exports = {
+  parseMultipartPayload
+};
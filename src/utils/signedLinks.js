@@ -0,0 +1,83 @@
+// Signed tokens for links in emails (e.g. email preferences), so a link only
+// works for the address it was sent to and nobody can guess someone else's.
+
+const crypto = require('crypto');
+
+function getSecret() {
+  const secret = process.env.LINK_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('LINK_SIGNING_SECRET is not set');
+  }
+  return secret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Create a token for an email address and purpose (e.g. "preferences")
+ */
+function createToken(email, purpose) {
+  const payload = Buffer.from(JSON.stringify({ e: email.toLowerCase(), p: purpose })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a token and return the email address it was made for, or null
+ */
+function verifyToken(token, purpose) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { e: email, p } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return p === purpose && email ? email : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Link to an address's email preferences page
+ */
+function preferencesUrl(email) {
+  return `${process.env.BASE_URL}/preferences/${createToken(email, 'preferences')}`;
+}
+
+/**
+ * One-click unsubscribe link for one type of email (or all of them)
+ */
+function unsubscribeUrl(email, type = null) {
+  const url = `${preferencesUrl(email)}/unsubscribe`;
+  return type ? `${url}?type=${type}` : url;
+}
+
+/**
+ * Link for an inviter to resend or revoke one of their invitations
+ */
+function inviteManageUrl(email, inviteId) {
+  return `${process.env.BASE_URL}/api/invite/${inviteId}/manage/${createToken(email, `invite:${inviteId}`)}`;
+}
+
+/**
+ * Link confirming that someone who asked to join owns their email address
+ */
+function joinConfirmUrl(email, joinRequestId) {
+  return `${process.env.BASE_URL}/api/join/${joinRequestId}/confirm/${createToken(email, `join:${joinRequestId}`)}`;
+}
+
+module.exports = {
+  createToken,
+  verifyToken,
+  preferencesUrl,
+  unsubscribeUrl,
+  inviteManageUrl,
+  joinConfirmUrl
+};
@@ -0,0 +1,90 @@
+// Express middleware checking the signatures SendGrid puts on its webhook
+// posts. Each check only runs when its secret or key is configured.
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Verify an inbound email webhook's signature, when a secret is configured
+ * (Inbound Parse doesn't sign its posts unless set up to)
+ */
+function verifyWebhookSignature(req, res, next) {
+  if (process.env.SENDGRID_WEBHOOK_SECRET) {
+    const signature = req.get('X-Sendgrid-Signature');
+    const timestamp = req.get('X-Sendgrid-Timestamp');
+    const body = req.rawBody || req.body;
+
+    if (!signature || !timestamp) {
+      logger.warn('Missing SendGrid signature headers');
+      return res.status(401).json({ error: 'Missing signature headers' });
+    }
+
+    try {
+      const expectedSignature = crypto
+        .createHmac('sha256', process.env.SENDGRID_WEBHOOK_SECRET)
+        .update(timestamp + body.toString())
+        .digest('base64');
+
+      // SendGrid sends signature with version prefix like "v1="
+      const actualSignature = signature.split(',')[0].replace('v1=', '');
+
+      if (expectedSignature !== actualSignature) {
+        logger.warn('Invalid SendGrid webhook signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+    } catch (error) {
+      logger.error('Error verifying webhook signature:', error);
+      return res.status(401).json({ error: 'Signature verification failed' });
+    }
+  }
+
+  next();
+}
+
+/**
+ * Verify SendGrid Event Webhook signature (ECDSA, signed with SendGrid's key),
+ * when the verification key is configured
+ */
+function verifyEventWebhookSignature(req, res, next) {
+  if (process.env.SENDGRID_EVENT_WEBHOOK_PUBLIC_KEY) {
+    const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+    const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+    const body = req.rawBody || req.body;
+
+    if (!signature || !timestamp) {
+      logger.warn('Missing SendGrid event webhook signature headers');
+      return res.status(401).json({ error: 'Missing signature headers' });
+    }
+
+    try {
+      // SendGrid shows the verification key as base64-encoded DER
+      const publicKey = crypto.createPublicKey({
+        key: Buffer.from(process.env.SENDGRID_EVENT_WEBHOOK_PUBLIC_KEY, 'base64'),
+        format: 'der',
+        type: 'spki'
+      });
+
+      const valid = crypto.verify(
+        'sha256',
+        Buffer.from(timestamp + body.toString()),
+        publicKey,
+        Buffer.from(signature, 'base64')
+      );
+
+      if (!valid) {
+        logger.warn('Invalid SendGrid event webhook signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+    } catch (error) {
+      logger.error('Error verifying event webhook signature:', error);
+      return res.status(401).json({ error: 'Signature verification failed' });
+    }
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  verifyEventWebhookSignature
+};
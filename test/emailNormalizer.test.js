@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeInboundEmail, htmlToText, decodeQuotedPrintable } = require('../src/utils/emailNormalizer');
+
+test('keeps a bold label without a colon as a label', () => {
+  const text = htmlToText('<div><b>Recommendation</b> The Bear</div><div><strong>Why</strong>  It is great</div>');
+
+  assert.strictEqual(text, 'Recommendation: The Bear\nWhy: It is great\n');
+});
+
+test('leaves bold labels that have a colon, and bold words mid-sentence, alone', () => {
+  assert.strictEqual(htmlToText('<p><b>Recommendation:</b> The Bear</p>'), 'Recommendation: The Bear\n\n');
+  assert.strictEqual(htmlToText('<p><b>Recommendation</b>: The Bear</p>'), 'Recommendation: The Bear\n\n');
+  assert.strictEqual(htmlToText('<p>This was <b>really</b> good</p>'), 'This was really good\n\n');
+});
+
+test('keeps links and list items from HTML', () => {
+  const text = htmlToText('<ul><li><a href="https://example.com/bear">The Bear</a></li></ul>');
+
+  assert.strictEqual(text.trim(), '- The Bear (https://example.com/bear)');
+});
+
+test('decodes quoted-printable text', () => {
+  assert.strictEqual(decodeQuotedPrintable('Caf=C3=A9 au =\nlait'), 'Café au lait');
+});
+
+test('strips quoted replies and signatures from plain text', () => {
+  const text = [
+    'Recommendation: The Bear',
+    'Reason why: Tense',
+    '',
+    '--',
+    'Alex',
+    '',
+    'On Thu, Jun 4, 2026 at 9:00 AM Weekly Recs <submit@example.com> wrote:',
+    '> It\'s time for this week\'s recommendations!'
+  ].join('\n');
+
+  assert.strictEqual(normalizeInboundEmail({ text }), 'Recommendation: The Bear\nReason why: Tense');
+});
+
+test('strips Gmail quotes from HTML when there is no plain-text part', () => {
+  const html = '<div>Recommendation: The Bear</div><div class="gmail_quote"><div>On Thu wrote:</div><blockquote>Old prompt</blockquote></div>';
+
+  assert.strictEqual(normalizeInboundEmail({ text: '', html }), 'Recommendation: The Bear');
+});
@@ -0,0 +1,14 @@
+// Lets services be required in tests without a generated Prisma client or a
+// database: require this before the module under test. Tests only call the
+// parts of a service that don't touch Prisma.
+
+const clientPath = require.resolve('@prisma/client');
+
+require.cache[clientPath] = {
+  id: clientPath,
+  filename: clientPath,
+  loaded: true,
+  exports: {
+    PrismaClient: class PrismaClient {}
+  }
+};
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { weekNumberFor, describeRound } = require('../src/utils/rounds');
+
+test('numbers rounds by ISO week across year boundaries', () => {
+  // Monday 29 December 2025 starts the first ISO week of 2026
+  assert.strictEqual(weekNumberFor(new Date('2025-12-29T12:00:00Z'), 'UTC'), 202601);
+  assert.strictEqual(weekNumberFor(new Date('2025-12-28T12:00:00Z'), 'UTC'), 202552);
+  // Friday 1 January 2027 is still in the last week of 2026
+  assert.strictEqual(weekNumberFor(new Date('2027-01-01T12:00:00Z'), 'UTC'), 202653);
+  assert.strictEqual(weekNumberFor(new Date('2027-01-04T12:00:00Z'), 'UTC'), 202701);
+});
+
+test('numbers week 53 in years that have one', () => {
+  assert.strictEqual(weekNumberFor(new Date('2020-12-31T12:00:00Z'), 'UTC'), 202053);
+  assert.strictEqual(weekNumberFor(new Date('2021-01-03T12:00:00Z'), 'UTC'), 202053);
+  assert.strictEqual(weekNumberFor(new Date('2021-01-04T12:00:00Z'), 'UTC'), 202101);
+});
+
+test('numbers the week in the given timezone', () => {
+  // Late Sunday evening in New York is already Monday in UTC
+  const date = new Date('2026-01-05T03:00:00Z');
+
+  assert.strictEqual(weekNumberFor(date, 'America/New_York'), 202601);
+  assert.strictEqual(weekNumberFor(date, 'UTC'), 202602);
+});
+
+test('names weekly rounds by their ISO week', () => {
+  const round = describeRound({ cadence: 'weekly', startDate: new Date('2020-12-31T12:00:00Z') }, 'UTC');
+
+  assert.deepStrictEqual(round, { name: 'Week 53', period: 'week' });
+});
+
+test('treats rounds without a cadence as weekly', () => {
+  const round = describeRound({ startDate: new Date('2026-03-05T12:00:00Z') }, 'UTC');
+
+  assert.deepStrictEqual(round, { name: 'Week 10', period: 'week' });
+});
+
+test('names biweekly rounds by both of their weeks', () => {
+  assert.deepStrictEqual(
+    describeRound({ cadence: 'biweekly', startDate: new Date('2026-03-05T12:00:00Z') }, 'UTC'),
+    { name: 'Weeks 10-11', period: 'fortnight' }
+  );
+
+  // A fortnight starting in week 53 runs into week 1
+  assert.deepStrictEqual(
+    describeRound({ cadence: 'biweekly', startDate: new Date('2020-12-31T12:00:00Z') }, 'UTC'),
+    { name: 'Weeks 53-1', period: 'fortnight' }
+  );
+});
+
+test('names monthly rounds by the month they start in', () => {
+  // Midnight UTC on 1 March is still February in New York
+  const startDate = new Date('2026-03-01T00:00:00Z');
+
+  assert.deepStrictEqual(describeRound({ cadence: 'monthly', startDate }, 'UTC'), { name: 'March edition', period: 'month' });
+  assert.deepStrictEqual(describeRound({ cadence: 'monthly', startDate }, 'America/New_York'), { name: 'February edition', period: 'month' });
+});
+
+test('names custom rounds by their start date', () => {
+  const round = describeRound({ cadence: 'custom', startDate: new Date('2026-03-03T12:00:00Z') }, 'UTC');
+
+  assert.deepStrictEqual(round, { name: 'Round of March 3rd', period: 'round' });
+});
@@ -0,0 +1,101 @@
+require('./helpers/prisma');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { StreakEngine } = require('../src/services/streakEngine');
+
+const engine = new StreakEngine();
+
+// Weekly rounds, newest first as getHistory returns them. Each entry is
+// 'on time', 'late', 'missed' or 'open' (an open round with no submission yet).
+function history(...entries) {
+  const newest = new Date('2026-06-01T13:00:00Z');
+
+  return entries.map((entry, index) => {
+    const startDate = new Date(newest.getTime() - index * 7 * 24 * 60 * 60 * 1000);
+    return {
+      weekNumber: 202623 - index,
+      status: entry === 'open' ? 'open' : 'compiled',
+      startDate,
+      deadline: new Date(startDate.getTime() + 3 * 24 * 60 * 60 * 1000),
+      submissions: entry === 'on time' ? [{ isLate: false }] : entry === 'late' ? [{ isLate: true }] : []
+    };
+  });
+}
+
+test('counts the run of rounds submitted for, and the longest run', () => {
+  const rounds = history('on time', 'on time', 'missed', 'on time', 'on time', 'on time');
+
+  assert.deepStrictEqual(engine.calculate(rounds, []), {
+    currentStreak: 2,
+    longestStreak: 3,
+    lastSubmissionWeek: 202623
+  });
+});
+
+test('a round that is still open neither extends nor ends the run', () => {
+  const rounds = history('open', 'on time', 'on time');
+
+  assert.strictEqual(engine.calculate(rounds, []).currentStreak, 2);
+});
+
+test('a round missed while paused neither extends nor ends the run', () => {
+  const rounds = history('on time', 'missed', 'on time');
+  const pauses = [{ startsAt: rounds[1].startDate, endsAt: rounds[1].deadline }];
+
+  assert.strictEqual(engine.calculate(rounds, pauses).currentStreak, 2);
+  assert.strictEqual(engine.calculate(rounds, []).currentStreak, 1);
+});
+
+test('late rounds count unless the settings say otherwise', () => {
+  const rounds = history('on time', 'late', 'on time');
+
+  assert.strictEqual(engine.calculate(rounds, [], { countLate: true }).currentStreak, 3);
+  // Not counted, but the run isn't broken either
+  assert.strictEqual(engine.calculate(rounds, [], { countLate: false }).currentStreak, 2);
+});
+
+test('a run that reaches the oldest round carries on into cleaned-up ones', () => {
+  const rounds = history('on time', 'on time', 'on time');
+
+  assert.deepStrictEqual(engine.calculate(rounds, [], { carriedStreak: 10, carriedLongest: 10 }), {
+    currentStreak: 13,
+    longestStreak: 13,
+    lastSubmissionWeek: 202623
+  });
+});
+
+test('a carried run only counts toward the current streak if nothing breaks it', () => {
+  const rounds = history('on time', 'missed', 'on time');
+
+  assert.deepStrictEqual(engine.calculate(rounds, [], { carriedStreak: 10, carriedLongest: 12 }), {
+    currentStreak: 1,
+    longestStreak: 12,
+    lastSubmissionWeek: 202623
+  });
+});
+
+test('a carried run stands when every remaining round has been cleaned up', () => {
+  assert.deepStrictEqual(engine.calculate([], [], { carriedStreak: 7, carriedLongest: 9 }), {
+    currentStreak: 7,
+    longestStreak: 9,
+    lastSubmissionWeek: null
+  });
+});
+
+test('carrying over rounds before deleting them keeps the streak the same', () => {
+  const all = history('open', 'on time', 'on time', 'on time', 'on time', 'missed', 'on time', 'on time');
+  const kept = all.slice(0, 3);
+  const deleted = all.slice(3);
+
+  const carried = engine.calculate(deleted, []);
+  const afterCleanup = engine.calculate(kept, [], {
+    carriedStreak: carried.currentStreak,
+    carriedLongest: carried.longestStreak
+  });
+
+  assert.deepStrictEqual(
+    { currentStreak: afterCleanup.currentStreak, longestStreak: afterCleanup.longestStreak },
+    { currentStreak: 4, longestStreak: 4 }
+  );
+  assert.strictEqual(engine.calculate(all, []).currentStreak, 4);
+});
@@ -0,0 +1,55 @@
+require('./helpers/prisma');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SubmissionParser } = require('../src/services/submissionParser');
+
+const parser = new SubmissionParser();
+
+test('parses the labelled fields of a submission', () => {
+  const parsed = parser.parse('Recommendation: The Bear\nReason why: Great kitchen drama\nDigressions: Busy week');
+
+  assert.deepStrictEqual(parsed, {
+    recommendations: [{ recommendation: 'The Bear', reasonWhy: 'Great kitchen drama' }],
+    digressions: 'Busy week'
+  });
+});
+
+test('accepts other wordings, markdown labels and labels on their own line', () => {
+  const parsed = parser.parse('**Rec** The Bear\n## Why\nIt is tense\n\nCategory: TV');
+
+  assert.deepStrictEqual(parsed, {
+    recommendations: [{ recommendation: 'The Bear', reasonWhy: 'It is tense', category: 'tv' }]
+  });
+});
+
+test('matches numbered reasons to their recommendations', () => {
+  const parsed = parser.parse('Recommendation 1: Piranesi\nRecommendation 2: Dune\nReason why 2: Sand\nReason why 1: Strange house');
+
+  assert.deepStrictEqual(parsed.recommendations, [
+    { recommendation: 'Piranesi', reasonWhy: 'Strange house' },
+    { recommendation: 'Dune', reasonWhy: 'Sand' }
+  ]);
+});
+
+test('lists the required fields a submission is missing', () => {
+  const parsed = parser.parse('Recommendation: The Bear');
+
+  assert.deepStrictEqual(parser.findMissingFields(parsed), [
+    { field: 'reasonWhy', position: 1 },
+    { field: 'digressions', position: null }
+  ]);
+  assert.deepStrictEqual(parser.findMissingFields(parsed, ['reasonWhy', 'digressions']), []);
+  assert.strictEqual(parser.describeMissingField({ field: 'reasonWhy', position: 1 }, parsed), 'REASON WHY (for "The Bear")');
+});
+
+test('fills a draft\'s only missing field from an unlabelled reply', () => {
+  const draft = {
+    data: parser.parse('Recommendation: The Bear'),
+    missingFields: [{ field: 'reasonWhy', position: 1 }]
+  };
+  const reply = 'It is just great';
+
+  assert.deepStrictEqual(parser.mergeWithDraft(draft, parser.parse(reply), reply, ['digressions']), {
+    recommendations: [{ recommendation: 'The Bear', reasonWhy: 'It is just great' }]
+  });
+});
@@ -0,0 +1,67 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { verifyWebhookSignature } = require('../src/utils/webhookSignatures');
+
+let server;
+let url;
+
+// Mounted the way app.js mounts the webhook routes
+before(async () => {
+  const app = express();
+  app.use('/webhook', express.raw({ type: ['application/json', 'multipart/form-data'], limit: '30mb' }));
+  app.post('/webhook/inbound-email', verifyWebhookSignature, (req, res) => res.json({ success: true }));
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  url = `http://127.0.0.1:${server.address().port}/webhook/inbound-email`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  delete process.env.SENDGRID_WEBHOOK_SECRET;
+});
+
+// What Inbound Parse posts: multipart/form-data with no signature headers
+function inboundForm() {
+  const form = new FormData();
+  form.append('from', 'Alex <alex@example.com>');
+  form.append('to', 'recs@example.com');
+  form.append('subject', 'Re: This week');
+  form.append('text', 'Book: Piranesi');
+  return form;
+}
+
+test('accepts an unsigned multipart post when no secret is configured', async () => {
+  const res = await fetch(url, { method: 'POST', body: inboundForm() });
+
+  assert.strictEqual(res.status, 200);
+});
+
+test('rejects an unsigned multipart post when a secret is configured', async () => {
+  process.env.SENDGRID_WEBHOOK_SECRET = 'secret';
+
+  const res = await fetch(url, { method: 'POST', body: inboundForm() });
+
+  assert.strictEqual(res.status, 401);
+});
+
+test('accepts a post signed with the configured secret', async () => {
+  process.env.SENDGRID_WEBHOOK_SECRET = 'secret';
+  const body = JSON.stringify({ from: 'alex@example.com', to: 'recs@example.com', text: 'Book: Piranesi' });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', 'secret').update(timestamp + body).digest('base64');
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Sendgrid-Signature': `v1=${signature}`,
+      'X-Sendgrid-Timestamp': timestamp
+    },
+    body
+  });
+
+  assert.strictEqual(res.status, 200);
+});